@@ -0,0 +1,23 @@
+-- 001_auth_sessions.sql – Sitzungen / Refresh-Tokens (user-001)
+-- Jede Anmeldung erzeugt eine Sitzung. Der Access-Token (JWT) trägt die Sitzungs-ID (sid),
+-- verifyToken() prüft bei jedem Request, ob die Sitzung noch aktiv ist.
+-- Refresh-Tokens werden nur als SHA-256-Hash gespeichert und bei jeder Nutzung rotiert.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id             integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash  text NOT NULL,
+  previous_token_hash text,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  last_used_at        timestamptz NOT NULL DEFAULT now(),
+  expires_at          timestamptz NOT NULL,
+  revoked_at          timestamptz,
+  revoked_reason      text,
+  user_agent          text,
+  ip                  text
+);
+
+CREATE INDEX IF NOT EXISTS auth_sessions_user_idx ON auth_sessions (user_id);
+CREATE INDEX IF NOT EXISTS auth_sessions_active_idx ON auth_sessions (user_id) WHERE revoked_at IS NULL;
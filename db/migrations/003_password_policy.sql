@@ -0,0 +1,10 @@
+-- 003_password_policy.sql – Passwort-Historie für "keine Wiederverwendung der letzten N" (user-003)
+
+CREATE TABLE IF NOT EXISTS user_password_history (
+  id            bigserial PRIMARY KEY,
+  user_id       integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  password_hash text NOT NULL,
+  created_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS user_password_history_user_idx ON user_password_history (user_id, created_at DESC);
@@ -0,0 +1,23 @@
+-- 004_login_protection.sql – Brute-Force-Schutz + Login-Protokoll (user-004)
+-- Sperrlogik analog core.filiale_pins (failed_attempts / locked_until).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at timestamptz;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS login_locked_until timestamptz;
+
+CREATE TABLE IF NOT EXISTS login_events (
+  id          bigserial PRIMARY KEY,
+  user_id     integer REFERENCES users(id) ON DELETE SET NULL,
+  name        text,
+  filiale     text,
+  success     boolean NOT NULL,
+  reason      text,
+  ip          text,
+  user_agent  text,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS login_events_created_idx ON login_events (created_at DESC);
+CREATE INDEX IF NOT EXISTS login_events_user_idx ON login_events (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS login_events_ip_failed_idx ON login_events (ip, created_at DESC) WHERE success = false;
+CREATE INDEX IF NOT EXISTS login_events_name_failed_idx ON login_events (lower(name), created_at DESC) WHERE success = false;
@@ -0,0 +1,10 @@
+-- 005_permission_roles.sql – Berechtigungsmatrix (user-005)
+-- Die bekannten Permissions + Standardrollen stehen in services/permissions.js.
+-- Eine Zeile hier überschreibt die Standardrollen der jeweiligen Permission (gepflegt über /api/permissions).
+
+CREATE TABLE IF NOT EXISTS permission_roles (
+  permission          text PRIMARY KEY,
+  roles               text[] NOT NULL DEFAULT '{}',
+  updated_at          timestamptz NOT NULL DEFAULT now(),
+  updated_by_user_id  integer REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,12 @@
+-- 006_user_filialen.sql – mehrere Filialen je User (user-006)
+-- users.filiale bleibt die Stammfiliale. Zusätzliche Filialen (z. B. Bezirksleitung Ahaus + Vreden)
+-- stehen hier und landen gemeinsam mit der Stammfiliale im Token-Claim "filialen".
+
+CREATE TABLE IF NOT EXISTS user_filialen (
+  user_id     integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  filiale     text NOT NULL,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, filiale)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_filialen_filiale ON user_filialen (filiale);
@@ -0,0 +1,16 @@
+-- 007_reklamationen_search.sql – Indizes für Filter/Suche/Paging in GET /api/reklamationen (user-007)
+-- Suche nutzt ILIKE '%…%' -> Trigramm-Indizes (pg_trgm), Filter/Sortierung über filiale + datum.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_reklamationen_filiale_datum ON reklamationen (filiale, datum DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_reklamationen_datum ON reklamationen (datum DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_reklamationen_rekla_nr_trgm ON reklamationen USING gin (rekla_nr gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_reklamationen_tracking_id_trgm ON reklamationen USING gin (tracking_id gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_reklamationen_ls_nummer_grund_trgm ON reklamationen USING gin (ls_nummer_grund gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_rekla_positionen_artikelnummer_trgm
+  ON reklamation_positionen USING gin ((artikelnummer::text) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_rekla_positionen_ean_trgm
+  ON reklamation_positionen USING gin ((ean::text) gin_trgm_ops);
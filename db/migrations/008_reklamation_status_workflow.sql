@@ -0,0 +1,34 @@
+-- 008_reklamation_status_workflow.sql – Status-Workflow für Reklamationen (user-008)
+-- Erlaubte Übergänge stehen in reklamation_status_transitions (pflegbar per SQL, ohne Deploy):
+-- - von_status NULL  = Übergang ist aus jedem Status erlaubt (z. B. Admin setzt zurück auf "Angelegt")
+-- - roles            = Rollen, die den Übergang ausführen dürfen
+-- - required_fields  = Felder, die danach gefüllt sein müssen (Body oder bestehender Datensatz);
+--                      status_grund muss immer im Request mitkommen (Begründung je Statuswechsel)
+
+ALTER TABLE reklamationen
+  ADD COLUMN IF NOT EXISTS status_grund text;
+
+CREATE TABLE IF NOT EXISTS reklamation_status_transitions (
+  id               serial PRIMARY KEY,
+  von_status       text,
+  nach_status      text NOT NULL,
+  roles            text[] NOT NULL DEFAULT '{}',
+  required_fields  text[] NOT NULL DEFAULT '{}',
+  beschreibung     text,
+  aktiv            boolean NOT NULL DEFAULT true
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_rekla_status_transitions
+  ON reklamation_status_transitions (COALESCE(von_status, '*'), nach_status);
+
+-- Standard-Workflow: Angelegt -> Freigegeben -> Erledigt, Ablehnung nur mit Begründung
+INSERT INTO reklamation_status_transitions (von_status, nach_status, roles, required_fields, beschreibung)
+VALUES
+  ('Angelegt',    'Freigegeben', '{Admin,Supervisor}', '{}',             'Reklamation freigeben'),
+  ('Angelegt',    'Abgelehnt',   '{Admin,Supervisor}', '{status_grund}', 'Reklamation ablehnen'),
+  ('Freigegeben', 'Erledigt',    '{Admin,Supervisor}', '{}',             'Reklamation abschließen'),
+  ('Freigegeben', 'Abgelehnt',   '{Admin,Supervisor}', '{status_grund}', 'Reklamation ablehnen'),
+  ('Abgelehnt',   'Freigegeben', '{Admin}',            '{status_grund}', 'Ablehnung zurücknehmen'),
+  ('Erledigt',    'Freigegeben', '{Admin}',            '{status_grund}', 'Reklamation wieder öffnen'),
+  (NULL,          'Angelegt',    '{Admin}',            '{status_grund}', 'Status zurücksetzen')
+ON CONFLICT DO NOTHING;
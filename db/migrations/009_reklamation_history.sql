@@ -0,0 +1,19 @@
+-- 009_reklamation_history.sql – Änderungshistorie für Reklamationen (user-009)
+-- Eine Zeile je geändertem Feld (Kopf oder Position), inkl. alt/neu, Benutzer und Zeitpunkt.
+-- Bewusst ohne FK auf reklamationen: die Historie bleibt auch nach dem Löschen abrufbar.
+
+CREATE TABLE IF NOT EXISTS reklamation_history (
+  id              bigserial PRIMARY KEY,
+  reklamation_id  integer NOT NULL,
+  aktion          text NOT NULL,            -- create | update | patch | delete
+  bereich         text NOT NULL,            -- kopf | position
+  lfd_nr          integer,
+  feld            text,
+  alt_wert        text,
+  neu_wert        text,
+  user_id         integer REFERENCES users(id) ON DELETE SET NULL,
+  user_name       text,
+  created_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reklamation_history_rekla ON reklamation_history (reklamation_id, created_at DESC);
@@ -0,0 +1,18 @@
+-- 010_reklamation_attachments.sql – Anhänge (Fotos, Lieferscheine, Korrespondenz) je Reklamation (user-010)
+-- Dateien liegen auf der Platte (ATTACHMENT_DIR), hier nur Metadaten + relative Speicherpfade.
+-- Beim Löschen der Reklamation räumt die Route die Dateien weg, die Zeilen fallen per CASCADE.
+
+CREATE TABLE IF NOT EXISTS reklamation_attachments (
+  id                   uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  reklamation_id       integer NOT NULL REFERENCES reklamationen(id) ON DELETE CASCADE,
+  original_name        text NOT NULL,
+  mime_type            text NOT NULL,
+  size_bytes           integer NOT NULL,
+  storage_key          text NOT NULL,
+  thumb_key            text,
+  uploaded_by_user_id  integer REFERENCES users(id) ON DELETE SET NULL,
+  uploaded_by_name     text,
+  created_at           timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reklamation_attachments_rekla ON reklamation_attachments (reklamation_id, created_at);
@@ -0,0 +1,29 @@
+-- 011_lieferant_regeln.sql – Reklamationsregeln je Lieferant (user-011)
+-- Ersetzt die fest verdrahtete SodaFixx-Logik in routes/reklamationen.js.
+-- Eine Zeile je Lieferant, ausgewertet von services/supplierRules.js bei POST/PUT/PATCH.
+-- - pflichtfelder       Felder der Reklamation, die gefüllt sein müssen (z. B. tracking_id)
+-- - max_menge           Obergrenze für die Summe aller rekla_menge je Reklamation (NULL = keine)
+-- - nur_ganzzahlig      rekla_menge muss ganzzahlig sein (Stückware)
+-- - versand_erzwingen   versand wird immer auf true gesetzt
+-- - erlaubte_arten      zulässige Reklamationsarten (NULL = alle)
+-- - einheit / hinweis   nur für Fehlermeldungen (z. B. "Zylinder", "GLS Rücksendung")
+
+CREATE TABLE IF NOT EXISTS lieferant_regeln (
+  lieferant_id        integer PRIMARY KEY REFERENCES lieferanten(id) ON DELETE CASCADE,
+  pflichtfelder       text[] NOT NULL DEFAULT '{}',
+  max_menge           numeric,
+  nur_ganzzahlig      boolean NOT NULL DEFAULT false,
+  versand_erzwingen   boolean NOT NULL DEFAULT false,
+  erlaubte_arten      text[],
+  einheit             text,
+  hinweis             text,
+  updated_at          timestamptz NOT NULL DEFAULT now(),
+  updated_by_user_id  integer REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Bisheriges Verhalten SodaFixx: Tracking Pflicht (GLS), Versand immer, max. 18 ganze Zylinder je Karton
+INSERT INTO lieferant_regeln (lieferant_id, pflichtfelder, max_menge, nur_ganzzahlig, versand_erzwingen, einheit, hinweis)
+SELECT id, '{tracking_id}', 18, true, true, 'Zylinder', 'GLS Rücksendung'
+FROM lieferanten
+WHERE lower(trim(bezeichnung)) = 'sodafixx'
+ON CONFLICT (lieferant_id) DO NOTHING;
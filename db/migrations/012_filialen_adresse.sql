@@ -0,0 +1,9 @@
+-- 012_filialen_adresse.sql – Anschrift je Filiale für Reklamationsbelege (user-012)
+-- Wird im Absender-Block von GET /api/reklamationen/:id/pdf gedruckt.
+-- Leere Felder fallen auf das Filialprofil aus "order".order_supplier_branch_profiles zurück.
+
+ALTER TABLE filialen ADD COLUMN IF NOT EXISTS firma   text;
+ALTER TABLE filialen ADD COLUMN IF NOT EXISTS strasse text;
+ALTER TABLE filialen ADD COLUMN IF NOT EXISTS ort     text;
+ALTER TABLE filialen ADD COLUMN IF NOT EXISTS telefon text;
+ALTER TABLE filialen ADD COLUMN IF NOT EXISTS email   text;
@@ -0,0 +1,14 @@
+-- 013_reklamation_versand_mail.sql – Reklamation per E-Mail an den Lieferanten (user-013)
+-- Lieferanten: Empfänger + optionale eigene Vorlage (Platzhalter siehe services/reklamationMail.js).
+-- Reklamationen: Zeitpunkt/Empfänger des letzten Versands, Schutz gegen doppeltes Senden.
+-- - gesendet_modus 'test' (MAIL_MODE=test, ging an MAIL_TEST_RECIPIENT) sperrt keinen späteren Live-Versand
+
+ALTER TABLE lieferanten ADD COLUMN IF NOT EXISTS reklamation_email        text;
+ALTER TABLE lieferanten ADD COLUMN IF NOT EXISTS reklamation_email_cc     text;
+ALTER TABLE lieferanten ADD COLUMN IF NOT EXISTS reklamation_mail_betreff text;
+ALTER TABLE lieferanten ADD COLUMN IF NOT EXISTS reklamation_mail_text    text;
+
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS gesendet_am     timestamptz;
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS gesendet_an     text;
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS gesendet_modus  text;
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS gesendet_von    text;
@@ -0,0 +1,31 @@
+-- 014_reklamation_gutschrift.sql – Gutschriften je Reklamation und Position nachhalten (user-014)
+-- - erwarteter_wert     Betrag, den wir vom Lieferanten zurückerwarten (netto)
+-- - gutschrift_betrag   tatsächlich gutgeschriebener Betrag
+-- - gutschrift_nr/datum Belegnummer + Datum der Gutschrift des Lieferanten
+-- - gutschrift_status   offen | teilweise | erhalten (NULL = keine Gutschrift erwartet)
+-- Gepflegt über PATCH /api/reklamationen/:id/gutschrift, Auswertung über GET /api/reklamationen/gutschriften.
+-- Position-Werte bleiben bei PUT /api/reklamationen/:id erhalten (Zuordnung über lfd_nr).
+
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS erwarteter_wert   numeric(12,2);
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS gutschrift_betrag numeric(12,2);
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS gutschrift_nr     text;
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS gutschrift_datum  date;
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS gutschrift_status text;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_reklamationen_gutschrift_status') THEN
+    ALTER TABLE reklamationen
+      ADD CONSTRAINT chk_reklamationen_gutschrift_status
+      CHECK (gutschrift_status IS NULL OR gutschrift_status IN ('offen', 'teilweise', 'erhalten'));
+  END IF;
+END $$;
+
+ALTER TABLE reklamation_positionen ADD COLUMN IF NOT EXISTS erwarteter_wert   numeric(12,2);
+ALTER TABLE reklamation_positionen ADD COLUMN IF NOT EXISTS gutschrift_betrag numeric(12,2);
+ALTER TABLE reklamation_positionen ADD COLUMN IF NOT EXISTS gutschrift_nr     text;
+ALTER TABLE reklamation_positionen ADD COLUMN IF NOT EXISTS gutschrift_datum  date;
+
+CREATE INDEX IF NOT EXISTS idx_reklamationen_gutschrift_offen
+  ON reklamationen (lieferant, filiale)
+  WHERE gutschrift_status IN ('offen', 'teilweise');
@@ -0,0 +1,15 @@
+-- 015_reklamation_soft_delete.sql – Papierkorb für Reklamationen (user-018)
+-- DELETE /api/reklamationen/:id setzt nur noch deleted_at (+ wer/warum), Zeile + Positionen bleiben erhalten.
+-- - rekla_nr / tracking_id bleiben dadurch belegt, lfd_nr-Historie bleibt vollständig
+-- - Liste, Statistik, Export usw. blenden gelöschte Reklamationen aus
+-- - Wiederherstellen über POST /api/reklamationen/:id/restore, Papierkorb über GET /api/reklamationen/papierkorb
+-- - endgültiges Löschen nach REKLAMATION_PURGE_DAYS (Standard 90) durch services/reklamationTrash.js
+
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS deleted_at         timestamptz;
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS deleted_by_user_id integer REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS deleted_by_name    text;
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS deleted_reason     text;
+
+CREATE INDEX IF NOT EXISTS idx_reklamationen_deleted_at
+  ON reklamationen (deleted_at)
+  WHERE deleted_at IS NOT NULL;
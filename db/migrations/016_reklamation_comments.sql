@@ -0,0 +1,34 @@
+-- 016_reklamation_comments.sql – Kommentar-Verlauf je Reklamation statt einzelnem Notizfeld (user-019)
+-- - reklamation_comments       ein Eintrag je Kommentar (Autor, Zeitpunkt, intern = nur zentrale Rollen)
+-- - reklamation_comment_reads  Lesestand je Benutzer und Reklamation (für "ungelesen" in der Liste)
+-- Bestehende Notizen (reklamationen.notiz) werden einmalig als erster Kommentar übernommen.
+-- Die Spalte notiz bleibt als Bemerkung für Beleg/Mail/Import erhalten, PATCH überschreibt sie nicht mehr.
+
+CREATE TABLE IF NOT EXISTS reklamation_comments (
+  id              bigserial PRIMARY KEY,
+  reklamation_id  integer NOT NULL REFERENCES reklamationen(id) ON DELETE CASCADE,
+  text            text NOT NULL,
+  intern          boolean NOT NULL DEFAULT false,
+  author_user_id  integer REFERENCES users(id) ON DELETE SET NULL,
+  author_name     text,
+  author_role     text,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  updated_at      timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_reklamation_comments_rekla ON reklamation_comments (reklamation_id, created_at);
+
+CREATE TABLE IF NOT EXISTS reklamation_comment_reads (
+  user_id         integer NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reklamation_id  integer NOT NULL REFERENCES reklamationen(id) ON DELETE CASCADE,
+  last_read_at    timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, reklamation_id)
+);
+
+-- Altbestand: Notiz -> erster Kommentar (nur wenn die Reklamation noch keine Kommentare hat)
+INSERT INTO reklamation_comments (reklamation_id, text, intern, author_name, created_at)
+SELECT r.id, BTRIM(r.notiz), false, r.notiz_von, COALESCE(r.notiz_am, now())
+FROM reklamationen r
+WHERE r.notiz IS NOT NULL
+  AND BTRIM(r.notiz) <> ''
+  AND NOT EXISTS (SELECT 1 FROM reklamation_comments c WHERE c.reklamation_id = r.id);
@@ -0,0 +1,18 @@
+-- 017_lfd_nr_counter_audit.sql – Protokoll für manuelle Änderungen an lfd_nr_counter (user-020)
+-- Gesetzt/zurückgesetzt über PUT /api/reklamationen/lfd-nr/counters/:filiale/:jahr (Admin),
+-- automatische Vergabe (allocateLfdNrBlock) wird nicht protokolliert.
+
+CREATE TABLE IF NOT EXISTS lfd_nr_counter_audit (
+  id          bigserial PRIMARY KEY,
+  filiale     text NOT NULL,
+  jahr        integer NOT NULL,
+  alt_wert    integer,
+  neu_wert    integer NOT NULL,
+  max_lfd_nr  integer NOT NULL,
+  grund       text,
+  user_id     integer REFERENCES users(id) ON DELETE SET NULL,
+  user_name   text,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lfd_nr_counter_audit_fj ON lfd_nr_counter_audit (filiale, jahr, created_at DESC);
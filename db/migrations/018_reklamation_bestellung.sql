@@ -0,0 +1,19 @@
+-- 018_reklamation_bestellung.sql – Reklamation optional mit der auslösenden Bestellung verknüpfen (user-021)
+-- - reklamationen.order_id                     -> "order".order_orders
+-- - reklamation_positionen.order_position_id   -> "order".order_order_positions (muss zur order_id gehören)
+-- Artikel/EAN/Menge leerer Positionen werden beim Speichern aus dem Bestell-Snapshot übernommen.
+-- Bestellungen bleiben löschbar: die Verknüpfung fällt dann auf NULL.
+
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS order_id bigint
+  REFERENCES "order".order_orders(id) ON DELETE SET NULL;
+
+ALTER TABLE reklamation_positionen ADD COLUMN IF NOT EXISTS order_position_id bigint
+  REFERENCES "order".order_order_positions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reklamationen_order_id
+  ON reklamationen (order_id)
+  WHERE order_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reklamation_positionen_order_position
+  ON reklamation_positionen (order_position_id)
+  WHERE order_position_id IS NOT NULL;
@@ -0,0 +1,23 @@
+-- 019_task_groups.sql – Sammel-Tasks an mehrere/alle Filialen (user-023)
+-- POST /api/tasks/bulk legt je Filiale eine eigene Task an (Ack/Ausführung bleiben je Filiale),
+-- alle Tasks eines Aufrufs hängen über group_id an einer core.task_groups-Zeile (Kampagne).
+-- Gruppenansicht: GET /api/tasks/groups/:groupId
+
+CREATE TABLE IF NOT EXISTS core.task_groups (
+  id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  title               text NOT NULL,
+  body                text NOT NULL,
+  due_at              timestamptz,
+  source_type         text,
+  source_id           text,
+  alle_aktiven        boolean NOT NULL DEFAULT false,
+  created_by_user_id  integer REFERENCES users(id) ON DELETE SET NULL,
+  created_at          timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE core.tasks ADD COLUMN IF NOT EXISTS group_id uuid
+  REFERENCES core.task_groups(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_group_id
+  ON core.tasks (group_id)
+  WHERE group_id IS NOT NULL;
@@ -0,0 +1,47 @@
+-- 020_task_templates.sql – Task-Vorlagen + Wiederholungen (user-025)
+-- - core.task_templates         Titel, Text, Fälligkeit relativ zum Stichtag (due_offset_hours ab 00:00 Ortszeit)
+-- - core.task_recurrences       Rhythmus je Vorlage: weekly (wochentag 1=Mo..7=So) oder monthly (monatstag 1..31,
+--                               fehlt der Tag im Monat -> letzter Tag), für eine Filial-Liste oder alle aktiven Filialen
+-- - core.task_recurrence_runs   je Stichtag + Filiale genau eine Task (PRIMARY KEY = Idempotenz über Neustarts)
+-- Angelegt werden die Tasks vom Scheduler in services/taskRecurrence.js (source_type='template', source_id=Vorlagen-ID).
+
+CREATE TABLE IF NOT EXISTS core.task_templates (
+  id                  serial PRIMARY KEY,
+  title               text NOT NULL,
+  body                text NOT NULL,
+  due_offset_hours    integer CHECK (due_offset_hours IS NULL OR due_offset_hours >= 0),
+  aktiv               boolean NOT NULL DEFAULT true,
+  created_by_user_id  integer REFERENCES users(id) ON DELETE SET NULL,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  updated_at          timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS core.task_recurrences (
+  id                  serial PRIMARY KEY,
+  template_id         integer NOT NULL REFERENCES core.task_templates(id) ON DELETE CASCADE,
+  rhythmus            text NOT NULL CHECK (rhythmus IN ('weekly', 'monthly')),
+  wochentag           smallint CHECK (wochentag BETWEEN 1 AND 7),
+  monatstag           smallint CHECK (monatstag BETWEEN 1 AND 31),
+  filiale_ids         integer[] NOT NULL DEFAULT '{}',
+  alle_aktiven        boolean NOT NULL DEFAULT false,
+  start_datum         date NOT NULL DEFAULT CURRENT_DATE,
+  aktiv               boolean NOT NULL DEFAULT true,
+  last_run_date       date,
+  created_by_user_id  integer REFERENCES users(id) ON DELETE SET NULL,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  CHECK (
+    (rhythmus = 'weekly' AND wochentag IS NOT NULL)
+    OR (rhythmus = 'monthly' AND monatstag IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_recurrences_template ON core.task_recurrences (template_id);
+
+CREATE TABLE IF NOT EXISTS core.task_recurrence_runs (
+  recurrence_id  integer NOT NULL REFERENCES core.task_recurrences(id) ON DELETE CASCADE,
+  stichtag       date NOT NULL,
+  filiale_id     integer NOT NULL,
+  task_id        text,                 -- core.tasks.id (als Text, nur zur Nachverfolgung)
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (recurrence_id, stichtag, filiale_id)
+);
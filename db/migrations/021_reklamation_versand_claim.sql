@@ -0,0 +1,6 @@
+-- 021_reklamation_versand_claim.sql – Versand an den Lieferanten ohne offene Transaktion (user-013)
+-- POST /api/reklamationen/:id/send belegt den Versand kurz per versand_laeuft_seit (eigene Transaktion),
+-- verschickt die Mail danach ohne Zeilensperre und trägt gesendet_* + Freigabe in einem Statement nach.
+-- Eine hängengebliebene Belegung (Prozessabbruch) gilt nach SEND_CLAIM_MINUTES (routes/reklamationen.js) als verfallen.
+
+ALTER TABLE reklamationen ADD COLUMN IF NOT EXISTS versand_laeuft_seit timestamptz;
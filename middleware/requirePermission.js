@@ -0,0 +1,25 @@
+const { hasPermission } = require('../services/permissions');
+
+// Nach verifyToken() einsetzen: router.get('/', verifyToken(), requirePermission('reklamation.edit'), ...)
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const allowed = await hasPermission(req.user?.role, permission);
+
+      if (!allowed) {
+        return res.status(403).json({
+          code: 'PERMISSION_DENIED',
+          permission,
+          message: `Zugriff verweigert. Erforderliche Berechtigung: ${permission}`,
+        });
+      }
+
+      next();
+    } catch (err) {
+      console.error(`requirePermission(${permission}) Fehler:`, err);
+      return res.status(500).json({ message: 'Serverfehler' });
+    }
+  };
+}
+
+module.exports = requirePermission;
@@ -0,0 +1,33 @@
+const pool = require('../db');
+const { userCan } = require('../services/permissions');
+const { getUserFilialen } = require('../services/userFilialen');
+
+// Nach verifyToken() für Unterressourcen unter /api/reklamationen/:id (Anhänge, Kommentare)
+// Gleiche Regel wie GET /api/reklamationen/:id: reklamation.read_all oder eigene Filialen, nicht im Papierkorb.
+// Setzt req.reklamation = { id, filiale }
+async function requireReklamationAccess(req, res, next) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ message: 'Ungültige ID' });
+  }
+
+  try {
+    const global = await userCan(req, 'reklamation.read_all');
+    const r = await pool.query(
+      `SELECT id, filiale FROM reklamationen WHERE id = $1 AND deleted_at IS NULL ${global ? '' : 'AND filiale = ANY($2::text[])'}`,
+      global ? [id] : [id, getUserFilialen(req.user)]
+    );
+
+    if (r.rows.length === 0) {
+      return res.status(404).json({ message: 'Reklamation nicht gefunden' });
+    }
+
+    req.reklamation = r.rows[0];
+    next();
+  } catch (err) {
+    console.error('Reklamation: Zugriffsprüfung fehlgeschlagen:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+}
+
+module.exports = requireReklamationAccess;
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/authSessions');
 
 // ✅ FINAL: JWT_SECRET nur aus ENV
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -7,8 +8,12 @@ if (!JWT_SECRET) {
   throw new Error('JWT_SECRET is not set in environment variables');
 }
 
-function verifyToken(requiredRole = null) {
-  return (req, res, next) => {
+// Routen, die trotz force_password_change erreichbar sein müssen (Passwort ändern, Logout),
+// rufen verifyToken(null, { allowPasswordChange: true }) auf.
+function verifyToken(requiredRole = null, options = {}) {
+  const { allowPasswordChange = false } = options;
+
+  return async (req, res, next) => {
     const authHeader = req.headers['authorization'];
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -19,29 +24,54 @@ function verifyToken(requiredRole = null) {
 
     const token = authHeader.split(' ')[1];
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-
-      req.user = {
-        id: decoded.id,
-        name: decoded.name,
-        role: decoded.role,
-        filiale: decoded.filiale || null,
-      };
-
-      if (requiredRole && decoded.role !== requiredRole) {
-        return res.status(403).json({
-          message: `Zugriff verweigert. Erforderliche Rolle: ${requiredRole}`,
-        });
-      }
-
-      next();
+      decoded = jwt.verify(token, JWT_SECRET);
     } catch (err) {
       if (err.name === 'TokenExpiredError') {
         return res.status(401).json({ message: 'Token abgelaufen. Bitte erneut anmelden.' });
       }
       return res.status(401).json({ message: 'Token ungültig.' });
     }
+
+    // Widerruf (Logout / Logout überall / Benutzer gesperrt) greift sofort
+    try {
+      const active = await isSessionActive(decoded.sid, decoded.id);
+      if (!active) {
+        return res.status(401).json({
+          code: 'SESSION_REVOKED',
+          message: 'Sitzung beendet. Bitte erneut anmelden.',
+        });
+      }
+    } catch (err) {
+      console.error('verifyToken: Sitzungsprüfung fehlgeschlagen:', err);
+      return res.status(500).json({ message: 'Serverfehler' });
+    }
+
+    req.user = {
+      id: decoded.id,
+      name: decoded.name,
+      role: decoded.role,
+      filiale: decoded.filiale || null,
+      filialen: Array.isArray(decoded.filialen) ? decoded.filialen : [decoded.filiale].filter(Boolean),
+      sid: decoded.sid,
+      force_password_change: decoded.force_password_change === true,
+    };
+
+    if (req.user.force_password_change && !allowPasswordChange) {
+      return res.status(403).json({
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'Passwortänderung erforderlich. Bitte zuerst ein neues Passwort vergeben.',
+      });
+    }
+
+    if (requiredRole && decoded.role !== requiredRole) {
+      return res.status(403).json({
+        message: `Zugriff verweigert. Erforderliche Rolle: ${requiredRole}`,
+      });
+    }
+
+    next();
   };
 }
 
@@ -0,0 +1,247 @@
+// routes/auth.js – Login, Token-Refresh, Logout (ausgelagert aus server.js)
+// - POST /api/login        (public)  -> kurzlebiger Access-Token + Refresh-Token
+// - POST /api/refresh      (public)  -> rotiert Refresh-Token, neuer Access-Token
+// - POST /api/logout       (private) -> beendet die aktuelle Sitzung
+// - POST /api/logout-all   (private) -> beendet alle Sitzungen des eigenen Benutzers
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+
+const router = express.Router();
+
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  parseRefreshToken,
+  getClientInfo,
+} = require('../services/authSessions');
+const { loadUserFilialen } = require('../services/userFilialen');
+
+// --- Lockout Policy (analog PIN-Sperre in routes/tasks.js) ---
+const LOGIN_MAX_FAILS = 5;
+const LOGIN_LOCK_MINUTES = 15;
+const LOGIN_IP_MAX_FAILS = 20;
+const LOGIN_IP_WINDOW_MINUTES = 15;
+
+// Einheitliche Antwort – verrät nicht, ob der Benutzer existiert
+const LOGIN_FAILED_MESSAGE = 'Benutzername oder Passwort falsch';
+const LOGIN_LOCKED_MESSAGE = 'Zu viele Fehlversuche. Anmeldung vorübergehend gesperrt, bitte später erneut versuchen.';
+
+// Vergleich auch bei unbekanntem Benutzer ausführen (gleiche Antwortzeit)
+const DUMMY_HASH = bcrypt.hashSync('neufeld-dummy-password', 10);
+
+async function recordLoginEvent({ user, name, success, reason, req }) {
+  try {
+    const { userAgent, ip } = getClientInfo(req);
+    await pool.query(
+      `
+      INSERT INTO login_events (user_id, name, filiale, success, reason, ip, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `,
+      [user?.id ?? null, name, user?.filiale ?? null, success, reason, ip, userAgent]
+    );
+  } catch (err) {
+    // Protokollfehler dürfen den Login nicht blockieren
+    console.error('Login-Event konnte nicht gespeichert werden:', err);
+  }
+}
+
+async function countRecentFailures(column, value, minutes) {
+  const where = column === 'ip' ? 'ip = $1' : 'lower(name) = lower($1)';
+  const r = await pool.query(
+    `
+    SELECT COUNT(*)::int AS fails
+    FROM login_events
+    WHERE ${where}
+      AND success = false
+      AND created_at > now() - make_interval(mins => $2)
+    `,
+    [value, minutes]
+  );
+  return r.rows[0]?.fails ?? 0;
+}
+
+/**
+ * Public: Login
+ * POST /api/login
+ * - Sperre pro Benutzer (LOGIN_MAX_FAILS / LOGIN_LOCK_MINUTES) und pro IP (LOGIN_IP_MAX_FAILS)
+ * - jeder Versuch landet in login_events
+ */
+router.post('/login', async (req, res) => {
+  const { name, password } = req.body || {};
+
+  if (!name || !password) {
+    return res.status(400).json({ message: 'Name und Passwort erforderlich' });
+  }
+
+  try {
+    const { ip } = getClientInfo(req);
+
+    if (ip && (await countRecentFailures('ip', ip, LOGIN_IP_WINDOW_MINUTES)) >= LOGIN_IP_MAX_FAILS) {
+      await recordLoginEvent({ user: null, name, success: false, reason: 'ip_locked', req });
+      return res.status(429).json({ code: 'LOGIN_LOCKED', message: LOGIN_LOCKED_MESSAGE });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE name = $1', [name]);
+    const user = result.rows[0] || null;
+
+    if (user && user.login_locked_until && new Date(user.login_locked_until).getTime() > Date.now()) {
+      await recordLoginEvent({ user, name, success: false, reason: 'locked', req });
+      return res.status(423).json({ code: 'LOGIN_LOCKED', message: LOGIN_LOCKED_MESSAGE });
+    }
+
+    // Unbekannte Namen nach gleicher Anzahl Fehlversuche ebenfalls "sperren" (kein Enumerieren)
+    if (!user && (await countRecentFailures('name', name, LOGIN_LOCK_MINUTES)) >= LOGIN_MAX_FAILS) {
+      await recordLoginEvent({ user: null, name, success: false, reason: 'locked', req });
+      return res.status(423).json({ code: 'LOGIN_LOCKED', message: LOGIN_LOCKED_MESSAGE });
+    }
+
+    const isMatch = await bcrypt.compare(String(password), user ? user.password : DUMMY_HASH);
+
+    if (!user || !isMatch) {
+      if (user) {
+        // atomar in der DB hochzählen: parallele Fehlversuche dürfen sich nicht gegenseitig überschreiben
+        await pool.query(
+          `UPDATE users
+           SET failed_login_attempts = CASE
+                 WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2 THEN 0
+                 ELSE COALESCE(failed_login_attempts, 0) + 1
+               END,
+               login_locked_until = CASE
+                 WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2 THEN now() + make_interval(mins => $3)
+                 ELSE login_locked_until
+               END,
+               last_failed_login_at = now()
+           WHERE id = $1`,
+          [user.id, LOGIN_MAX_FAILS, LOGIN_LOCK_MINUTES]
+        );
+      }
+
+      await recordLoginEvent({
+        user,
+        name,
+        success: false,
+        reason: user ? 'wrong_password' : 'unknown_user',
+        req,
+      });
+      return res.status(401).json({ message: LOGIN_FAILED_MESSAGE });
+    }
+
+    if (user.aktiv === false) {
+      await recordLoginEvent({ user, name, success: false, reason: 'inactive', req });
+      return res.status(403).json({ message: 'Benutzer ist deaktiviert. Bitte an Admin/Supervisor wenden.' });
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET last_login_at = now(),
+           failed_login_attempts = 0,
+           last_failed_login_at = NULL,
+           login_locked_until = NULL
+       WHERE id = $1`,
+      [user.id]
+    );
+
+    user.filialen = await loadUserFilialen(pool, user.id, user.filiale);
+    const tokens = await createSession(user, req);
+
+    await recordLoginEvent({ user, name, success: true, reason: null, req });
+
+    res.json({
+      ...tokens,
+      name: user.name,
+      role: user.role,
+      filiale: user.filiale,
+      filialen: user.filialen,
+      force_password_change: user.force_password_change === true,
+    });
+  } catch (err) {
+    console.error('Login-Fehler:', err);
+    res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * Public: Access-Token erneuern
+ * POST /api/refresh
+ * Body: { refreshToken }
+ */
+router.post('/refresh', async (req, res) => {
+  const refreshToken = req.body?.refreshToken;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'refreshToken ist erforderlich' });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (!result.ok) {
+      return res.status(401).json({
+        code: 'REFRESH_INVALID',
+        message: 'Sitzung abgelaufen oder beendet. Bitte erneut anmelden.',
+      });
+    }
+
+    const { user, tokens } = result;
+    return res.json({
+      ...tokens,
+      name: user.name,
+      role: user.role,
+      filiale: user.filiale,
+      filialen: user.filialen,
+      force_password_change: user.force_password_change === true,
+    });
+  } catch (err) {
+    console.error('Refresh-Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * Private: aktuelle Sitzung beenden
+ * POST /api/logout
+ */
+router.post('/logout', verifyToken(null, { allowPasswordChange: true }), async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+
+    // Optional mitgeschickter Refresh-Token einer anderen eigenen Sitzung (z. B. altes Tablet-Login)
+    const parsed = parseRefreshToken(req.body?.refreshToken);
+    if (parsed && parsed.sid !== req.user.sid) {
+      await pool.query(
+        `UPDATE auth_sessions SET revoked_at = now(), revoked_reason = 'logout'
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+        [parsed.sid, req.user.id]
+      );
+    }
+
+    console.log(`Logout – ${req.user.name} (${req.user.role})`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Logout-Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * Private: alle eigenen Sitzungen beenden (z. B. Tablet verloren)
+ * POST /api/logout-all
+ */
+router.post('/logout-all', verifyToken(null, { allowPasswordChange: true }), async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+
+    console.log(`Logout überall – ${req.user.name} (${req.user.role}): ${revoked} Sitzungen beendet`);
+    return res.json({ ok: true, revoked });
+  } catch (err) {
+    console.error('Logout-All-Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+module.exports = router;
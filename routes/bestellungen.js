@@ -3,9 +3,12 @@ const express = require('express');
 const router = express.Router();
 
 const verifyToken = require('../middleware/verifyToken');
+const { userCan } = require('../services/permissions');
+const { getUserFilialen, canAccessFiliale } = require('../services/userFilialen');
 const db = require('../db');
 const { sendOrderMail } = require('../services/mailer');
 const { generateMellerudOrderPdf } = require('../services/pdf/mellerudPdfService');
+const { loadOrderWithPositions, listReklamationenForOrder } = require('../services/reklamationBestellung');
 
 /**
  * Hilfsfunktion:
@@ -52,10 +55,6 @@ function roundMoney(value) {
   return Math.round(n * 100) / 100;
 }
 
-function canReadAllOrders(role) {
-  return ['Admin', 'Supervisor', 'Geschäftsführer', 'Manager-1'].includes(role);
-}
-
 function sanitizeSplitDetails(rawSplitDetails, orderedArticleMap, sourceFiliale) {
   if (rawSplitDetails === undefined || rawSplitDetails === null) {
     return {};
@@ -383,13 +382,13 @@ router.get('/form', verifyToken(), async (req, res) => {
  * Zweck:
  * - echter Listen-Read für bestehende Bestellungen
  * - filterbar über jahr / kw / filiale
- * - Filiale sieht nur eigene Bestellungen
+ * - Filiale sieht nur Bestellungen ihrer zugeordneten Filialen
  * - Superuser sieht alle Bestellungen
  */
 router.get('/', verifyToken(), async (req, res) => {
   try {
     const { id, name, role, filiale: userFiliale } = req.user || {};
-    const canReadAll = canReadAllOrders(role);
+    const canReadAll = await userCan(req, 'bestellung.read_all');
 
     const jahr = parseOptionalInt(req.query?.jahr);
     const kw = parseOptionalInt(req.query?.kw);
@@ -411,13 +410,15 @@ router.get('/', verifyToken(), async (req, res) => {
       return res.status(400).json({ message: 'kw ist außerhalb des erlaubten Bereichs' });
     }
 
-    if (!canReadAll && requestedFiliale && requestedFiliale !== userFiliale) {
+    if (!canReadAll && requestedFiliale && !canAccessFiliale(req.user, requestedFiliale)) {
       return res.status(403).json({ message: 'Kein Zugriff auf fremde Filial-Bestellungen' });
     }
 
+    const ownFilialen = getUserFilialen(req.user);
+
     const effectiveFiliale = canReadAll
       ? requestedFiliale
-      : (userFiliale ?? null);
+      : (requestedFiliale ?? (ownFilialen.length === 1 ? ownFilialen[0] : null));
 
     const params = [];
     const whereParts = [];
@@ -435,6 +436,9 @@ router.get('/', verifyToken(), async (req, res) => {
     if (effectiveFiliale && effectiveFiliale !== 'Alle') {
       params.push(effectiveFiliale);
       whereParts.push(`o.filiale = $${params.length}`);
+    } else if (!canReadAll) {
+      params.push(ownFilialen);
+      whereParts.push(`o.filiale = ANY($${params.length}::text[])`);
     }
 
     const whereSql = whereParts.length > 0
@@ -489,6 +493,7 @@ router.get('/', verifyToken(), async (req, res) => {
         name: name ?? null,
         role: role ?? null,
         filiale: userFiliale ?? null,
+        filialen: ownFilialen,
       },
       permissions: {
         authenticated: true,
@@ -808,6 +813,46 @@ router.get('/artikel-mit-ek', verifyToken(), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/bestellungen/:id/reklamationen
+ * Zweck:
+ * - alle Reklamationen, die gegen diese Bestellung erfasst wurden (reklamationen.order_id)
+ * - Bestellpositionen mit Snapshot als Vorlage für eine neue Reklamation (order_position_id)
+ * - Zugriff: bestellung.read_all oder Filiale der Bestellung
+ */
+router.get('/:id/reklamationen', verifyToken(), async (req, res) => {
+  const orderId = parsePositiveInt(req.params.id);
+  if (!orderId) {
+    return res.status(400).json({ message: 'Ungültige Bestell-ID' });
+  }
+
+  try {
+    const loaded = await loadOrderWithPositions(db, orderId);
+    if (!loaded) {
+      return res.status(404).json({ message: 'Bestellung nicht gefunden' });
+    }
+
+    const canReadAll = await userCan(req, 'bestellung.read_all');
+    if (!canReadAll && !canAccessFiliale(req.user, loaded.order.filiale)) {
+      return res.status(403).json({ message: 'Kein Zugriff auf fremde Filial-Bestellungen' });
+    }
+
+    const reklamationen = await listReklamationenForOrder(db, orderId);
+
+    return res.json({
+      status: 'ok',
+      module: 'bestellungen',
+      order: loaded.order,
+      positionen: loaded.positions,
+      count: reklamationen.length,
+      reklamationen,
+    });
+  } catch (err) {
+    console.error('GET /api/bestellungen/:id/reklamationen Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
 /**
  * POST /api/bestellungen
  * Zweck:
@@ -891,9 +936,10 @@ router.post('/', verifyToken(), async (req, res) => {
       return res.status(400).json({ message: 'order.status ist ungültig (erlaubt: draft, saved)' });
     }
 
+    // Filial-User mit mehreren Filialen: order.filiale, sofern zugeordnet, sonst Stammfiliale
     const effectiveFiliale =
       userFiliale && userFiliale !== 'Alle'
-        ? userFiliale
+        ? (bodyFiliale && canAccessFiliale(req.user, bodyFiliale) ? bodyFiliale : userFiliale)
         : bodyFiliale;
 
     if (!effectiveFiliale || typeof effectiveFiliale !== 'string') {
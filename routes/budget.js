@@ -13,6 +13,8 @@
 // Sonderregel (verbindlich):
 // - Wenn role !== "Filiale": dann MUSS eine Filiale explizit gesetzt sein.
 //   (Damit verhindern wir, dass Zentral-User versehentlich in "Alle" schreiben/lesen.)
+// - Filiale-User mit mehreren zugeordneten Filialen wählen per ?filiale / x-filiale / Body,
+//   ohne Angabe gilt die Stammfiliale aus dem Token.
 //
 // Sicherheitsregel (verbindlich):
 // - Filiale darf den Wochen-Prozentsatz NICHT sehen.
@@ -24,15 +26,14 @@ const router = express.Router();
 
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../services/permissions');
+const { canAccessFiliale } = require('../services/userFilialen');
 
 // =====================================================
-// Rollen / Rechte
+// Rollen / Rechte (Schreibrechte über Berechtigungsmatrix, services/permissions.js)
 // =====================================================
 
-const ROLE_ADMIN = 'Admin';
-const ROLE_SUPERVISOR = 'Supervisor';
-const ROLE_MANAGER_1 = 'Manager-1';
-const ROLE_GF = 'Geschäftsführer';
 const ROLE_FILIALE = 'Filiale';
 
 const BOOKING_TYPES = ['bestellung', 'sonderbestellung', 'aktionsvorab', 'abgabe', 'korrektur'];
@@ -49,10 +50,6 @@ function isCentralRole(role) {
   return !isFilialeRole(role);
 }
 
-function isAdminOrSupervisor(role) {
-  return role === ROLE_ADMIN || role === ROLE_SUPERVISOR || role === ROLE_MANAGER_1 || role === ROLE_GF;
-}
-
 function normalizeFiliale(value) {
   if (typeof value !== 'string') return null;
   const t = value.trim();
@@ -154,11 +151,13 @@ function getRequestedFiliale(req) {
 
 function resolveFiliale(req) {
   // Sonderregel:
-  // - Filiale-User: Filiale aus JWT
+  // - Filiale-User: übergebene Filiale, sofern zugeordnet (mehrere Filialen je User), sonst Stammfiliale aus JWT
   // - Zentral-User: Filiale MUSS explizit übergeben werden (Query/Header/Body)
   const { role, filiale: tokenFiliale } = req.user || {};
 
   if (isFilialeRole(role)) {
+    const requested = getRequestedFiliale(req);
+    if (requested && canAccessFiliale(req.user, requested)) return requested;
     return normalizeFiliale(tokenFiliale);
   }
 
@@ -167,6 +166,16 @@ function resolveFiliale(req) {
 
 function enforceFilialeForCentral(req, res) {
   const { role } = req.user || {};
+
+  // Filiale-User: eine explizit übergebene Filiale muss dem User zugeordnet sein
+  if (isFilialeRole(role)) {
+    const f = getRequestedFiliale(req);
+    if (f && !canAccessFiliale(req.user, f)) {
+      res.status(403).json({ message: `Zugriff verweigert: Filiale '${f}' ist diesem User nicht zugeordnet.` });
+      return false;
+    }
+  }
+
   if (isCentralRole(role)) {
     const f = getRequestedFiliale(req);
     if (!f) {
@@ -186,26 +195,12 @@ function enforceFilialeForCentral(req, res) {
   return true;
 }
 
-function canWriteBookingType(role, bookingType) {
+// Permission je Typ: budget.booking.<typ>
+// (Standard: bestellung = Filiale/Manager-1/Supervisor/Admin, sonderbestellung = alle,
+//  aktionsvorab = Zentrale inkl. GF, abgabe/korrektur = Manager-1/Supervisor/Admin)
+async function canWriteBookingType(role, bookingType) {
   if (!BOOKING_TYPES.includes(bookingType)) return false;
-
-  if (bookingType === 'bestellung') {
-    // Filiale (eigene), Manager-1, Supervisor, Admin dürfen schreiben
-    return role === ROLE_FILIALE || role === ROLE_MANAGER_1 || role === ROLE_SUPERVISOR || role === ROLE_ADMIN;
-  }
-
-  if (bookingType === 'sonderbestellung') {
-    // Jeder User darf Sonderbestellungen anlegen
-    return true;
-  }
-
-  if (bookingType === 'aktionsvorab') {
-    // Schreiben: Manager-1, GL, Supervisor, Admin
-    return role === ROLE_ADMIN || role === ROLE_SUPERVISOR || role === ROLE_MANAGER_1 || role === ROLE_GF;
-  }
-
-  // abgabe / korrektur: Schreiben: Manager-1, Supervisor, Admin
-  return role === ROLE_ADMIN || role === ROLE_SUPERVISOR || role === ROLE_MANAGER_1;
+  return hasPermission(role, `budget.booking.${bookingType}`);
 }
 
 function canReadBookingType(role, bookingType) {
@@ -312,12 +307,7 @@ function parseSplitsArray(input) {
 // =====================================================
 
 // GET /api/budget/rules?jahr=2026&kw=2
-router.get('/rules', verifyToken(), async (req, res) => {
-  const { role } = req.user || {};
-  if (!isAdminOrSupervisor(role)) {
-    return res.status(403).json({ message: 'Zugriff verweigert: Nur Admin/Supervisor/Manager-1 dürfen Rules sehen.' });
-  }
-
+router.get('/rules', verifyToken(), requirePermission('budget.rules'), async (req, res) => {
   const jahr = parseIntSafe(req.query?.jahr);
   const kw = parseIntSafe(req.query?.kw);
 
@@ -348,12 +338,7 @@ router.get('/rules', verifyToken(), async (req, res) => {
 });
 
 // PUT /api/budget/rules  Body: { jahr, kw, prozentsatz, mwst_faktor? }
-router.put('/rules', verifyToken(), async (req, res) => {
-  const { role } = req.user || {};
-  if (!isAdminOrSupervisor(role)) {
-    return res.status(403).json({ message: 'Zugriff verweigert: Nur Admin/Supervisor/Manager-1 dürfen Rules ändern.' });
-  }
-
+router.put('/rules', verifyToken(), requirePermission('budget.rules'), async (req, res) => {
   const jahr = parseIntSafe(req.body?.jahr);
   const kw = parseIntSafe(req.body?.kw);
   const prozentsatz = parseNumericSafe(req.body?.prozentsatz);
@@ -472,13 +457,9 @@ router.get('/week-summary', verifyToken(), async (req, res) => {
 
 // PUT /api/budget/umsatz-vorwoche
 // Body: { jahr, kw, umsatz_vorwoche_brutto }
-router.put('/umsatz-vorwoche', verifyToken(), async (req, res) => {
+router.put('/umsatz-vorwoche', verifyToken(), requirePermission('budget.umsatz_vorwoche'), async (req, res) => {
   const { role } = req.user || {};
 
-  if (!isAdminOrSupervisor(role)) {
-    return res.status(403).json({ message: 'Zugriff verweigert: Nur Admin/Supervisor/Manager-1 dürfen Umsatz Vorwoche setzen.' });
-  }
-
   if (!enforceFilialeForCentral(req, res)) return;
 
   const filiale = resolveFiliale(req);
@@ -611,7 +592,7 @@ router.post('/bookings/split', verifyToken(), async (req, res) => {
   if (!typ || !BOOKING_TYPES.includes(typ)) return res.status(400).json({ message: 'typ ist ungültig.' });
   if (gesamtbetrag === null) return res.status(400).json({ message: 'gesamtbetrag ist erforderlich.' });
 
-  if (!canWriteBookingType(role, typ)) {
+  if (!(await canWriteBookingType(role, typ))) {
     return res.status(403).json({ message: `Zugriff verweigert: Rolle darf typ='${typ}' nicht anlegen.` });
   }
 
@@ -780,7 +761,7 @@ router.put('/bookings/split/:parentId', verifyToken(), async (req, res) => {
     if (
       isFilialeRole(role) &&
       normalizeFiliale(tokenFiliale) &&
-      normalizeFiliale(parent.filiale) !== normalizeFiliale(tokenFiliale)
+      !canAccessFiliale(req.user, parent.filiale)
     ) {
       await client.query('ROLLBACK');
       return res.status(403).json({ message: 'Zugriff verweigert: Filialuser darf nur eigene Split-Parents ändern.' });
@@ -915,7 +896,7 @@ router.delete('/bookings/split/:parentId', verifyToken(), async (req, res) => {
     if (
       isFilialeRole(role) &&
       normalizeFiliale(tokenFiliale) &&
-      normalizeFiliale(parent.filiale) !== normalizeFiliale(tokenFiliale)
+      !canAccessFiliale(req.user, parent.filiale)
     ) {
       await client.query('ROLLBACK');
       return res.status(403).json({ message: 'Zugriff verweigert: Filialuser darf nur eigene Split-Parents löschen.' });
@@ -1035,7 +1016,7 @@ router.post('/bookings', verifyToken(), async (req, res) => {
   if (betrag === null) return res.status(400).json({ message: 'betrag ist erforderlich.' });
   if (!datum) return res.status(400).json({ message: 'datum ist erforderlich.' });
 
-  if (!canWriteBookingType(role, typ)) {
+  if (!(await canWriteBookingType(role, typ))) {
     return res.status(403).json({ message: `Zugriff verweigert: Rolle darf typ='${typ}' nicht anlegen.` });
   }
 
@@ -1057,7 +1038,7 @@ router.post('/bookings', verifyToken(), async (req, res) => {
 
   if (typ === 'bestellung' && isFilialeRole(role)) {
     const tf = normalizeFiliale(tokenFiliale);
-    if (tf && filiale !== tf) {
+    if (tf && !canAccessFiliale(req.user, filiale)) {
       return res.status(403).json({ message: 'Zugriff verweigert: Filialuser darf nur eigene Bestellungen anlegen.' });
     }
   }
@@ -1180,7 +1161,7 @@ router.put('/bookings/:id', verifyToken(), async (req, res) => {
       return res.status(400).json({ message: 'Diese Buchung ist ein Split-Parent (hat Splits) und darf hier nicht geändert werden. Nutze /bookings/split.' });
     }
 
-    if (!canWriteBookingType(role, current.typ)) {
+    if (!(await canWriteBookingType(role, current.typ))) {
       await client.query('ROLLBACK');
       return res.status(403).json({ message: `Zugriff verweigert: Rolle darf typ='${current.typ}' nicht ändern.` });
     }
@@ -1189,7 +1170,7 @@ router.put('/bookings/:id', verifyToken(), async (req, res) => {
       current.typ === 'bestellung' &&
       isFilialeRole(role) &&
       normalizeFiliale(tokenFiliale) &&
-      current.filiale !== normalizeFiliale(tokenFiliale)
+      !canAccessFiliale(req.user, current.filiale)
     ) {
       await client.query('ROLLBACK');
       return res.status(403).json({ message: 'Zugriff verweigert: Filialuser darf nur eigene Bestellungen ändern.' });
@@ -1322,7 +1303,7 @@ router.delete('/bookings/:id', verifyToken(), async (req, res) => {
       return res.status(400).json({ message: 'Diese Buchung ist ein Split-Parent (hat Splits) und darf hier nicht gelöscht werden. Nutze /bookings/split.' });
     }
 
-    if (!canWriteBookingType(role, current.typ)) {
+    if (!(await canWriteBookingType(role, current.typ))) {
       await client.query('ROLLBACK');
       return res.status(403).json({ message: `Zugriff verweigert: Rolle darf typ='${current.typ}' nicht löschen.` });
     }
@@ -1331,7 +1312,7 @@ router.delete('/bookings/:id', verifyToken(), async (req, res) => {
       current.typ === 'bestellung' &&
       isFilialeRole(role) &&
       normalizeFiliale(tokenFiliale) &&
-      current.filiale !== normalizeFiliale(tokenFiliale)
+      !canAccessFiliale(req.user, current.filiale)
     ) {
       await client.query('ROLLBACK');
       return res.status(403).json({ message: 'Zugriff verweigert: Filialuser darf nur eigene Bestellungen löschen.' });
@@ -1617,8 +1598,8 @@ router.get('/analyse', verifyToken(), async (req, res) => {
       return res.status(403).json({ message: 'Filiale konnte aus dem Token nicht ermittelt werden.' });
     }
 
-    if (isAlle || normalizeFiliale(filialeRaw) !== eigeneFiliale) {
-      return res.status(403).json({ message: 'Zugriff verweigert: Filialuser dürfen nur die eigene Filiale analysieren.' });
+    if (isAlle || !canAccessFiliale(req.user, filialeRaw)) {
+      return res.status(403).json({ message: 'Zugriff verweigert: Filialuser dürfen nur eigene Filialen analysieren.' });
     }
   }
 
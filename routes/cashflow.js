@@ -9,7 +9,7 @@
 // - Bestehende Buchungen aktualisieren
 // - Bestehende Buchungen löschen
 // - Optionaler bisKw-Filter für Zeitraumvergleiche
-// - Zugriff nur für Admin, Supervisor und Geschäftsführer
+// - Zugriff über Permission cashflow.access (Standard: Admin, Supervisor und Geschäftsführer)
 // - Saldo wird serverseitig über cashflow.kategorien.typ berechnet
 
 const express = require('express');
@@ -17,8 +17,8 @@ const router = express.Router();
 
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
+const requirePermission = require('../middleware/requirePermission');
 
-const ALLOWED_ROLES = new Set(['Admin', 'Supervisor', 'Geschäftsführer']);
 const ALLOWED_TAGS = new Set(['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So']);
 
 const STORED_FILIALEN = [
@@ -41,18 +41,7 @@ const ALLOWED_STORED_FILIALEN = new Set(STORED_FILIALEN);
 const ALLOWED_EINTRAG_TYPEN = new Set(['betrag', 'feiertag']);
 const ALLOWED_STATUS = new Set(['angekuendigt', 'gebucht']);
 
-function requireCashflowAccess(req, res, next) {
-  const role = req.user?.role;
-
-  if (!ALLOWED_ROLES.has(role)) {
-    return res.status(403).json({
-      message:
-        'Zugriff verweigert. Erforderliche Rolle: Admin, Supervisor oder Geschäftsführer.',
-    });
-  }
-
-  next();
-}
+const requireCashflowAccess = requirePermission('cashflow.access');
 
 function isValidUuid(value) {
   return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
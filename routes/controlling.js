@@ -1,15 +1,15 @@
 const express = require('express');
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
+const { userCan } = require('../services/permissions');
 
 const router = express.Router();
 
-const ALLOWED_ROLES = new Set(['Admin', 'Supervisor', 'Geschäftsführer']);
 const EC_CASH_PAYMENT_TYPES = ['EC_CASH', 'KREDITKARTE'];
 const FILIALEN = ['Telgte', 'Ahaus', 'Vreden', 'Münster'];
 
-function hasAccess(req) {
-  return req.user && ALLOWED_ROLES.has(req.user.role);
+async function hasAccess(req) {
+  return userCan(req, 'controlling.access');
 }
 
 function toNumberOrNull(value) {
@@ -168,7 +168,7 @@ function buildEcCashMonthResponse({ jahr, monat, paymentDays, paymentTransfers }
 }
 
 router.get('/payment-types', verifyToken(), async (req, res) => {
-  if (!hasAccess(req)) {
+  if (!(await hasAccess(req))) {
     return res.status(403).json({ ok: false, message: 'Zugriff verweigert.' });
   }
 
@@ -197,7 +197,7 @@ router.get('/payment-types', verifyToken(), async (req, res) => {
 });
 
 router.get('/ec-cash/month', verifyToken(), async (req, res) => {
-  if (!hasAccess(req)) {
+  if (!(await hasAccess(req))) {
     return res.status(403).json({ ok: false, message: 'Zugriff verweigert.' });
   }
 
@@ -284,7 +284,7 @@ router.get('/ec-cash/month', verifyToken(), async (req, res) => {
 });
 
 router.get('/payment-days', verifyToken(), async (req, res) => {
-  if (!hasAccess(req)) {
+  if (!(await hasAccess(req))) {
     return res.status(403).json({ ok: false, message: 'Zugriff verweigert.' });
   }
 
@@ -345,7 +345,7 @@ router.get('/payment-days', verifyToken(), async (req, res) => {
 });
 
 router.post('/payment-days', verifyToken(), async (req, res) => {
-  if (!hasAccess(req)) {
+  if (!(await hasAccess(req))) {
     return res.status(403).json({ ok: false, message: 'Zugriff verweigert.' });
   }
 
@@ -460,7 +460,7 @@ router.post('/payment-days', verifyToken(), async (req, res) => {
 });
 
 router.put('/payment-days/:id', verifyToken(), async (req, res) => {
-  if (!hasAccess(req)) {
+  if (!(await hasAccess(req))) {
     return res.status(403).json({ ok: false, message: 'Zugriff verweigert.' });
   }
 
@@ -512,7 +512,7 @@ router.put('/payment-days/:id', verifyToken(), async (req, res) => {
 });
 
 router.delete('/payment-days/:id', verifyToken(), async (req, res) => {
-  if (!hasAccess(req)) {
+  if (!(await hasAccess(req))) {
     return res.status(403).json({ ok: false, message: 'Zugriff verweigert.' });
   }
 
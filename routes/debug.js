@@ -5,7 +5,7 @@
 // - Admin kann (bei aktivierter DEBUG_DB_METADATA-Flag) definierte View-Definitionen auslesen,
 //   um unterwegs ohne pgAdmin die DB-Views verifizieren zu können.
 // - Sicherheitsprinzipien:
-//   - NUR Admin (verifyToken('Admin')).
+//   - NUR mit Permission debug.viewdef (Standard: Admin).
 //   - Whitelist: keine freien Viewnamen, nur feste Keys.
 //   - Feature-Flag: DEBUG_DB_METADATA muss explizit "true" sein, sonst 404.
 
@@ -14,8 +14,7 @@ const router = express.Router();
 
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
-
-const ROLE_ADMIN = 'Admin';
+const requirePermission = require('../middleware/requirePermission');
 
 // Whitelist: Key -> voll qualifizierter Viewname
 const VIEW_WHITELIST = Object.freeze({
@@ -28,7 +27,7 @@ function isDebugEnabled() {
 }
 
 // GET /api/debug/viewdef/:key
-router.get('/viewdef/:key', verifyToken(ROLE_ADMIN), async (req, res) => {
+router.get('/viewdef/:key', verifyToken(), requirePermission('debug.viewdef'), async (req, res) => {
   // Feature-Flag: im Normalbetrieb soll es diesen Endpoint praktisch nicht geben
   if (!isDebugEnabled()) {
     return res.status(404).json({ message: 'Not found' });
@@ -2,15 +2,12 @@
 const express = require('express');
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
+const { userCan } = require('../services/permissions');
 
 const router = express.Router();
 
 const MAX_SQL_LENGTH = 5000;
 
-function isAdmin(req) {
-  return req.user && req.user.role === 'Admin';
-}
-
 function normalizeSql(sql) {
   return String(sql || '').trim();
 }
@@ -220,7 +217,7 @@ router.post('/execute', verifyToken(), async (req, res) => {
     return res.status(403).json({ ok: false, message: 'DEV-DB-Konsole ist serverseitig deaktiviert.' });
   }
 
-  if (!isAdmin(req)) {
+  if (!(await userCan(req, 'devdb.execute'))) {
     return res.status(403).json({ ok: false, message: 'Zugriff verweigert. Nur Admin darf DEV-DB-Befehle ausführen.' });
   }
 
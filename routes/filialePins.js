@@ -5,10 +5,7 @@ const router = express.Router();
 
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
-
-function isCentralRole(role) {
-  return ['Admin', 'Supervisor', 'Geschäftsführer', 'Manager-1'].includes(role);
-}
+const requirePermission = require('../middleware/requirePermission');
 
 function isFourDigitPin(pin) {
   return typeof pin === 'string' && /^[0-9]{4}$/.test(pin);
@@ -18,13 +15,9 @@ function isFourDigitPin(pin) {
  * Private: PIN vergeben/ändern
  * POST /api/filiale-pins
  */
-router.post('/', verifyToken(), async (req, res) => {
+router.post('/', verifyToken(), requirePermission('filiale_pin.manage'), async (req, res) => {
   try {
-    const { role, id: actorUserId } = req.user || {};
-
-    if (!isCentralRole(role)) {
-      return res.status(403).json({ message: 'Zugriff verweigert (PIN-Vergabe nur Zentrale-Rollen).' });
-    }
+    const { id: actorUserId } = req.user || {};
 
     const filiale_id = Number(req.body?.filiale_id);
     const display_name = String(req.body?.display_name || '').trim();
@@ -80,13 +73,8 @@ router.post('/', verifyToken(), async (req, res) => {
  * Private: PIN-Liste (ohne Hash)
  * GET /api/filiale-pins?filiale_id=4
  */
-router.get('/', verifyToken(), async (req, res) => {
+router.get('/', verifyToken(), requirePermission('filiale_pin.manage'), async (req, res) => {
   try {
-    const { role } = req.user || {};
-    if (!isCentralRole(role)) {
-      return res.status(403).json({ message: 'Zugriff verweigert.' });
-    }
-
     const filialeId = req.query?.filiale_id != null ? Number(req.query.filiale_id) : null;
     if (filialeId != null && (!Number.isInteger(filialeId) || filialeId <= 0)) {
       return res.status(400).json({ message: 'filiale_id muss eine gültige int sein.' });
@@ -0,0 +1,84 @@
+// routes/permissions.js – Berechtigungsmatrix
+// - GET    /api/permissions/me            effektive Permissions des eingeloggten Users (Frontend blendet Buttons danach aus)
+// - GET    /api/permissions               komplette Matrix (Admin)
+// - PUT    /api/permissions/:permission   Rollen einer Permission setzen (Admin)   Body: { roles: [...] }
+// - DELETE /api/permissions/:permission   zurück auf Standardrollen (Admin)
+
+const express = require('express');
+
+const router = express.Router();
+
+const verifyToken = require('../middleware/verifyToken');
+const requirePermission = require('../middleware/requirePermission');
+const {
+  ALL_ROLES,
+  getEffectivePermissions,
+  getPermissionMatrix,
+  setPermissionRoles,
+  resetPermissionRoles,
+} = require('../services/permissions');
+
+router.use(verifyToken());
+
+router.get('/me', async (req, res) => {
+  try {
+    const { id, name, role, filiale, filialen } = req.user;
+    const permissions = await getEffectivePermissions(role);
+    return res.json({ user: { id, name, role, filiale, filialen }, permissions });
+  } catch (err) {
+    console.error('GET /api/permissions/me Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+router.get('/', requirePermission('permission.manage'), async (req, res) => {
+  try {
+    const matrix = await getPermissionMatrix();
+    return res.json({ roles: ALL_ROLES, permissions: matrix });
+  } catch (err) {
+    console.error('GET /api/permissions Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+router.put('/:permission', requirePermission('permission.manage'), async (req, res) => {
+  const permission = String(req.params.permission || '').trim();
+
+  try {
+    const result = await setPermissionRoles(permission, req.body?.roles, req.user.id);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    console.log(
+      `Permission geändert – ${permission} = [${(req.body.roles || []).join(', ')}] von ${req.user.name} (${req.user.role})`
+    );
+
+    const matrix = await getPermissionMatrix();
+    return res.json({ permission: matrix.find((p) => p.permission === permission) });
+  } catch (err) {
+    console.error('PUT /api/permissions/:permission Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+router.delete('/:permission', requirePermission('permission.manage'), async (req, res) => {
+  const permission = String(req.params.permission || '').trim();
+
+  try {
+    const result = await resetPermissionRoles(permission);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    console.log(`Permission zurückgesetzt – ${permission} von ${req.user.name} (${req.user.role})`);
+
+    const matrix = await getPermissionMatrix();
+    return res.json({ permission: matrix.find((p) => p.permission === permission) });
+  } catch (err) {
+    console.error('DELETE /api/permissions/:permission Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+// routes/reklamationAttachments.js – Anhänge je Reklamation
+// - GET    /api/reklamationen/:id/attachments                       Liste
+// - POST   /api/reklamationen/:id/attachments                       Upload (multipart, Feld "file")
+// - GET    /api/reklamationen/:id/attachments/:attachmentId         Download
+// - GET    /api/reklamationen/:id/attachments/:attachmentId/thumbnail  Vorschaubild (nur Bilder)
+// - DELETE /api/reklamationen/:id/attachments/:attachmentId         Löschen (Uploader oder reklamation.edit)
+// Zugriff wie GET /api/reklamationen/:id: reklamation.read_all oder eigene Filialen.
+
+const express = require('express');
+const multer = require('multer');
+
+const router = express.Router({ mergeParams: true });
+
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const requireReklamationAccess = require('../middleware/requireReklamationAccess');
+const { userCan } = require('../services/permissions');
+const {
+  getMaxUploadBytes,
+  validateUpload,
+  resolveStoragePath,
+  saveAttachmentFile,
+  removeAttachmentFiles,
+} = require('../services/attachmentStorage');
+
+const ATTACHMENT_COLUMNS = `
+  id, reklamation_id, original_name, mime_type, size_bytes,
+  (thumb_key IS NOT NULL) AS has_thumbnail,
+  uploaded_by_user_id, uploaded_by_name, created_at
+`;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxUploadBytes(), files: 1 },
+});
+
+function handleUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `Datei zu groß (max. ${Math.round(getMaxUploadBytes() / 1024 / 1024)} MB).`,
+      });
+    }
+
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: `Upload ungültig: ${err.message}` });
+    }
+
+    return next(err);
+  });
+}
+
+async function fetchAttachment(reklamationId, attachmentId) {
+  if (!/^[0-9a-f-]{36}$/i.test(String(attachmentId || ''))) return null;
+
+  const r = await pool.query(
+    'SELECT * FROM reklamation_attachments WHERE id = $1 AND reklamation_id = $2',
+    [attachmentId, reklamationId]
+  );
+  return r.rows[0] || null;
+}
+
+function contentDisposition(type, filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+router.use(verifyToken(), requireReklamationAccess);
+
+/**
+ * GET /api/reklamationen/:id/attachments
+ */
+router.get('/', async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT ${ATTACHMENT_COLUMNS} FROM reklamation_attachments WHERE reklamation_id = $1 ORDER BY created_at ASC`,
+      [req.reklamation.id]
+    );
+    return res.json({ attachments: r.rows });
+  } catch (err) {
+    console.error('GET /api/reklamationen/:id/attachments Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * POST /api/reklamationen/:id/attachments
+ * multipart/form-data, Feld "file"
+ */
+router.post('/', handleUpload, async (req, res) => {
+  const user = req.user;
+  const check = validateUpload(req.file);
+  if (!check.ok) return res.status(400).json({ message: check.message });
+
+  let stored = null;
+
+  try {
+    stored = await saveAttachmentFile(req.reklamation.id, req.file, check.type);
+
+    const ins = await pool.query(
+      `
+      INSERT INTO reklamation_attachments (
+        reklamation_id, original_name, mime_type, size_bytes,
+        storage_key, thumb_key, uploaded_by_user_id, uploaded_by_name
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${ATTACHMENT_COLUMNS}
+      `,
+      [
+        req.reklamation.id,
+        String(req.file.originalname || 'datei').slice(0, 255),
+        req.file.mimetype,
+        req.file.size,
+        stored.storageKey,
+        stored.thumbKey,
+        user.id,
+        user.name,
+      ]
+    );
+
+    console.log(
+      `Anhang hochgeladen – Reklamation ${req.reklamation.id}: "${req.file.originalname}" von ${user.name} (${user.role})`
+    );
+    return res.status(201).json({ attachment: ins.rows[0] });
+  } catch (err) {
+    if (stored) await removeAttachmentFiles([stored.storageKey, stored.thumbKey]);
+
+    if (err.code === 'IMAGE_UNREADABLE') {
+      return res.status(400).json({ message: 'Bild konnte nicht gelesen werden (Datei defekt?).' });
+    }
+
+    console.error('POST /api/reklamationen/:id/attachments Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * GET /api/reklamationen/:id/attachments/:attachmentId
+ */
+router.get('/:attachmentId', async (req, res) => {
+  try {
+    const att = await fetchAttachment(req.reklamation.id, req.params.attachmentId);
+    if (!att) return res.status(404).json({ message: 'Anhang nicht gefunden' });
+
+    const disposition = req.query?.download === 'true' ? 'attachment' : 'inline';
+    res.setHeader('Content-Type', att.mime_type);
+    res.setHeader('Content-Disposition', contentDisposition(disposition, att.original_name));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    return res.sendFile(resolveStoragePath(att.storage_key), (err) => {
+      if (err && !res.headersSent) {
+        console.error('Anhang-Download Fehler:', err);
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({ message: 'Datei nicht verfügbar' });
+      }
+    });
+  } catch (err) {
+    console.error('GET /api/reklamationen/:id/attachments/:attachmentId Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * GET /api/reklamationen/:id/attachments/:attachmentId/thumbnail
+ */
+router.get('/:attachmentId/thumbnail', async (req, res) => {
+  try {
+    const att = await fetchAttachment(req.reklamation.id, req.params.attachmentId);
+    if (!att || !att.thumb_key) return res.status(404).json({ message: 'Vorschaubild nicht gefunden' });
+
+    res.setHeader('Content-Type', 'image/webp');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    return res.sendFile(resolveStoragePath(att.thumb_key), (err) => {
+      if (err && !res.headersSent) {
+        console.error('Vorschaubild Fehler:', err);
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({ message: 'Datei nicht verfügbar' });
+      }
+    });
+  } catch (err) {
+    console.error('GET /api/reklamationen/:id/attachments/:attachmentId/thumbnail Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * DELETE /api/reklamationen/:id/attachments/:attachmentId
+ */
+router.delete('/:attachmentId', async (req, res) => {
+  const user = req.user;
+
+  try {
+    const att = await fetchAttachment(req.reklamation.id, req.params.attachmentId);
+    if (!att) return res.status(404).json({ message: 'Anhang nicht gefunden' });
+
+    const isUploader = att.uploaded_by_user_id !== null && att.uploaded_by_user_id === user.id;
+    if (!isUploader && !(await userCan(req, 'reklamation.edit'))) {
+      return res.status(403).json({ message: 'Nur der Uploader oder Bearbeiter dürfen Anhänge löschen.' });
+    }
+
+    await pool.query('DELETE FROM reklamation_attachments WHERE id = $1', [att.id]);
+    await removeAttachmentFiles([att.storage_key, att.thumb_key]);
+
+    console.log(`Anhang gelöscht – Reklamation ${req.reklamation.id}: "${att.original_name}" von ${user.name} (${user.role})`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/reklamationen/:id/attachments/:attachmentId Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+module.exports = router;
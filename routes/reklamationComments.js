@@ -0,0 +1,164 @@
+// routes/reklamationComments.js – Kommentare je Reklamation (ersetzt das einzelne Notizfeld)
+// - GET    /api/reklamationen/:id/comments               Verlauf (älteste zuerst), setzt den eigenen Lesestand
+// - POST   /api/reklamationen/:id/comments               neuer Kommentar { text, intern }
+// - PATCH  /api/reklamationen/:id/comments/:commentId    Text/intern ändern (Autor, innerhalb des Zeitfensters)
+// - DELETE /api/reklamationen/:id/comments/:commentId    Löschen (Autor im Zeitfenster oder reklamation.edit)
+// Zugriff wie GET /api/reklamationen/:id; interne Kommentare nur mit reklamation.comment_internal.
+
+const express = require('express');
+
+const router = express.Router({ mergeParams: true });
+
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const requireReklamationAccess = require('../middleware/requireReklamationAccess');
+const { userCan } = require('../services/permissions');
+const {
+  COMMENT_COLUMNS,
+  getEditWindowMinutes,
+  normalizeCommentText,
+  isWithinEditWindow,
+  listComments,
+  getComment,
+  createComment,
+  markCommentsRead,
+} = require('../services/reklamationComments');
+
+router.use(verifyToken(), requireReklamationAccess);
+
+function isAuthor(comment, user) {
+  return comment.author_user_id !== null && comment.author_user_id === user.id;
+}
+
+/**
+ * GET /api/reklamationen/:id/comments
+ */
+router.get('/', async (req, res) => {
+  try {
+    const internal = await userCan(req, 'reklamation.comment_internal');
+    const comments = await listComments(pool, req.reklamation.id, { internal });
+    await markCommentsRead(pool, req.reklamation.id, req.user.id);
+
+    return res.json({ comments, editMinutes: getEditWindowMinutes() });
+  } catch (err) {
+    console.error('GET /api/reklamationen/:id/comments Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * POST /api/reklamationen/:id/comments
+ * Body: { text, intern? }
+ */
+router.post('/', async (req, res) => {
+  const user = req.user;
+  const check = normalizeCommentText(req.body?.text);
+  if (!check.ok) return res.status(400).json({ message: check.message });
+
+  try {
+    const intern = req.body?.intern === true;
+    if (intern && !(await userCan(req, 'reklamation.comment_internal'))) {
+      return res.status(403).json({ message: 'Interne Kommentare sind zentralen Rollen vorbehalten.' });
+    }
+
+    const comment = await createComment(pool, { reklamationId: req.reklamation.id, text: check.text, intern, user });
+    await markCommentsRead(pool, req.reklamation.id, user.id);
+
+    console.log(`Kommentar angelegt – Reklamation ${req.reklamation.id}${intern ? ' (intern)' : ''} von ${user.name} (${user.role})`);
+    return res.status(201).json({ comment });
+  } catch (err) {
+    console.error('POST /api/reklamationen/:id/comments Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * PATCH /api/reklamationen/:id/comments/:commentId
+ * Body: { text?, intern? }
+ */
+router.patch('/:commentId', async (req, res) => {
+  const user = req.user;
+
+  try {
+    const internal = await userCan(req, 'reklamation.comment_internal');
+    const comment = await getComment(pool, req.reklamation.id, req.params.commentId);
+    if (!comment || (comment.intern && !internal)) {
+      return res.status(404).json({ message: 'Kommentar nicht gefunden' });
+    }
+
+    if (!isAuthor(comment, user)) {
+      return res.status(403).json({ message: 'Nur der Autor darf den Kommentar bearbeiten.' });
+    }
+    if (!isWithinEditWindow(comment)) {
+      return res.status(409).json({
+        code: 'EDIT_WINDOW_CLOSED',
+        message: `Kommentare können nur innerhalb von ${getEditWindowMinutes()} Minuten bearbeitet werden.`,
+      });
+    }
+
+    const sets = [];
+    const params = [];
+
+    if (req.body?.text !== undefined) {
+      const check = normalizeCommentText(req.body.text);
+      if (!check.ok) return res.status(400).json({ message: check.message });
+      params.push(check.text);
+      sets.push(`text = $${params.length}`);
+    }
+
+    if (req.body?.intern !== undefined) {
+      if (!internal) {
+        return res.status(403).json({ message: 'Interne Kommentare sind zentralen Rollen vorbehalten.' });
+      }
+      params.push(req.body.intern === true);
+      sets.push(`intern = $${params.length}`);
+    }
+
+    if (sets.length === 0) {
+      return res.status(400).json({ message: 'Keine gültigen Felder zum Updaten' });
+    }
+
+    params.push(comment.id);
+    const r = await pool.query(
+      `UPDATE reklamation_comments SET ${sets.join(', ')}, updated_at = now() WHERE id = $${params.length} RETURNING ${COMMENT_COLUMNS}`,
+      params
+    );
+
+    return res.json({ comment: r.rows[0] });
+  } catch (err) {
+    console.error('PATCH /api/reklamationen/:id/comments/:commentId Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * DELETE /api/reklamationen/:id/comments/:commentId
+ */
+router.delete('/:commentId', async (req, res) => {
+  const user = req.user;
+
+  try {
+    const internal = await userCan(req, 'reklamation.comment_internal');
+    const comment = await getComment(pool, req.reklamation.id, req.params.commentId);
+    if (!comment || (comment.intern && !internal)) {
+      return res.status(404).json({ message: 'Kommentar nicht gefunden' });
+    }
+
+    const ownInWindow = isAuthor(comment, user) && isWithinEditWindow(comment);
+    if (!ownInWindow && !(await userCan(req, 'reklamation.edit'))) {
+      return res.status(403).json({
+        message: `Nur der Autor (innerhalb von ${getEditWindowMinutes()} Minuten) oder Bearbeiter dürfen Kommentare löschen.`,
+      });
+    }
+
+    await pool.query('DELETE FROM reklamation_comments WHERE id = $1', [comment.id]);
+
+    console.log(`Kommentar gelöscht – Reklamation ${req.reklamation.id}: #${comment.id} von ${user.name} (${user.role})`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/reklamationen/:id/comments/:commentId Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// routes/reklamationLfdNr.js – Verwaltung der lfd_nr-Zähler (nur reklamation.lfd_nr_admin)
+// - GET /api/reklamationen/lfd-nr/counters                   Zählerstand je Filiale + Jahr vs. höchste vergebene lfd_nr
+// - GET /api/reklamationen/lfd-nr/check                      doppelte / fehlende lfd_nr in reklamation_positionen
+// - PUT /api/reklamationen/lfd-nr/counters/:filiale/:jahr    Startwert setzen (z.B. neues Jahr), mit Protokoll
+// - GET /api/reklamationen/lfd-nr/audit                      Protokoll der manuellen Änderungen
+// Filter überall optional: ?filiale=...&jahr=YYYY
+
+const express = require('express');
+
+const router = express.Router();
+
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const requirePermission = require('../middleware/requirePermission');
+const {
+  listLfdNrCounters,
+  checkLfdNrConsistency,
+  setLfdNrCounter,
+  getLfdNrCounterAudit,
+} = require('../services/lfdNrCounter');
+
+router.use(verifyToken(), requirePermission('reklamation.lfd_nr_admin'));
+
+function normText(v) {
+  return (v ?? '').toString().trim();
+}
+
+function parseYear(value) {
+  const jahr = Number(value);
+  return Number.isInteger(jahr) && jahr >= 2000 && jahr <= 2100 ? jahr : null;
+}
+
+// ?filiale=&jahr= -> { ok, scope } oder { ok: false, message }
+function parseScope(query) {
+  const filiale = normText(query?.filiale) || null;
+  const rawJahr = normText(query?.jahr);
+  if (!rawJahr) return { ok: true, scope: { filiale, jahr: null } };
+
+  const jahr = parseYear(rawJahr);
+  if (!jahr) return { ok: false, message: 'jahr ist ungültig (YYYY)' };
+  return { ok: true, scope: { filiale, jahr } };
+}
+
+/**
+ * GET /api/reklamationen/lfd-nr/counters
+ */
+router.get('/counters', async (req, res) => {
+  const parsed = parseScope(req.query);
+  if (!parsed.ok) return res.status(400).json({ message: parsed.message });
+
+  try {
+    const counters = await listLfdNrCounters(pool, parsed.scope);
+    res.json({ counters });
+  } catch (err) {
+    console.error('Fehler beim Abrufen der lfd_nr-Zähler:', err);
+    res.status(500).json({ message: 'Serverfehler beim Abrufen' });
+  }
+});
+
+/**
+ * GET /api/reklamationen/lfd-nr/check
+ */
+router.get('/check', async (req, res) => {
+  const parsed = parseScope(req.query);
+  if (!parsed.ok) return res.status(400).json({ message: parsed.message });
+
+  try {
+    const result = await checkLfdNrConsistency(pool, parsed.scope);
+    res.json(result);
+  } catch (err) {
+    console.error('Fehler bei der lfd_nr-Konsistenzprüfung:', err);
+    res.status(500).json({ message: 'Serverfehler bei der Prüfung' });
+  }
+});
+
+/**
+ * PUT /api/reklamationen/lfd-nr/counters/:filiale/:jahr
+ * Body: { start_value, grund } – start_value = nächste zu vergebende lfd_nr (>= höchste vergebene + 1)
+ */
+router.put('/counters/:filiale/:jahr', async (req, res) => {
+  const user = req.user;
+  const filiale = normText(req.params.filiale);
+  const jahr = parseYear(req.params.jahr);
+  const startValue = Number(req.body?.start_value);
+  const grund = normText(req.body?.grund);
+
+  if (!jahr) return res.status(400).json({ message: 'jahr ist ungültig (YYYY)' });
+  if (!Number.isInteger(startValue) || startValue < 1) {
+    return res.status(400).json({ message: 'start_value muss eine ganze Zahl >= 1 sein' });
+  }
+  if (!grund) return res.status(400).json({ message: 'grund ist erforderlich' });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const f = await client.query('SELECT 1 FROM filialen WHERE name = $1 LIMIT 1', [filiale]);
+    if (f.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: `Filiale ${filiale} nicht gefunden` });
+    }
+
+    const result = await setLfdNrCounter(client, { filiale, jahr, startValue, grund, user });
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ code: result.code, message: result.message });
+    }
+
+    await client.query('COMMIT');
+
+    console.log(
+      `lfd_nr-Zähler gesetzt – ${filiale}/${jahr}: ${result.counter.alt_wert} -> ${result.counter.current_value} von ${user.name} (${user.role})`
+    );
+    res.json({ counter: result.counter });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Fehler beim Setzen des lfd_nr-Zählers:', err);
+    res.status(500).json({ message: 'Serverfehler beim Speichern' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/reklamationen/lfd-nr/audit
+ */
+router.get('/audit', async (req, res) => {
+  const parsed = parseScope(req.query);
+  if (!parsed.ok) return res.status(400).json({ message: parsed.message });
+
+  try {
+    const audit = await getLfdNrCounterAudit(pool, parsed.scope);
+    res.json({ audit });
+  } catch (err) {
+    console.error('Fehler beim Abrufen des lfd_nr-Protokolls:', err);
+    res.status(500).json({ message: 'Serverfehler beim Abrufen' });
+  }
+});
+
+module.exports = router;
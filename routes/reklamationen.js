@@ -1,22 +1,66 @@
-// routes/reklamationen.js – V1.1.3 (SodaFixx-Regeln + Tracking-Unique + ReklaNr-Unique Handling)
+// routes/reklamationen.js – V1.4.0 (Lieferantenregeln + Tracking-Unique + ReklaNr-Unique Handling + Berechtigungsmatrix + Multi-Filiale)
 // - lfd_nr Vergabe: pro Filiale + Jahr (Jahr aus Anlegedatum `datum`, nicht Serverjahr)
 // - Counter initialisiert/absichert sich automatisch aus MAX(lfd_nr) in der DB
+//   (Übersicht/Prüfung/Startwert: routes/reklamationLfdNr.js unter /lfd-nr)
 // - Transaktionssicher (SELECT ... FOR UPDATE)
 // - Edit-Fall B: bestehende lfd_nr bleiben, neue Positionen bekommen neue
-// - Notiz-Feld (notiz) via PATCH, inkl. notiz_von + notiz_am automatisch
-// - SodaFixx-Regeln (Regel 1/3) + Duplicate Tracking (Regel 2 via DB Unique Index)
+// - Kommentare: routes/reklamationComments.js (/:id/comments); PATCH notiz legt nur noch einen Kommentar an
+// - Lieferantenregeln (Pflichtfelder, Mengen, Versand, Arten) über services/supplierRules.js
+//   (ehemals fest verdrahtete SodaFixx-Regeln 1/3) + Duplicate Tracking (Regel 2 via DB Unique Index)
 // - Duplicate Reklamationsnummer (rekla_nr) via DB UNIQUE CONSTRAINT -> 409 mit Filiale im Text
+// - Rechte über zentrale Berechtigungsmatrix (reklamation.read_all / .edit / .delete)
+// - Ohne read_all: alle dem User zugeordneten Filialen (Token-Claim filialen), nicht nur die Stammfiliale
+// - Liste: Filter (status, lieferant, art, gutschrift_status, filiale, von/bis, versand, has_comments, unread), Suche (q) und Paging (page/pageSize)
+// - Status-Workflow aus der DB (reklamation_status_transitions): Statuswechsel nur über erlaubte Übergänge
+// - Änderungshistorie (reklamation_history) für POST/PUT/PATCH/DELETE, abrufbar über GET /:id/history
+// - Anhänge: routes/reklamationAttachments.js (/:id/attachments), Dateien werden beim endgültigen Löschen mit entfernt
+// - Reklamationsbeleg / Rücksendeschein als PDF über GET /:id/pdf (services/pdf/reklamationPdfService.js)
+// - Versand an den Lieferanten per Mail über POST /:id/send (nur "Freigegeben", Schutz gegen Doppelversand)
+// - Gutschriften: PATCH /:id/gutschrift (Kopf + Positionen), offene Posten über GET /gutschriften
+// - Kennzahlen/Lieferantenqualität über GET /stats (gleiche Filter wie die Liste)
+// - Export als CSV/XLSX über GET /export?format=csv|xlsx (eine Zeile je Position, gleiche Filter wie die Liste)
+// - optionaler Bestellbezug (order_id / order_position_id, Vorbelegung aus dem Bestell-Snapshot) über services/reklamationBestellung.js
+// - CSV-Import über POST /import (Spaltenlayout + Regeln in services/reklamationImport.js, mit Dry-Run)
+// - Löschen = Papierkorb (deleted_at), Wiederherstellen über POST /:id/restore, Liste über GET /papierkorb,
+//   endgültiges Löschen nach Aufbewahrungsfrist in services/reklamationTrash.js
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
-
-// Rollen mit globaler Sicht (für GET-Anzeige)
-const rollenMitGlobalzugriff = ['Admin', 'Supervisor', 'Manager-1', 'Geschäftsführer'];
-
-// Rollen mit Bearbeitungs- und Löschrecht – NUR diese beiden!
-const rollenMitBearbeitungsrecht = ['Admin', 'Supervisor'];
+const requirePermission = require('../middleware/requirePermission');
+const { userCan } = require('../services/permissions');
+const { getUserFilialen, canAccessFiliale } = require('../services/userFilialen');
+const { INITIAL_STATUS, listAllowedTransitions, checkStatusTransition } = require('../services/reklamationStatus');
+const {
+  snapshotReklamation,
+  recordReklamationChanges,
+  getReklamationHistory,
+} = require('../services/reklamationHistory');
+const { getPurgeDays } = require('../services/reklamationTrash');
+const { loadSupplierRule, applySupplierRule } = require('../services/supplierRules');
+const { generateReklamationPdf } = require('../services/pdf/reklamationPdfService');
+const { buildReklamationMail, loadPhotoAttachments } = require('../services/reklamationMail');
+const { sendMail } = require('../services/mailer');
+const { applyGutschriftUpdate, getOpenGutschriften } = require('../services/reklamationGutschrift');
+const { getReklamationStats } = require('../services/reklamationStats');
+const { EXPORT_MAX_ROWS, loadExportRows, buildCsv, buildXlsx } = require('../services/reklamationExport');
+const { allocateLfdNrBlock } = require('../services/lfdNrCounter');
+const { decodeCsvBuffer, groupCsvRows, importReklamationen } = require('../services/reklamationImport');
+const { resolveOrderLink } = require('../services/reklamationBestellung');
+const { commentCountSql, unreadCountSql, normalizeCommentText, createComment } = require('../services/reklamationComments');
+
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES, files: 1 } });
+
+// Belegung eines laufenden Versands verfällt danach (z. B. nach Prozessabbruch mitten im Senden)
+const SEND_CLAIM_MINUTES = 10;
+
+// Datum YYYY-MM-DD in deutscher Zeit (Server läuft in UTC -> toISOString wäre zwischen 0 und 2 Uhr der Vortag)
+function todayIsoDate() {
+  return new Date().toLocaleDateString('sv-SE', { timeZone: 'Europe/Berlin' });
+}
 
 function getCurrentYear() {
   return new Date().getFullYear();
@@ -44,57 +88,140 @@ function normText(v) {
   return (v ?? '').toString().trim();
 }
 
-function isSodaFixx(lieferant) {
-  return normText(lieferant).toLowerCase() === 'sodafixx';
-}
-
 function normalizeTrackingId(trackingId) {
   const t = normText(trackingId);
   return t.length > 0 ? t : null;
 }
 
-function parseCountLike(value) {
-  // akzeptiert "18", "18.0", "18,0" -> Number
-  const raw = normText(value);
-  if (!raw) return NaN;
-  const normalized = raw.replace(',', '.');
-  const n = Number(normalized);
-  return Number.isFinite(n) ? n : NaN;
+// --- Liste: Filter / Suche / Paging ---
+const LIST_DEFAULT_PAGE_SIZE = 50;
+const LIST_MAX_PAGE_SIZE = 200;
+
+function parseBoolParam(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
 }
 
-function validateSodaFixxCartonMax18(positionen) {
-  const list = Array.isArray(positionen) ? positionen : [];
-  let sum = 0;
+// "Offen,Angelegt" oder ?status=Offen&status=Angelegt -> ['Offen', 'Angelegt']
+function parseListParam(value) {
+  const raw = Array.isArray(value) ? value : [value];
+  return raw
+    .flatMap((v) => normText(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
 
-  for (let i = 0; i < list.length; i++) {
-    const qty = parseCountLike(list[i]?.rekla_menge);
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
 
-    if (!Number.isFinite(qty) || qty < 0) {
-      return {
-        ok: false,
-        message: `SodaFixx: Ungültige Reklamationsmenge in Position ${i + 1}. Erwartet Zahl (z. B. 1..18).`,
-      };
+/**
+ * Baut WHERE-Teile für GET /api/reklamationen aus der Query.
+ * deleted: false = ohne Papierkorb (Standard), true = nur Papierkorb
+ * viewer: { userId, internal } aus getCommentViewer (für has_comments/unread)
+ * Ergebnis: { ok: true, whereParts, params } oder { ok: false, status, message }
+ */
+function buildListFilter(query, { global, filialen, viewer, deleted = false }) {
+  const params = [];
+  const whereParts = [deleted ? 'r.deleted_at IS NOT NULL' : 'r.deleted_at IS NULL'];
+  const q = query || {};
+
+  const filialeFilter = parseListParam(q.filiale);
+  if (!global) {
+    const foreign = filialeFilter.filter((f) => !filialen.includes(f));
+    if (foreign.length > 0) {
+      return { ok: false, status: 403, message: 'Kein Zugriff auf fremde Filial-Reklamationen' };
     }
+    params.push(filialeFilter.length > 0 ? filialeFilter : filialen);
+    whereParts.push(`r.filiale = ANY($${params.length}::text[])`);
+  } else if (filialeFilter.length > 0) {
+    params.push(filialeFilter);
+    whereParts.push(`r.filiale = ANY($${params.length}::text[])`);
+  }
 
-    // Zylinder sind Stückzahlen -> ganzzahlig
-    if (!Number.isInteger(qty)) {
-      return {
-        ok: false,
-        message: `SodaFixx: Reklamationsmenge in Position ${i + 1} muss eine ganze Zahl sein.`,
-      };
+  for (const key of ['status', 'lieferant', 'art', 'gutschrift_status']) {
+    const values = parseListParam(q[key]);
+    if (values.length === 0) continue;
+    params.push(values);
+    whereParts.push(`r.${key} = ANY($${params.length}::text[])`);
+  }
+
+  for (const [key, op] of [['von', '>='], ['bis', '<=']]) {
+    const raw = normText(q[key]);
+    if (!raw) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+      return { ok: false, status: 400, message: `${key} ist ungültig (YYYY-MM-DD)` };
     }
+    params.push(raw);
+    whereParts.push(`r.datum::date ${op} $${params.length}::date`);
+  }
 
-    sum += qty;
+  const orderId = normText(q.order_id);
+  if (orderId) {
+    if (!/^\d+$/.test(orderId)) {
+      return { ok: false, status: 400, message: 'order_id ist ungültig' };
+    }
+    params.push(orderId);
+    whereParts.push(`r.order_id = $${params.length}::bigint`);
+  }
+
+  const versand = parseBoolParam(q.versand);
+  if (versand !== null) {
+    params.push(versand);
+    whereParts.push(`COALESCE(r.versand, false) = $${params.length}`);
+  }
 
-    if (sum > 18) {
-      return {
-        ok: false,
-        message: 'SodaFixx: Maximal 18 Zylinder pro Reklamation/Karton erlaubt (Summe aller Positionen).',
-      };
+  // Kommentare: Anzahl/ungelesen aus Sicht des aktuellen Users (interne nur mit comment_internal)
+  const hasComments = parseBoolParam(q.has_comments);
+  const unread = parseBoolParam(q.unread);
+  if (hasComments !== null || unread !== null) {
+    params.push(!!viewer?.internal);
+    const internalRef = `$${params.length}`;
+    if (hasComments !== null) {
+      whereParts.push(`${commentCountSql('r.id', internalRef)} ${hasComments ? '> 0' : '= 0'}`);
     }
+    if (unread !== null) {
+      // userId nur hier: nicht referenzierte Parameter lehnt Postgres ab
+      params.push(viewer?.userId ?? null);
+      const userRef = `$${params.length}`;
+      whereParts.push(`${unreadCountSql('r.id', userRef, internalRef)} ${unread ? '> 0' : '= 0'}`);
+    }
+  }
+
+  // Suche: Reklamationsnummer, Tracking-ID, LS-Nummer/Grund, Artikelnummer/EAN der Positionen
+  const search = normText(q.q);
+  if (search) {
+    params.push(`%${escapeLike(search)}%`);
+    const n = params.length;
+    whereParts.push(`(
+      r.rekla_nr ILIKE $${n}
+      OR r.tracking_id ILIKE $${n}
+      OR r.ls_nummer_grund ILIKE $${n}
+      OR EXISTS (
+        SELECT 1 FROM reklamation_positionen sp
+        WHERE sp.reklamation_id = r.id
+          AND (sp.artikelnummer::text ILIKE $${n} OR sp.ean::text ILIKE $${n})
+      )
+    )`);
   }
 
-  return { ok: true };
+  return { ok: true, whereParts, params };
+}
+
+async function getCommentViewer(req) {
+  return { userId: req.user?.id ?? null, internal: await userCan(req, 'reklamation.comment_internal') };
+}
+
+function parsePaging(query) {
+  const pageRaw = Number(query?.page);
+  const sizeRaw = Number(query?.pageSize ?? LIST_DEFAULT_PAGE_SIZE);
+
+  const page = Number.isInteger(pageRaw) && pageRaw > 0 ? pageRaw : 1;
+  const pageSize =
+    Number.isInteger(sizeRaw) && sizeRaw > 0 ? Math.min(sizeRaw, LIST_MAX_PAGE_SIZE) : LIST_DEFAULT_PAGE_SIZE;
+
+  return { page, pageSize, offset: (page - 1) * pageSize };
 }
 
 function isUniqueViolation(err) {
@@ -123,7 +250,7 @@ async function fetchExistingByReklaNr(reklaNr) {
 
   const r = await pool.query(
     `
-    SELECT id, filiale, rekla_nr
+    SELECT id, filiale, rekla_nr, deleted_at
     FROM reklamationen
     WHERE rekla_nr = $1
     LIMIT 1;
@@ -134,118 +261,289 @@ async function fetchExistingByReklaNr(reklaNr) {
   return r.rows[0] || null;
 }
 
-function buildReklaNrExistsMessage(reklaNr, filiale) {
+function buildReklaNrExistsMessage(reklaNr, filiale, deletedAt) {
   const nr = normText(reklaNr) || '—';
   const f = normText(filiale) || 'Unbekannt';
-  return `Reklamation mit der Nummer: ${nr} gibt es bereits in der Tabelle "Filiale ${f}"! Bitte wende dich an den Supervisor oder an den Admin. Danke!`;
+  const trash = deletedAt ? ' (im Papierkorb)' : '';
+  return `Reklamation mit der Nummer: ${nr} gibt es bereits in der Tabelle "Filiale ${f}"${trash}! Bitte wende dich an den Supervisor oder an den Admin. Danke!`;
 }
 
 /**
- * Vergibt lfd_nr blockweise, transaktionssicher (Row-Lock) pro Filiale + Jahr.
+ * GET /api/reklamationen
+ * Query (alle optional):
+ * - status, lieferant, art, filiale   (mehrere Werte kommagetrennt)
+ * - von, bis                          (YYYY-MM-DD, auf datum, inklusiv)
+ * - order_id                        (verknüpfte Bestellung)
+ * - versand, has_comments, unread     (true|false; unread = fremde Kommentare nach dem eigenen Lesestand)
+ * - q                                 Suche in rekla_nr, tracking_id, ls_nummer_grund, Artikelnummer/EAN
+ * - page, pageSize                    (pageSize Standard 50, max 200)
+ * Je Zeile comment_count + unread_count (sichtbare Kommentare für den aktuellen User)
+ * Mit page: { items, total, page, pageSize, totalPages }, ohne page: Array wie bisher (ungekürzt)
  */
-async function allocateLfdNrBlock(client, filiale, jahr, count) {
-  if (!count || count <= 0) return null;
+router.get('/', verifyToken(), async (req, res) => {
+  const filialen = getUserFilialen(req.user);
 
-  await client.query(
-    `
-    INSERT INTO lfd_nr_counter (filiale, jahr, current_value)
-    VALUES ($1, $2, 0)
-    ON CONFLICT (filiale, jahr) DO NOTHING;
-    `,
-    [filiale, jahr]
-  );
+  try {
+    const global = await userCan(req, 'reklamation.read_all');
 
-  const lockRes = await client.query(
-    `
-    SELECT current_value
-    FROM lfd_nr_counter
-    WHERE filiale = $1 AND jahr = $2
-    FOR UPDATE;
-    `,
-    [filiale, jahr]
-  );
+    const viewer = await getCommentViewer(req);
+    const filter = buildListFilter(req.query, { global, filialen, viewer });
+    if (!filter.ok) {
+      return res.status(filter.status).json({ message: filter.message });
+    }
 
-  const currentVal = Number(lockRes.rows[0]?.current_value ?? 0);
+    const { whereParts, params } = filter;
+    const whereSql = whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : '';
+    const paged = req.query?.page !== undefined;
+    const { page, pageSize, offset } = parsePaging(req.query);
+
+    const listParams = [...params, viewer.userId, viewer.internal];
+    const userRef = `$${listParams.length - 1}`;
+    const internalRef = `$${listParams.length}`;
+    let limitSql = '';
+    if (paged) {
+      listParams.push(pageSize, offset);
+      limitSql = `LIMIT $${listParams.length - 1} OFFSET $${listParams.length}`;
+    }
 
-  const maxRes = await client.query(
-    `
-    SELECT COALESCE(MAX(lfd_nr), 0) AS max_lfd
-    FROM reklamation_positionen
-    WHERE lfd_nr IS NOT NULL
-      AND reklamation_id IN (
-        SELECT id FROM reklamationen WHERE filiale = $1
-          AND EXTRACT(YEAR FROM datum) = $2
-      );
-    `,
-    [filiale, jahr]
-  );
+    const query = `
+      SELECT
+        r.*,
+        ${commentCountSql('r.id', internalRef)} AS comment_count,
+        ${unreadCountSql('r.id', userRef, internalRef)} AS unread_count,
+        MIN(p.lfd_nr) AS min_lfd_nr,
+        COUNT(p.id) AS position_count
+      FROM reklamationen r
+      LEFT JOIN reklamation_positionen p ON p.reklamation_id = r.id
+      ${whereSql}
+      GROUP BY r.id
+      ORDER BY r.datum DESC, r.id DESC
+      ${limitSql};
+    `;
 
-  const maxLfd = Number(maxRes.rows[0]?.max_lfd ?? 0);
+    const result = await pool.query(query, listParams);
 
-  const base = Math.max(currentVal, maxLfd);
-  const newVal = base + count;
+    if (!paged) {
+      return res.json(result.rows);
+    }
 
-  await client.query(
-    `
-    UPDATE lfd_nr_counter
-    SET current_value = $3
-    WHERE filiale = $1 AND jahr = $2;
-    `,
-    [filiale, jahr, newVal]
-  );
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM reklamationen r ${whereSql}`,
+      params
+    );
+    const total = countResult.rows[0].total;
+
+    return res.json({
+      items: result.rows,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize),
+    });
+  } catch (error) {
+    console.error('Fehler beim Abrufen der Reklamationen:', error);
+    res.status(500).json({ message: 'Serverfehler beim Abrufen' });
+  }
+});
 
-  return base + 1;
-}
+/**
+ * GET /api/reklamationen/export?format=csv|xlsx
+ * - Filter + Filial-Scope wie GET /api/reklamationen, eine Zeile je Position
+ * - max. EXPORT_MAX_ROWS Zeilen, bei Überschreitung Header X-Export-Truncated: true
+ */
+router.get('/export', verifyToken(), async (req, res) => {
+  const filialen = getUserFilialen(req.user);
+  const format = normText(req.query?.format || 'csv').toLowerCase();
+
+  if (format !== 'csv' && format !== 'xlsx') {
+    return res.status(400).json({ message: 'format ist ungültig (csv oder xlsx)' });
+  }
+
+  try {
+    const global = await userCan(req, 'reklamation.read_all');
+
+    const viewer = await getCommentViewer(req);
+    const filter = buildListFilter(req.query, { global, filialen, viewer });
+    if (!filter.ok) {
+      return res.status(filter.status).json({ message: filter.message });
+    }
+
+    const { rows, truncated } = await loadExportRows(pool, filter);
+    const filename = `Reklamationen_${todayIsoDate()}.${format}`;
+
+    const body = format === 'xlsx' ? await buildXlsx(rows) : buildCsv(rows);
+
+    res.setHeader(
+      'Content-Type',
+      format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8'
+    );
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (truncated) {
+      res.setHeader('X-Export-Truncated', 'true');
+      console.warn(`Reklamationen-Export auf ${EXPORT_MAX_ROWS} Zeilen gekürzt – ${req.user.name}`);
+    }
+
+    console.log(`Reklamationen-Export (${format}) – ${req.user.name} (${req.user.role}): ${rows.length} Zeilen`);
+    return res.send(body);
+  } catch (error) {
+    console.error('Fehler beim Export der Reklamationen:', error);
+    res.status(500).json({ message: 'Serverfehler beim Export' });
+  }
+});
 
 /**
- * GET /api/reklamationen
+ * GET /api/reklamationen/stats
+ * - Anzahl/Mengen nach Lieferant, Art, Filiale, Monat und Status, Durchlaufzeit bis "Erledigt",
+ *   Ablehnungsquote je Lieferant, Top-Artikel (top=20, max. 100)
+ * - Filter wie GET /api/reklamationen (status, lieferant, art, filiale, von/bis, ...)
  */
-router.get('/', verifyToken(), async (req, res) => {
-  const { role, filiale } = req.user;
+router.get('/stats', verifyToken(), async (req, res) => {
+  const filialen = getUserFilialen(req.user);
 
   try {
-    const global = rollenMitGlobalzugriff.includes(role);
+    const global = await userCan(req, 'reklamation.read_all');
 
-    const query = `
+    const viewer = await getCommentViewer(req);
+    const filter = buildListFilter(req.query, { global, filialen, viewer });
+    if (!filter.ok) {
+      return res.status(filter.status).json({ message: filter.message });
+    }
+
+    const top = req.query?.top !== undefined ? Number(req.query.top) : undefined;
+    const stats = await getReklamationStats(pool, filter, { top });
+
+    res.json({
+      filter: {
+        von: normText(req.query?.von) || null,
+        bis: normText(req.query?.bis) || null,
+      },
+      ...stats,
+    });
+  } catch (error) {
+    console.error('Fehler beim Abrufen der Reklamationsstatistik:', error);
+    res.status(500).json({ message: 'Serverfehler beim Abrufen' });
+  }
+});
+
+/**
+ * GET /api/reklamationen/gutschriften
+ * - offene Gutschriften (offen/teilweise) je Lieferant + Filiale, Altersklassen 0-30/31-60/61-90/>90 Tage
+ * - Filter: lieferant, filiale (kommagetrennt), stichtag (YYYY-MM-DD, Standard heute)
+ */
+router.get('/gutschriften', verifyToken(), async (req, res) => {
+  const filialen = getUserFilialen(req.user);
+
+  try {
+    const global = await userCan(req, 'reklamation.read_all');
+
+    const filialeFilter = parseListParam(req.query?.filiale);
+    if (!global && filialeFilter.some((f) => !filialen.includes(f))) {
+      return res.status(403).json({ message: 'Kein Zugriff auf fremde Filial-Reklamationen' });
+    }
+
+    const stichtag = normText(req.query?.stichtag) || todayIsoDate();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(stichtag)) {
+      return res.status(400).json({ message: 'stichtag ist ungültig (YYYY-MM-DD)' });
+    }
+
+    const report = await getOpenGutschriften(pool, {
+      filialen: global ? null : filialen,
+      lieferant: parseListParam(req.query?.lieferant),
+      filiale: filialeFilter,
+      stichtag,
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Fehler beim Abrufen offener Gutschriften:', error);
+    res.status(500).json({ message: 'Serverfehler beim Abrufen' });
+  }
+});
+
+/**
+ * GET /api/reklamationen/papierkorb
+ * - gelöschte Reklamationen (neueste Löschung zuerst), Filter/Paging wie GET /api/reklamationen
+ * - purge_am: Zeitpunkt des endgültigen Löschens (null = Aufbewahrung unbegrenzt)
+ */
+router.get('/papierkorb', verifyToken(), requirePermission('reklamation.restore'), async (req, res) => {
+  const filialen = getUserFilialen(req.user);
+
+  try {
+    const global = await userCan(req, 'reklamation.read_all');
+
+    const viewer = await getCommentViewer(req);
+    const filter = buildListFilter(req.query, { global, filialen, viewer, deleted: true });
+    if (!filter.ok) {
+      return res.status(filter.status).json({ message: filter.message });
+    }
+
+    const { whereParts, params } = filter;
+    const whereSql = `WHERE ${whereParts.join(' AND ')}`;
+    const { page, pageSize, offset } = parsePaging(req.query);
+    const purgeDays = getPurgeDays();
+
+    const listParams = [...params, purgeDays, pageSize, offset];
+    const n = params.length;
+
+    const result = await pool.query(
+      `
       SELECT
         r.*,
-        CASE WHEN r.notiz IS NOT NULL AND BTRIM(r.notiz) <> '' THEN true ELSE false END AS has_notiz,
-        MIN(p.lfd_nr) AS min_lfd_nr,
+        CASE WHEN $${n + 1}::int > 0 THEN r.deleted_at + make_interval(days => $${n + 1}::int) END AS purge_am,
         COUNT(p.id) AS position_count
       FROM reklamationen r
       LEFT JOIN reklamation_positionen p ON p.reklamation_id = r.id
-      ${global ? '' : 'WHERE r.filiale = $1'}
+      ${whereSql}
       GROUP BY r.id
-      ORDER BY r.datum DESC;
-    `;
+      ORDER BY r.deleted_at DESC, r.id DESC
+      LIMIT $${n + 2} OFFSET $${n + 3}
+      `,
+      listParams
+    );
 
-    const params = global ? [] : [filiale];
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM reklamationen r ${whereSql}`,
+      params
+    );
+    const total = countResult.rows[0].total;
+
+    return res.json({
+      items: result.rows,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize),
+      purgeDays,
+    });
   } catch (error) {
-    console.error('Fehler beim Abrufen der Reklamationen:', error);
+    console.error('Fehler beim Abrufen des Papierkorbs:', error);
     res.status(500).json({ message: 'Serverfehler beim Abrufen' });
   }
 });
 
 /**
  * GET /api/reklamationen/:id
+ * - gelöschte (Papierkorb) nur mit ?include_deleted=true und reklamation.restore
  */
 router.get('/:id', verifyToken(), async (req, res) => {
   const { id } = req.params;
-  const { role, filiale } = req.user;
+  const filialen = getUserFilialen(req.user);
 
   try {
-    const global = rollenMitGlobalzugriff.includes(role);
+    const global = await userCan(req, 'reklamation.read_all');
+    const includeDeleted = req.query?.include_deleted === 'true' && (await userCan(req, 'reklamation.restore'));
 
     const reklaResult = await pool.query(
       `
       SELECT *
       FROM reklamationen
       WHERE id = $1
-      ${global ? '' : 'AND filiale = $2'}
+      ${includeDeleted ? '' : 'AND deleted_at IS NULL'}
+      ${global ? '' : 'AND filiale = ANY($2::text[])'}
       `,
-      global ? [id] : [id, filiale]
+      global ? [id] : [id, filialen]
     );
 
     if (reklaResult.rows.length === 0) {
@@ -275,37 +573,199 @@ router.get('/:id', verifyToken(), async (req, res) => {
 });
 
 /**
- * POST /api/reklamationen
+ * GET /api/reklamationen/:id/transitions
+ * - mögliche nächste Status für den aktuellen User (inkl. Pflichtfelder)
  */
-router.post('/', verifyToken(), async (req, res) => {
-  const user = req.user;
-  const data = req.body;
+router.get('/:id/transitions', verifyToken(), async (req, res) => {
+  const { id } = req.params;
+  const filialen = getUserFilialen(req.user);
 
-  if (user.role === 'Filiale' && data.filiale && data.filiale !== user.filiale) {
-    return res.status(403).json({ message: 'Nur eigene Filiale anlegbar' });
+  try {
+    const global = await userCan(req, 'reklamation.read_all');
+
+    const r = await pool.query(
+      `
+      SELECT id, status, status_grund
+      FROM reklamationen
+      WHERE id = $1
+        AND deleted_at IS NULL
+      ${global ? '' : 'AND filiale = ANY($2::text[])'}
+      `,
+      global ? [id] : [id, filialen]
+    );
+
+    if (r.rows.length === 0) {
+      return res.status(404).json({ message: 'Reklamation nicht gefunden' });
+    }
+
+    const { status, status_grund } = r.rows[0];
+    const canEdit = await userCan(req, 'reklamation.edit');
+    const transitions = canEdit ? await listAllowedTransitions(pool, status, req.user.role) : [];
+
+    res.json({ id: r.rows[0].id, status, status_grund, transitions });
+  } catch (error) {
+    console.error('Fehler beim Abrufen der Statusübergänge:', error);
+    res.status(500).json({ message: 'Serverfehler beim Abrufen' });
   }
+});
 
-  const supplierIncoming = data?.lieferant;
-  const sodaFixx = isSodaFixx(supplierIncoming);
+/**
+ * GET /api/reklamationen/:id/history
+ * - Änderungen an Kopf und Positionen (neueste zuerst)
+ * - Filial-User nur für Reklamationen der eigenen Filialen; gelöschte (Papierkorb/endgültig) nur mit read_all
+ */
+router.get('/:id/history', verifyToken(), async (req, res) => {
+  const { id } = req.params;
+  const filialen = getUserFilialen(req.user);
 
-  if (sodaFixx) {
-    data.versand = true;
+  try {
+    const global = await userCan(req, 'reklamation.read_all');
 
-    data.tracking_id = normalizeTrackingId(data.tracking_id);
-    if (!data.tracking_id) {
-      return res.status(400).json({
-        message: 'SodaFixx: Tracking-ID ist Pflicht (GLS Rücksendung).',
-      });
+    if (!global) {
+      const r = await pool.query(
+        'SELECT 1 FROM reklamationen WHERE id = $1 AND deleted_at IS NULL AND filiale = ANY($2::text[])',
+        [id, filialen]
+      );
+      if (r.rows.length === 0) {
+        return res.status(404).json({ message: 'Reklamation nicht gefunden' });
+      }
+    }
+
+    const history = await getReklamationHistory(pool, id);
+    res.json({ id: Number(id), history });
+  } catch (error) {
+    console.error('Fehler beim Abrufen der Historie:', error);
+    res.status(500).json({ message: 'Serverfehler beim Abrufen' });
+  }
+});
+
+/**
+ * GET /api/reklamationen/:id/pdf
+ * - druckbarer Reklamationsbeleg / Rücksendeschein (inline, mit ?download=true als Datei)
+ * - Zugriff wie GET /api/reklamationen/:id
+ */
+router.get('/:id/pdf', verifyToken(), async (req, res) => {
+  const { id } = req.params;
+  const filialen = getUserFilialen(req.user);
+
+  try {
+    const global = await userCan(req, 'reklamation.read_all');
+
+    const r = await pool.query(
+      `
+      SELECT id, rekla_nr
+      FROM reklamationen
+      WHERE id = $1
+        AND deleted_at IS NULL
+      ${global ? '' : 'AND filiale = ANY($2::text[])'}
+      `,
+      global ? [id] : [id, filialen]
+    );
+
+    if (r.rows.length === 0) {
+      return res.status(404).json({ message: 'Reklamation nicht gefunden' });
+    }
+
+    const pdfBuffer = await generateReklamationPdf(r.rows[0].id);
+    const filename = `Reklamation_${normText(r.rows[0].rekla_nr).replace(/[^A-Za-z0-9_-]/g, '_') || r.rows[0].id}.pdf`;
+    const disposition = req.query?.download === 'true' ? 'attachment' : 'inline';
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    return res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Fehler beim Erstellen des Reklamations-PDF:', error);
+    res.status(500).json({ message: 'Serverfehler beim Erstellen des PDF' });
+  }
+});
+
+/**
+ * POST /api/reklamationen/import
+ * - multipart/form-data, Feld "file" (CSV), ?dry_run=true nur prüfen
+ * - alles oder nichts: bei mindestens einem Fehler wird nichts übernommen (422 + Fehlerliste je Zeile)
+ */
+router.post('/import', verifyToken(), requirePermission('reklamation.import'), (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Datei zu groß (max. ${IMPORT_MAX_BYTES / 1024 / 1024} MB).` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: `Upload ungültig: ${err.message}` });
     }
+    return next(err);
+  });
+}, async (req, res) => {
+  const user = req.user;
+  const dryRun = req.query?.dry_run === 'true' || req.body?.dry_run === 'true';
+
+  if (!req.file || !req.file.buffer || req.file.size === 0) {
+    return res.status(400).json({ message: 'CSV-Datei fehlt (Feld "file").' });
+  }
+
+  const parsed = groupCsvRows(decodeCsvBuffer(req.file.buffer));
+  if (!parsed.ok) {
+    return res.status(400).json({ message: parsed.message });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
 
-    const v = validateSodaFixxCartonMax18(data.positionen);
-    if (!v.ok) {
-      return res.status(400).json({ message: v.message });
+    const { reklamationen, fehler } = await importReklamationen(client, parsed.groups, user, parsed.errors);
+    const ok = fehler.length === 0;
+
+    if (dryRun || !ok) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
     }
-  } else {
-    data.tracking_id = normalizeTrackingId(data.tracking_id);
+
+    const importiert = ok && !dryRun ? reklamationen.length : 0;
+    console.log(
+      `Reklamationen-Import${dryRun ? ' (Dry-Run)' : ''} – ${user.name} (${user.role}): ` +
+        `${reklamationen.length} Reklamationen, ${fehler.length} Fehler, ${importiert} übernommen`
+    );
+
+    return res.status(ok || dryRun ? 200 : 422).json({
+      dry_run: dryRun,
+      ok,
+      importiert,
+      reklamationen,
+      fehler,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Fehler beim Import der Reklamationen:', err);
+    res.status(500).json({ message: 'Serverfehler beim Import' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/reklamationen
+ */
+router.post('/', verifyToken(), async (req, res) => {
+  const user = req.user;
+  const data = req.body;
+
+  if (user.role === 'Filiale' && data.filiale && !canAccessFiliale(user, data.filiale)) {
+    return res.status(403).json({ message: 'Nur eigene Filiale anlegbar' });
+  }
+
+  // Workflow beginnt immer bei INITIAL_STATUS, weitere Status nur per PUT/PATCH über erlaubte Übergänge
+  if (normText(data.status) && normText(data.status) !== INITIAL_STATUS) {
+    return res.status(400).json({
+      code: 'STATUS_INITIAL_ONLY',
+      message: `Neue Reklamationen starten immer mit Status '${INITIAL_STATUS}'.`,
+    });
   }
 
+  data.tracking_id = normalizeTrackingId(data.tracking_id);
+
   const client = await pool.connect();
 
   try {
@@ -313,14 +773,34 @@ router.post('/', verifyToken(), async (req, res) => {
 
     const filialeFinal = (data.filiale || user.filiale || '').toString();
 
+    // Bestellbezug vor den Lieferantenregeln: Pflichtfelder dürfen aus der Bestellung kommen
+    const orderLink = await resolveOrderLink(client, {
+      orderId: data.order_id,
+      filiale: filialeFinal,
+      positionen: data.positionen,
+    });
+    if (!orderLink.ok) {
+      await client.query('ROLLBACK');
+      return res.status(orderLink.status).json({ code: orderLink.code, message: orderLink.message });
+    }
+    data.positionen = orderLink.positionen;
+
+    const rule = await loadSupplierRule(client, data?.lieferant);
+    const ruleCheck = applySupplierRule(rule, data, data.positionen);
+    if (!ruleCheck.ok) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ code: ruleCheck.code, message: ruleCheck.message });
+    }
+    data.versand = ruleCheck.record.versand;
+
     const reklaQuery = `
       INSERT INTO reklamationen (
         datum, letzte_aenderung, art, rekla_nr, lieferant, filiale, status,
-        ls_nummer_grund, versand, tracking_id
+        ls_nummer_grund, versand, tracking_id, order_id
       )
       VALUES (
         $1, CURRENT_DATE, $2, $3, $4, $5, $6,
-        $7, $8, $9
+        $7, $8, $9, $10
       )
       RETURNING id, datum;
     `;
@@ -331,10 +811,11 @@ router.post('/', verifyToken(), async (req, res) => {
       data.rekla_nr || null,
       data.lieferant || null,
       filialeFinal || null,
-      data.status || 'Angelegt',
+      INITIAL_STATUS,
       data.ls_nummer_grund || null,
       data.versand || false,
       data.tracking_id || null,
+      orderLink.orderId,
     ];
 
     const reklaResult = await client.query(reklaQuery, reklaValues);
@@ -360,9 +841,10 @@ router.post('/', verifyToken(), async (req, res) => {
           bestell_einheit,
           rekla_menge,
           rekla_einheit,
-          lfd_nr
+          lfd_nr,
+          order_position_id
         )
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8);
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9);
       `;
 
       for (let i = 0; i < positionen.length; i++) {
@@ -378,12 +860,21 @@ router.post('/', verifyToken(), async (req, res) => {
           pos.rekla_menge || null,
           pos.rekla_einheit || null,
           lfdNrToUse,
+          pos.order_position_id ?? null,
         ];
 
         await client.query(posQuery, posValues);
       }
     }
 
+    await recordReklamationChanges(client, {
+      reklamationId,
+      aktion: 'create',
+      before: null,
+      after: await snapshotReklamation(client, reklamationId),
+      user,
+    });
+
     await client.query('COMMIT');
 
     console.log(`Reklamation angelegt – ID: ${reklamationId} von ${user.name} (${user.role})`);
@@ -397,7 +888,7 @@ router.post('/', verifyToken(), async (req, res) => {
         const nr = data?.rekla_nr;
         try {
           const existing = await fetchExistingByReklaNr(nr);
-          const msg = buildReklaNrExistsMessage(nr, existing?.filiale);
+          const msg = buildReklaNrExistsMessage(nr, existing?.filiale, existing?.deleted_at);
           return res.status(409).json({
             code: 'REKLA_NR_EXISTS',
             message: msg,
@@ -434,24 +925,18 @@ router.post('/', verifyToken(), async (req, res) => {
 /**
  * PUT /api/reklamationen/:id
  */
-router.put('/:id', verifyToken(), async (req, res) => {
+router.put('/:id', verifyToken(), requirePermission('reklamation.edit'), async (req, res) => {
   const { id } = req.params;
   const user = req.user;
   const data = req.body;
 
-  if (!rollenMitBearbeitungsrecht.includes(user.role)) {
-    return res.status(403).json({
-      message: 'Zugriff verweigert: Nur Admin oder Supervisor dürfen bearbeiten',
-    });
-  }
-
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
     const existingReklaRes = await client.query(
-      'SELECT lieferant, tracking_id FROM reklamationen WHERE id = $1',
+      'SELECT * FROM reklamationen WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
       [id]
     );
 
@@ -460,33 +945,101 @@ router.put('/:id', verifyToken(), async (req, res) => {
       return res.status(404).json({ message: 'Reklamation nicht gefunden' });
     }
 
+    const before = await snapshotReklamation(client, id);
+
     const existingLieferant = existingReklaRes.rows[0].lieferant;
     const existingTracking = existingReklaRes.rows[0].tracking_id;
 
     const supplierFinal =
       normText(data?.lieferant).length > 0 ? data.lieferant : existingLieferant;
 
-    const sodaFixx = isSodaFixx(supplierFinal);
-
-    let versandFinal = data.versand ?? false;
-    let trackingFinal = normalizeTrackingId(
+    const trackingFinal = normalizeTrackingId(
       data.tracking_id !== undefined ? data.tracking_id : existingTracking
     );
 
-    if (sodaFixx) {
-      versandFinal = true;
+    // order_id: nicht angegeben = bisherige Verknüpfung behalten, null/'' = lösen
+    const existingOrderId = existingReklaRes.rows[0].order_id;
+    const orderIdFinal = data.order_id !== undefined ? data.order_id : existingOrderId;
+
+    // order_position_id analog je behaltener lfd_nr: ohne Key bleibt die Verknüpfung (solange die Bestellung gleich bleibt)
+    if (existingOrderId !== null && Number(orderIdFinal) === Number(existingOrderId) && Array.isArray(data.positionen)) {
+      const linkRes = await client.query(
+        `
+        SELECT lfd_nr, order_position_id
+        FROM reklamation_positionen
+        WHERE reklamation_id = $1 AND lfd_nr IS NOT NULL AND order_position_id IS NOT NULL
+        `,
+        [id]
+      );
+      const linkByLfd = new Map(linkRes.rows.map((r) => [Number(r.lfd_nr), r.order_position_id]));
 
-      if (!trackingFinal) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({
-          message: 'SodaFixx: Tracking-ID ist Pflicht (GLS Rücksendung).',
-        });
-      }
+      data.positionen = data.positionen.map((pos) => {
+        if (!pos || pos.order_position_id !== undefined || pos.lfd_nr === undefined || pos.lfd_nr === null) return pos;
+        const kept = linkByLfd.get(Number(pos.lfd_nr));
+        return kept !== undefined ? { ...pos, order_position_id: kept } : pos;
+      });
+    }
+
+    const orderLink = await resolveOrderLink(client, {
+      orderId: orderIdFinal,
+      filiale: data.filiale || null,
+      positionen: data.positionen,
+    });
+    if (!orderLink.ok) {
+      await client.query('ROLLBACK');
+      return res.status(orderLink.status).json({ code: orderLink.code, message: orderLink.message });
+    }
+    data.positionen = orderLink.positionen;
+
+    const rule = await loadSupplierRule(client, supplierFinal);
+    const ruleCheck = applySupplierRule(
+      rule,
+      {
+        datum: data.datum,
+        art: data.art,
+        rekla_nr: data.rekla_nr,
+        ls_nummer_grund: data.ls_nummer_grund,
+        notiz: existingReklaRes.rows[0].notiz,
+        tracking_id: trackingFinal,
+        versand: data.versand ?? false,
+      },
+      data.positionen
+    );
+
+    if (!ruleCheck.ok) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ code: ruleCheck.code, message: ruleCheck.message });
+    }
+
+    const versandFinal = ruleCheck.record.versand;
+
+    // Status: ohne Angabe bleibt der bisherige, ein Wechsel muss dem Workflow entsprechen
+    const existingStatus = existingReklaRes.rows[0].status;
+    const statusFinal = normText(data.status) || existingStatus || null;
+    const statusChanged = statusFinal !== existingStatus;
+
+    if (statusChanged) {
+      const check = await checkStatusTransition(client, {
+        fromStatus: existingStatus,
+        toStatus: statusFinal,
+        role: user.role,
+        existing: existingReklaRes.rows[0],
+        updates: {
+          datum: data.datum || null,
+          art: data.art || null,
+          rekla_nr: data.rekla_nr || null,
+          lieferant: supplierFinal || null,
+          filiale: data.filiale || null,
+          ls_nummer_grund: data.ls_nummer_grund || null,
+          versand: versandFinal,
+          tracking_id: trackingFinal,
+          status_grund: normText(data.status_grund) || null,
+        },
+      });
 
-      const v = validateSodaFixxCartonMax18(data.positionen);
-      if (!v.ok) {
+      if (!check.ok) {
         await client.query('ROLLBACK');
-        return res.status(400).json({ message: v.message });
+        return res.status(check.status).json({ code: check.code, message: check.message, allowed: check.allowed });
       }
     }
 
@@ -501,7 +1054,9 @@ router.put('/:id', verifyToken(), async (req, res) => {
         status = $6,
         ls_nummer_grund = $7,
         versand = $8,
-        tracking_id = $9
+        tracking_id = $9,
+        status_grund = CASE WHEN $11 THEN $12 ELSE status_grund END,
+        order_id = $13
       WHERE id = $10
       RETURNING filiale, datum;
     `;
@@ -512,11 +1067,14 @@ router.put('/:id', verifyToken(), async (req, res) => {
       data.rekla_nr || null,
       supplierFinal || null,
       data.filiale || null,
-      data.status || null,
+      statusFinal,
       data.ls_nummer_grund || null,
       versandFinal,
       trackingFinal,
       id,
+      statusChanged,
+      normText(data.status_grund) || null,
+      orderLink.orderId,
     ];
 
     const result = await client.query(updateQuery, updateValues);
@@ -536,7 +1094,7 @@ router.put('/:id', verifyToken(), async (req, res) => {
 
     const existingLfdRes = await client.query(
       `
-      SELECT lfd_nr
+      SELECT lfd_nr, erwarteter_wert, gutschrift_betrag, gutschrift_nr, gutschrift_datum
       FROM reklamation_positionen
       WHERE reklamation_id = $1 AND lfd_nr IS NOT NULL;
       `,
@@ -545,6 +1103,8 @@ router.put('/:id', verifyToken(), async (req, res) => {
     const existingLfdSet = new Set(
       existingLfdRes.rows.map((r) => Number(r.lfd_nr)).filter(Number.isFinite)
     );
+    // Gutschrift-Daten werden nur über PATCH /:id/gutschrift gepflegt und bleiben je lfd_nr erhalten
+    const existingGutschrift = new Map(existingLfdRes.rows.map((r) => [Number(r.lfd_nr), r]));
 
     await client.query('DELETE FROM reklamation_positionen WHERE reklamation_id = $1', [id]);
 
@@ -574,9 +1134,14 @@ router.put('/:id', verifyToken(), async (req, res) => {
           bestell_einheit,
           rekla_menge,
           rekla_einheit,
-          lfd_nr
+          lfd_nr,
+          erwarteter_wert,
+          gutschrift_betrag,
+          gutschrift_nr,
+          gutschrift_datum,
+          order_position_id
         )
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8);
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13);
       `;
 
       for (const pos of positionen) {
@@ -603,10 +1168,27 @@ router.put('/:id', verifyToken(), async (req, res) => {
           lfdNrToUse,
         ];
 
+        const kept = existingGutschrift.get(lfdNrToUse);
+        posValues.push(
+          kept?.erwarteter_wert ?? null,
+          kept?.gutschrift_betrag ?? null,
+          kept?.gutschrift_nr ?? null,
+          kept?.gutschrift_datum ?? null,
+          pos.order_position_id ?? null
+        );
+
         await client.query(posQuery, posValues);
       }
     }
 
+    await recordReklamationChanges(client, {
+      reklamationId: id,
+      aktion: 'update',
+      before,
+      after: await snapshotReklamation(client, id),
+      user,
+    });
+
     await client.query('COMMIT');
 
     console.log(`Reklamation vollständig bearbeitet – ID: ${id} von ${user.name} (${user.role})`);
@@ -621,7 +1203,7 @@ router.put('/:id', verifyToken(), async (req, res) => {
           const existing = await fetchExistingByReklaNr(data?.rekla_nr);
           return res.status(409).json({
             code: 'REKLA_NR_EXISTS',
-            message: buildReklaNrExistsMessage(data?.rekla_nr, existing?.filiale),
+            message: buildReklaNrExistsMessage(data?.rekla_nr, existing?.filiale, existing?.deleted_at),
             existing: existing ? { id: existing.id, filiale: existing.filiale, rekla_nr: existing.rekla_nr } : null,
           });
         } catch (lookupErr) {
@@ -655,76 +1237,78 @@ router.put('/:id', verifyToken(), async (req, res) => {
 /**
  * PATCH /api/reklamationen/:id
  */
-router.patch('/:id', verifyToken(), async (req, res) => {
+router.patch('/:id', verifyToken(), requirePermission('reklamation.edit'), async (req, res) => {
   const { id } = req.params;
   const user = req.user;
   const updates = req.body || {};
 
-  if (!rollenMitBearbeitungsrecht.includes(user.role)) {
-    return res.status(403).json({
-      message: 'Zugriff verweigert: Nur Admin oder Supervisor dürfen bearbeiten',
-    });
-  }
-
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
-    const checkResult = await client.query('SELECT id, lieferant, tracking_id, versand FROM reklamationen WHERE id = $1', [id]);
+    const checkResult = await client.query(
+      'SELECT * FROM reklamationen WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [id]
+    );
     if (checkResult.rows.length === 0) {
       await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Reklamation nicht gefunden' });
     }
 
     const existing = checkResult.rows[0];
-    const sodaFixx = isSodaFixx(existing?.lieferant);
-    const existingTrackingNorm = normalizeTrackingId(existing?.tracking_id);
+    const before = await snapshotReklamation(client, id);
+    if (updates.tracking_id !== undefined) {
+      updates.tracking_id = normalizeTrackingId(updates.tracking_id);
+    }
 
-    if (sodaFixx && updates.tracking_id === undefined && !existingTrackingNorm) {
+    // Lieferant + Positionen sind per PATCH nicht änderbar -> Regel auf den zusammengeführten Stand
+    const rule = await loadSupplierRule(client, existing?.lieferant);
+    const ruleCheck = applySupplierRule(rule, { ...existing, ...updates }, undefined);
+    if (!ruleCheck.ok) {
       await client.query('ROLLBACK');
-      return res.status(400).json({
-        message: 'SodaFixx: Tracking-ID ist Pflicht (bitte zuerst Tracking-ID setzen).',
-      });
+      return res.status(400).json({ code: ruleCheck.code, message: ruleCheck.message });
     }
 
-    if (sodaFixx && updates.versand !== undefined) {
-      updates.versand = true;
+    if (updates.versand !== undefined) {
+      updates.versand = ruleCheck.record.versand;
     }
 
-    if (updates.tracking_id !== undefined) {
-      const norm = normalizeTrackingId(updates.tracking_id);
+    if (updates.status !== undefined) updates.status = normText(updates.status);
+
+    if (updates.status !== undefined && updates.status !== existing.status) {
+      const check = await checkStatusTransition(client, {
+        fromStatus: existing.status,
+        toStatus: updates.status,
+        role: user.role,
+        existing,
+        updates,
+      });
 
-      if (sodaFixx && !norm) {
+      if (!check.ok) {
         await client.query('ROLLBACK');
-        return res.status(400).json({
-          message: 'SodaFixx: Tracking-ID ist Pflicht (GLS Rücksendung).',
-        });
+        return res.status(check.status).json({ code: check.code, message: check.message, allowed: check.allowed });
       }
 
-      updates.tracking_id = norm;
+      // Begründung gehört zum jeweiligen Wechsel -> ohne Angabe zurücksetzen
+      if (updates.status_grund === undefined) updates.status_grund = null;
+    } else if (updates.status_grund !== undefined) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'status_grund nur zusammen mit einem Statuswechsel.' });
     }
 
-    const allowedFields = ['status', 'versand', 'tracking_id', 'ls_nummer_grund', 'notiz'];
+    const allowedFields = ['status', 'status_grund', 'versand', 'tracking_id', 'ls_nummer_grund', 'notiz'];
     const setClauses = [];
     const values = [];
     let paramIndex = 1;
+    let noteComment = null;
 
     for (const field of allowedFields) {
       if (updates[field] !== undefined) {
         if (field === 'notiz') {
-          const trimmed = normText(updates.notiz);
-          const finalNote = trimmed.length > 0 ? trimmed : null;
-
-          setClauses.push(`notiz = $${paramIndex}`);
-          values.push(finalNote);
-          paramIndex++;
-
-          setClauses.push(`notiz_von = $${paramIndex}`);
-          values.push(user.name || user.username || 'Unbekannt');
-          paramIndex++;
-
-          setClauses.push(`notiz_am = NOW()`);
+          // Kompatibilität: Notiz überschreibt nichts mehr, sondern wird Kommentar (leer = ignorieren)
+          const check = normalizeCommentText(updates.notiz);
+          if (check.ok) noteComment = check.text;
         } else {
           setClauses.push(`${field} = $${paramIndex}`);
           values.push(updates[field]);
@@ -733,7 +1317,7 @@ router.patch('/:id', verifyToken(), async (req, res) => {
       }
     }
 
-    if (setClauses.length === 0) {
+    if (setClauses.length === 0 && !noteComment) {
       await client.query('ROLLBACK');
       return res.status(400).json({ message: 'Keine gültigen Felder zum Updaten' });
     }
@@ -750,6 +1334,18 @@ router.patch('/:id', verifyToken(), async (req, res) => {
 
     await client.query(query, values);
 
+    if (noteComment) {
+      await createComment(client, { reklamationId: Number(id), text: noteComment, intern: false, user });
+    }
+
+    await recordReklamationChanges(client, {
+      reklamationId: id,
+      aktion: 'patch',
+      before,
+      after: await snapshotReklamation(client, id),
+      user,
+    });
+
     await client.query('COMMIT');
 
     console.log(
@@ -782,30 +1378,350 @@ router.patch('/:id', verifyToken(), async (req, res) => {
 });
 
 /**
- * DELETE /api/reklamationen/:id
+ * POST /api/reklamationen/:id/send
+ * - Mail an den Lieferanten (Empfänger aus lieferanten.reklamation_email) mit PDF-Beleg + Fotos
+ * - nur im Status "Freigegeben"; bereits live gesendet -> 409, außer { force: true }
+ * - MAIL_MODE=test: Mail geht an MAIL_TEST_RECIPIENT, gesendet_modus = 'test' sperrt keinen Live-Versand
+ * - Ablauf: Versand kurz belegen (versand_laeuft_seit, eigene Transaktion) -> Mail ohne Zeilensperre senden
+ *   -> gesendet_* in einem Statement eintragen; ein Fehler danach macht den Versand nicht mehr rückgängig
  */
-router.delete('/:id', verifyToken(), async (req, res) => {
+router.post('/:id/send', verifyToken(), requirePermission('reklamation.send'), async (req, res) => {
   const { id } = req.params;
   const user = req.user;
+  const force = req.body?.force === true;
+  const includePhotos = req.body?.include_photos !== false;
+
+  let reklamation;
+  let lieferant;
+  let recipient;
+  let before;
+
+  // 1) Prüfen + belegen: parallele Klicks sehen versand_laeuft_seit bzw. gesendet_am
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const global = await userCan(req, 'reklamation.read_all');
+
+    const r = await client.query(
+      `
+      SELECT *
+      FROM reklamationen
+      WHERE id = $1
+        AND deleted_at IS NULL
+      ${global ? '' : 'AND filiale = ANY($2::text[])'}
+      FOR UPDATE
+      `,
+      global ? [id] : [id, getUserFilialen(user)]
+    );
+
+    if (r.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Reklamation nicht gefunden' });
+    }
+
+    reklamation = r.rows[0];
+
+    if (reklamation.status !== 'Freigegeben') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        code: 'NOT_RELEASED',
+        message: `Versand nur im Status "Freigegeben" möglich (aktuell: ${reklamation.status || '-'}).`,
+      });
+    }
+
+    if (
+      reklamation.versand_laeuft_seit &&
+      new Date(reklamation.versand_laeuft_seit).getTime() > Date.now() - SEND_CLAIM_MINUTES * 60 * 1000
+    ) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        code: 'SEND_IN_PROGRESS',
+        message: 'Die Reklamation wird gerade gesendet. Bitte kurz warten und neu laden.',
+      });
+    }
+
+    if (reklamation.gesendet_am && reklamation.gesendet_modus !== 'test' && !force) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        code: 'ALREADY_SENT',
+        message: 'Reklamation wurde bereits an den Lieferanten gesendet. Erneut senden nur mit force: true.',
+        gesendet_am: reklamation.gesendet_am,
+        gesendet_an: reklamation.gesendet_an,
+      });
+    }
+
+    const lieferantRes = await client.query(
+      `
+      SELECT id, bezeichnung, reklamation_email, reklamation_email_cc, reklamation_mail_betreff, reklamation_mail_text
+      FROM lieferanten
+      WHERE lower(trim(bezeichnung)) = lower(trim($1))
+      LIMIT 1
+      `,
+      [reklamation.lieferant || '']
+    );
+    lieferant = lieferantRes.rows[0] || null;
+    recipient = normText(lieferant?.reklamation_email);
+
+    if (!recipient) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        code: 'NO_RECIPIENT',
+        message: `Für Lieferant "${reklamation.lieferant || '-'}" ist keine Reklamations-E-Mail hinterlegt.`,
+      });
+    }
+
+    before = await snapshotReklamation(client, id);
+
+    await client.query('UPDATE reklamationen SET versand_laeuft_seit = now() WHERE id = $1', [id]);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Fehler beim Senden der Reklamation:', err);
+    return res.status(500).json({ message: 'Serverfehler beim Senden' });
+  } finally {
+    client.release();
+  }
+
+  // 2) Beleg erzeugen + senden (ohne Transaktion); bei Fehler Belegung wieder freigeben
+  let sent;
+  let photos;
+
+  try {
+    const positionenRes = await pool.query(
+      'SELECT * FROM reklamation_positionen WHERE reklamation_id = $1 ORDER BY lfd_nr NULLS LAST, pos_id',
+      [id]
+    );
 
-  if (!rollenMitBearbeitungsrecht.includes(user.role)) {
-    return res.status(403).json({
-      message: 'Zugriff verweigert: Nur Admin oder Supervisor dürfen löschen',
+    const pdfBuffer = await generateReklamationPdf(reklamation.id);
+    photos = includePhotos
+      ? await loadPhotoAttachments(pool, reklamation.id, pdfBuffer.length)
+      : { attachments: [], skipped: [] };
+
+    const mail = buildReklamationMail({ reklamation, positionen: positionenRes.rows, lieferant, user });
+    const belegName = normText(reklamation.rekla_nr).replace(/[^A-Za-z0-9_-]/g, '_') || reklamation.id;
+
+    sent = await sendMail({
+      subject: mail.subject,
+      text: mail.text,
+      to: recipient,
+      cc: normText(lieferant?.reklamation_email_cc) || null,
+      fromName: 'Neufeld Reklamationen',
+      attachments: [{ filename: `Reklamation_${belegName}.pdf`, content: pdfBuffer }, ...photos.attachments],
     });
+  } catch (mailErr) {
+    try {
+      await pool.query('UPDATE reklamationen SET versand_laeuft_seit = NULL WHERE id = $1', [id]);
+    } catch (releaseErr) {
+      console.error(`Reklamation ${id}: Versand-Belegung nicht freigegeben:`, releaseErr);
+    }
+
+    if (mailErr.code === 'MAIL_NOT_CONFIGURED' || mailErr.code === 'MAIL_NO_RECIPIENT') {
+      console.warn(`Reklamation ${id}: Mailversand nicht möglich – ${mailErr.message}`);
+      return res.status(503).json({ code: mailErr.code, message: `Mailversand nicht möglich: ${mailErr.message}` });
+    }
+
+    console.error('Fehler beim Mailversand der Reklamation:', mailErr);
+    return res.status(502).json({ code: 'MAIL_FAILED', message: 'Mailversand an den Lieferanten fehlgeschlagen' });
+  }
+
+  console.log(
+    `Reklamation gesendet – ID: ${id} an ${sent.recipient} (${sent.mode}) von ${user.name} (${user.role})`
+  );
+
+  // 3) Ergebnis eintragen – die Mail ist raus, Fehler ab hier nur protokollieren
+  let versand = { gesendet_am: new Date().toISOString(), gesendet_an: sent.recipient, gesendet_modus: sent.mode };
+
+  try {
+    const upd = await pool.query(
+      `
+      UPDATE reklamationen
+      SET gesendet_am = now(),
+          gesendet_an = $2,
+          gesendet_modus = $3,
+          gesendet_von = $4,
+          versand_laeuft_seit = NULL,
+          letzte_aenderung = CURRENT_DATE
+      WHERE id = $1
+      RETURNING gesendet_am, gesendet_an, gesendet_modus
+      `,
+      [id, sent.recipient, sent.mode, user.name]
+    );
+    if (upd.rows.length > 0) versand = upd.rows[0];
+
+    const after = await snapshotReklamation(pool, id);
+    await recordReklamationChanges(pool, { reklamationId: id, aktion: 'send', before, after, user });
+  } catch (err) {
+    console.error(`Reklamation ${id}: gesendet, aber Versand-Vermerk/Historie nicht gespeichert:`, err);
+  }
+
+  res.json({
+    message: sent.mode === 'test' ? 'Testversand erfolgreich (MAIL_MODE=test)' : 'Reklamation an den Lieferanten gesendet',
+    ...versand,
+    anhaenge: 1 + photos.attachments.length,
+    uebersprungen: photos.skipped,
+  });
+});
+
+/**
+ * PATCH /api/reklamationen/:id/gutschrift
+ * - Body: erwarteter_wert, gutschrift_betrag, gutschrift_nr, gutschrift_datum, optional gutschrift_status,
+ *   optional positionen: [{ lfd_nr, erwarteter_wert, gutschrift_betrag, gutschrift_nr, gutschrift_datum }]
+ * - Kopfbeträge ohne Angabe = Summe der Positionen; Status ohne Angabe wird abgeleitet
+ */
+router.patch('/:id/gutschrift', verifyToken(), requirePermission('reklamation.gutschrift'), async (req, res) => {
+  const { id } = req.params;
+  const user = req.user;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const global = await userCan(req, 'reklamation.read_all');
+
+    const r = await client.query(
+      `
+      SELECT id
+      FROM reklamationen
+      WHERE id = $1
+        AND deleted_at IS NULL
+      ${global ? '' : 'AND filiale = ANY($2::text[])'}
+      FOR UPDATE
+      `,
+      global ? [id] : [id, getUserFilialen(user)]
+    );
+
+    if (r.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Reklamation nicht gefunden' });
+    }
+
+    const before = await snapshotReklamation(client, id);
+
+    const result = await applyGutschriftUpdate(client, id, req.body);
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const after = await snapshotReklamation(client, id);
+    await recordReklamationChanges(client, { reklamationId: id, aktion: 'gutschrift', before, after, user });
+
+    await client.query('COMMIT');
+
+    console.log(
+      `Gutschrift aktualisiert – Reklamation ${id}: ${after.header.gutschrift_status || '-'} von ${user.name} (${user.role})`
+    );
+    res.json({ reklamation: after.header, positionen: after.positionen });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Fehler beim Aktualisieren der Gutschrift:', err);
+    res.status(500).json({ message: 'Serverfehler beim Aktualisieren' });
+  } finally {
+    client.release();
   }
+});
+
+/**
+ * DELETE /api/reklamationen/:id
+ * - verschiebt in den Papierkorb (deleted_at/-by/-reason), Body optional { grund }
+ * - Positionen, Anhänge und Nummern bleiben erhalten; endgültig gelöscht wird nach REKLAMATION_PURGE_DAYS
+ */
+router.delete('/:id', verifyToken(), requirePermission('reklamation.delete'), async (req, res) => {
+  const { id } = req.params;
+  const user = req.user;
+  const grund = normText(req.body?.grund ?? req.query?.grund) || null;
+
+  const client = await pool.connect();
 
   try {
-    const result = await pool.query('DELETE FROM reklamationen WHERE id = $1', [id]);
+    await client.query('BEGIN');
+
+    const before = await snapshotReklamation(client, id);
+
+    const result = await client.query(
+      `
+      UPDATE reklamationen
+      SET deleted_at = now(),
+          deleted_by_user_id = $2,
+          deleted_by_name = $3,
+          deleted_reason = $4
+      WHERE id = $1
+        AND deleted_at IS NULL
+      `,
+      [id, user.id ?? null, user.name ?? null, grund]
+    );
 
     if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Reklamation nicht gefunden' });
     }
 
-    console.log(`Reklamation gelöscht – ID: ${id} von ${user.name} (${user.role})`);
-    res.json({ message: 'Reklamation erfolgreich gelöscht' });
+    const after = await snapshotReklamation(client, id);
+    await recordReklamationChanges(client, { reklamationId: id, aktion: 'delete', before, after, user });
+
+    await client.query('COMMIT');
+
+    console.log(`Reklamation in den Papierkorb verschoben – ID: ${id} von ${user.name} (${user.role})`);
+    res.json({ message: 'Reklamation in den Papierkorb verschoben', purgeDays: getPurgeDays() });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Fehler beim Löschen:', err.message);
     res.status(500).json({ message: 'Serverfehler beim Löschen' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/reklamationen/:id/restore
+ * - holt eine Reklamation aus dem Papierkorb zurück (rekla_nr/tracking_id waren weiter belegt, daher kein Konflikt)
+ */
+router.post('/:id/restore', verifyToken(), requirePermission('reklamation.restore'), async (req, res) => {
+  const { id } = req.params;
+  const user = req.user;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const before = await snapshotReklamation(client, id);
+
+    const result = await client.query(
+      `
+      UPDATE reklamationen
+      SET deleted_at = NULL,
+          deleted_by_user_id = NULL,
+          deleted_by_name = NULL,
+          deleted_reason = NULL
+      WHERE id = $1
+        AND deleted_at IS NOT NULL
+      `,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Reklamation nicht im Papierkorb gefunden' });
+    }
+
+    const after = await snapshotReklamation(client, id);
+    await recordReklamationChanges(client, { reklamationId: id, aktion: 'restore', before, after, user });
+
+    await client.query('COMMIT');
+
+    console.log(`Reklamation wiederhergestellt – ID: ${id} von ${user.name} (${user.role})`);
+    res.json({ message: 'Reklamation wiederhergestellt', reklamation: after.header });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Fehler beim Wiederherstellen:', err);
+    res.status(500).json({ message: 'Serverfehler beim Wiederherstellen' });
+  } finally {
+    client.release();
   }
 });
 
@@ -3,18 +3,15 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
+const { userCan } = require('../services/permissions');
+const { listSupplierRules, normalizeRuleInput } = require('../services/supplierRules');
 
 // ✅ AUTH AKTIVIERT: Alle Stammdaten erfordern gültiges Token (keine spezielle Rolle nötig)
 router.use(verifyToken()); // ← DAS WAR DER FEHLER! Jetzt sicher!
 
-// Helper: Nur Admin + Supervisor dürfen Stammdaten verwalten
-function isStammdatenAdmin(req) {
-  const role = String(req?.user?.role || '');
-  return role === 'Admin' || role === 'Supervisor';
-}
-
-function requireStammdatenAdmin(req, res) {
-  if (!isStammdatenAdmin(req)) {
+// Helper: Stammdaten verwalten nur mit Permission stammdaten.manage (Standard: Admin + Supervisor)
+async function requireStammdatenAdmin(req, res) {
+  if (!(await userCan(req, 'stammdaten.manage'))) {
     res.status(403).json({ error: 'Keine Berechtigung (nur Admin/Supervisor).' });
     return false;
   }
@@ -71,13 +68,14 @@ router.get('/lieferanten', async (req, res) => {
   }
 });
 
-// Lieferanten (Verwaltung) – Admin/Supervisor: id + bezeichnung + aktiv
+// Lieferanten (Verwaltung) – Admin/Supervisor: id + bezeichnung + aktiv + Reklamations-Mail
 router.get('/lieferanten/manage', async (req, res) => {
-  if (!requireStammdatenAdmin(req, res)) return;
+  if (!(await requireStammdatenAdmin(req, res))) return;
 
   try {
     const result = await pool.query(`
-      SELECT id, bezeichnung, aktiv
+      SELECT id, bezeichnung, aktiv,
+             reklamation_email, reklamation_email_cc, reklamation_mail_betreff, reklamation_mail_text
       FROM lieferanten
       ORDER BY bezeichnung ASC
     `);
@@ -91,7 +89,7 @@ router.get('/lieferanten/manage', async (req, res) => {
 
 // Lieferant anlegen – Admin/Supervisor
 router.post('/lieferanten', async (req, res) => {
-  if (!requireStammdatenAdmin(req, res)) return;
+  if (!(await requireStammdatenAdmin(req, res))) return;
 
   try {
     // Frontend soll "bezeichnung" senden; "name" akzeptieren wir als Fallback, damit nichts bricht.
@@ -123,9 +121,12 @@ router.post('/lieferanten', async (req, res) => {
   }
 });
 
-// Lieferant ändern (Name und/oder aktiv) – Admin/Supervisor
+const MAIL_FIELDS = ['reklamation_email', 'reklamation_email_cc', 'reklamation_mail_betreff', 'reklamation_mail_text'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lieferant ändern (Name, aktiv, Reklamations-Mail) – Admin/Supervisor
 router.patch('/lieferanten/:id', async (req, res) => {
-  if (!requireStammdatenAdmin(req, res)) return;
+  if (!(await requireStammdatenAdmin(req, res))) return;
 
   try {
     const id = Number(req.params.id);
@@ -158,8 +159,29 @@ router.patch('/lieferanten/:id', async (req, res) => {
       values.push(aktiv);
     }
 
+    // Reklamations-Mail (POST /api/reklamationen/:id/send): Empfänger, CC (kommagetrennt), eigene Vorlage
+    for (const feld of MAIL_FIELDS) {
+      if (req.body?.[feld] === undefined) continue;
+
+      const raw = req.body[feld];
+      if (raw !== null && typeof raw !== 'string') {
+        return res.status(400).json({ error: `${feld} muss Text oder null sein` });
+      }
+
+      const value = raw === null ? null : raw.trim() || null;
+      if (value && (feld === 'reklamation_email' || feld === 'reklamation_email_cc')) {
+        const invalid = value.split(',').map((e) => e.trim()).filter((e) => !EMAIL_RE.test(e));
+        if (invalid.length > 0) {
+          return res.status(400).json({ error: `Ungültige E-Mail-Adresse in ${feld}: ${invalid.join(', ')}` });
+        }
+      }
+
+      updates.push(`${feld} = $${idx++}`);
+      values.push(value);
+    }
+
     if (updates.length === 0) {
-      return res.status(400).json({ error: 'Keine Änderungen übergeben (bezeichnung und/oder aktiv).' });
+      return res.status(400).json({ error: 'Keine Änderungen übergeben (bezeichnung, aktiv und/oder Reklamations-Mail).' });
     }
 
     values.push(id);
@@ -169,7 +191,8 @@ router.patch('/lieferanten/:id', async (req, res) => {
         UPDATE lieferanten
         SET ${updates.join(', ')}
         WHERE id = $${idx}
-        RETURNING id, bezeichnung, aktiv
+        RETURNING id, bezeichnung, aktiv,
+                  reklamation_email, reklamation_email_cc, reklamation_mail_betreff, reklamation_mail_text
       `,
       values
     );
@@ -189,6 +212,146 @@ router.patch('/lieferanten/:id', async (req, res) => {
   }
 });
 
+// Lieferanten-Regeln (Reklamationen) – lesen für alle, z. B. für Pflichtfeld-Hinweise im Formular
+router.get('/lieferanten/regeln', async (req, res) => {
+  try {
+    const rows = await listSupplierRules(pool);
+    console.log(`📋 /api/lieferanten/regeln – ${req.user.name}: ${rows.length} Regeln`);
+    res.json(rows);
+  } catch (err) {
+    console.error('Fehler /api/lieferanten/regeln:', err.message);
+    res.status(500).json({ error: 'Datenbankfehler bei Lieferanten-Regeln' });
+  }
+});
+
+// Regel eines Lieferanten – hat_regel = false, wenn keine hinterlegt (Felder dann null)
+router.get('/lieferanten/:id/regeln', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Ungültige ID' });
+    }
+
+    const result = await pool.query(
+      `
+        SELECT l.id AS lieferant_id, l.bezeichnung AS lieferant,
+               r.pflichtfelder, r.max_menge, r.nur_ganzzahlig, r.versand_erzwingen,
+               r.erlaubte_arten, r.einheit, r.hinweis, r.updated_at,
+               (r.lieferant_id IS NOT NULL) AS hat_regel
+        FROM lieferanten l
+        LEFT JOIN lieferant_regeln r ON r.lieferant_id = l.id
+        WHERE l.id = $1
+      `,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Lieferant nicht gefunden' });
+    }
+
+    return res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Fehler GET /api/lieferanten/:id/regeln:', err.message);
+    return res.status(500).json({ error: 'Datenbankfehler bei Lieferanten-Regeln' });
+  }
+});
+
+// Regel setzen/ersetzen – Admin/Supervisor
+router.put('/lieferanten/:id/regeln', async (req, res) => {
+  if (!(await requireStammdatenAdmin(req, res))) return;
+
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Ungültige ID' });
+    }
+
+    const input = normalizeRuleInput(req.body);
+    if (!input.ok) {
+      return res.status(400).json({ error: input.message });
+    }
+    const rule = input.rule;
+
+    const lief = await pool.query('SELECT id FROM lieferanten WHERE id = $1', [id]);
+    if (lief.rowCount === 0) {
+      return res.status(404).json({ error: 'Lieferant nicht gefunden' });
+    }
+
+    if (rule.erlaubte_arten) {
+      const arten = await pool.query('SELECT bezeichnung FROM art_der_reklamation WHERE bezeichnung = ANY($1::text[])', [
+        rule.erlaubte_arten,
+      ]);
+      const known = new Set(arten.rows.map((r) => r.bezeichnung));
+      const unknown = rule.erlaubte_arten.filter((a) => !known.has(a));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unbekannte Reklamationsarten: ${unknown.join(', ')}` });
+      }
+    }
+
+    await pool.query(
+      `
+        INSERT INTO lieferant_regeln (
+          lieferant_id, pflichtfelder, max_menge, nur_ganzzahlig, versand_erzwingen,
+          erlaubte_arten, einheit, hinweis, updated_at, updated_by_user_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now(), $9)
+        ON CONFLICT (lieferant_id) DO UPDATE SET
+          pflichtfelder = EXCLUDED.pflichtfelder,
+          max_menge = EXCLUDED.max_menge,
+          nur_ganzzahlig = EXCLUDED.nur_ganzzahlig,
+          versand_erzwingen = EXCLUDED.versand_erzwingen,
+          erlaubte_arten = EXCLUDED.erlaubte_arten,
+          einheit = EXCLUDED.einheit,
+          hinweis = EXCLUDED.hinweis,
+          updated_at = now(),
+          updated_by_user_id = EXCLUDED.updated_by_user_id
+      `,
+      [
+        id,
+        rule.pflichtfelder,
+        rule.max_menge,
+        rule.nur_ganzzahlig,
+        rule.versand_erzwingen,
+        rule.erlaubte_arten,
+        rule.einheit,
+        rule.hinweis,
+        req.user.id,
+      ]
+    );
+
+    const saved = (await listSupplierRules(pool)).find((r) => r.lieferant_id === id);
+
+    console.log(`🛠️ Lieferanten-Regel gespeichert – ${req.user.name} (${req.user.role}): lieferant_id=${id}`);
+    return res.json(saved);
+  } catch (err) {
+    console.error('Fehler PUT /api/lieferanten/:id/regeln:', err.message);
+    return res.status(500).json({ error: 'Datenbankfehler beim Speichern der Lieferanten-Regel' });
+  }
+});
+
+// Regel entfernen – Admin/Supervisor (Lieferant hat danach keine Sonderregeln)
+router.delete('/lieferanten/:id/regeln', async (req, res) => {
+  if (!(await requireStammdatenAdmin(req, res))) return;
+
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Ungültige ID' });
+    }
+
+    const result = await pool.query('DELETE FROM lieferant_regeln WHERE lieferant_id = $1', [id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Keine Regel für diesen Lieferanten hinterlegt' });
+    }
+
+    console.log(`🗑️ Lieferanten-Regel gelöscht – ${req.user.name} (${req.user.role}): lieferant_id=${id}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Fehler DELETE /api/lieferanten/:id/regeln:', err.message);
+    return res.status(500).json({ error: 'Datenbankfehler beim Löschen der Lieferanten-Regel' });
+  }
+});
+
 // Einheiten
 router.get('/einheiten', async (req, res) => {
   try {
@@ -0,0 +1,311 @@
+// routes/taskTemplates.js – Task-Vorlagen und Wiederholungen (nur task.template_manage)
+// - GET    /api/tasks/templates                                 Vorlagen inkl. Wiederholungen
+// - POST   /api/tasks/templates                                 Vorlage anlegen { title, body, due_offset_hours?, aktiv? }
+// - PATCH  /api/tasks/templates/:id                             Vorlage ändern (nur übergebene Felder)
+// - DELETE /api/tasks/templates/:id                             Vorlage + Wiederholungen löschen (angelegte Tasks bleiben)
+// - POST   /api/tasks/templates/:id/recurrences                 Wiederholung anlegen (siehe normalizeRecurrenceInput)
+// - PUT    /api/tasks/templates/:id/recurrences/:recurrenceId   Wiederholung ersetzen
+// - DELETE /api/tasks/templates/:id/recurrences/:recurrenceId   Wiederholung löschen
+// - POST   /api/tasks/templates/run                             Scheduler sofort laufen lassen (idempotent)
+// Angelegt werden die Tasks von services/taskRecurrence.js (source_type='template', source_id=Vorlagen-ID).
+
+const express = require('express');
+
+const router = express.Router();
+
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const requirePermission = require('../middleware/requirePermission');
+const {
+  todayInTaskTimezone,
+  normalizeRecurrenceInput,
+  materialiseRecurringTasks,
+} = require('../services/taskRecurrence');
+
+router.use(verifyToken(), requirePermission('task.template_manage'));
+
+const TEMPLATE_COLUMNS = 'id, title, body, due_offset_hours, aktiv, created_by_user_id, created_at, updated_at';
+const RECURRENCE_COLUMNS = `
+  id, template_id, rhythmus, wochentag, monatstag, filiale_ids, alle_aktiven,
+  start_datum, aktiv, last_run_date, created_by_user_id, created_at
+`;
+
+function parseId(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Prüft Vorlagenfelder (bei partial nur vorhandene Keys).
+ * Ergebnis: { ok: true, values } oder { ok: false, message }
+ */
+function normalizeTemplateInput(src, { partial = false } = {}) {
+  const values = {};
+
+  for (const key of ['title', 'body']) {
+    if (partial && src?.[key] === undefined) continue;
+    const text = String(src?.[key] ?? '').trim();
+    if (!text) return { ok: false, message: `${key} ist Pflicht.` };
+    values[key] = text;
+  }
+
+  if (src?.due_offset_hours !== undefined) {
+    const raw = src.due_offset_hours;
+    const n = raw === null || raw === '' ? null : Number(raw);
+    if (n !== null && (!Number.isInteger(n) || n < 0)) {
+      return { ok: false, message: 'due_offset_hours muss eine ganze Zahl >= 0 sein (oder leer).' };
+    }
+    values.due_offset_hours = n;
+  }
+
+  if (src?.aktiv !== undefined) {
+    values.aktiv = src.aktiv === true;
+  }
+
+  return { ok: true, values };
+}
+
+async function checkFilialen(rule) {
+  if (rule.alle_aktiven) return { ok: true };
+  const r = await pool.query('SELECT id FROM public.filialen WHERE id = ANY($1::int[])', [rule.filiale_ids]);
+  const missing = rule.filiale_ids.filter((id) => !r.rows.some((row) => row.id === id));
+  return missing.length > 0
+    ? { ok: false, message: `Filiale(n) mit id=${missing.join(', ')} nicht gefunden.` }
+    : { ok: true };
+}
+
+/**
+ * GET /api/tasks/templates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tRes = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM core.task_templates ORDER BY aktiv DESC, title ASC`);
+    const rRes = await pool.query(`SELECT ${RECURRENCE_COLUMNS} FROM core.task_recurrences ORDER BY id ASC`);
+
+    const templates = tRes.rows.map((t) => ({
+      ...t,
+      recurrences: rRes.rows.filter((r) => r.template_id === t.id),
+    }));
+
+    return res.json({ templates });
+  } catch (err) {
+    console.error('GET /api/tasks/templates Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * POST /api/tasks/templates/run
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const result = await materialiseRecurringTasks();
+    console.log(`Wiederkehrende Tasks manuell ausgelöst von ${req.user.name}: ${result.created} neu`);
+    return res.json(result);
+  } catch (err) {
+    console.error('POST /api/tasks/templates/run Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * POST /api/tasks/templates
+ */
+router.post('/', async (req, res) => {
+  const input = normalizeTemplateInput(req.body);
+  if (!input.ok) return res.status(400).json({ message: input.message });
+
+  try {
+    const { title, body, due_offset_hours = null, aktiv = true } = input.values;
+    const r = await pool.query(
+      `
+      INSERT INTO core.task_templates (title, body, due_offset_hours, aktiv, created_by_user_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${TEMPLATE_COLUMNS}
+      `,
+      [title, body, due_offset_hours, aktiv, req.user.id]
+    );
+
+    return res.status(201).json({ template: { ...r.rows[0], recurrences: [] } });
+  } catch (err) {
+    console.error('POST /api/tasks/templates Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * PATCH /api/tasks/templates/:id
+ */
+router.patch('/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Ungültige ID' });
+
+  const input = normalizeTemplateInput(req.body, { partial: true });
+  if (!input.ok) return res.status(400).json({ message: input.message });
+
+  const entries = Object.entries(input.values);
+  if (entries.length === 0) {
+    return res.status(400).json({ message: 'Keine gültigen Felder zum Updaten' });
+  }
+
+  try {
+    const sets = entries.map(([key], i) => `${key} = $${i + 2}`);
+    const r = await pool.query(
+      `UPDATE core.task_templates SET ${sets.join(', ')}, updated_at = now() WHERE id = $1 RETURNING ${TEMPLATE_COLUMNS}`,
+      [id, ...entries.map(([, value]) => value)]
+    );
+
+    if (r.rows.length === 0) return res.status(404).json({ message: 'Vorlage nicht gefunden' });
+    return res.json({ template: r.rows[0] });
+  } catch (err) {
+    console.error('PATCH /api/tasks/templates/:id Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * DELETE /api/tasks/templates/:id
+ */
+router.delete('/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Ungültige ID' });
+
+  try {
+    const r = await pool.query('DELETE FROM core.task_templates WHERE id = $1', [id]);
+    if (r.rowCount === 0) return res.status(404).json({ message: 'Vorlage nicht gefunden' });
+
+    console.log(`Task-Vorlage ${id} gelöscht von ${req.user.name} (${req.user.role})`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/tasks/templates/:id Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * POST /api/tasks/templates/:id/recurrences
+ * Body: { rhythmus: 'weekly'|'monthly', wochentag (1-7) | monatstag (1-31),
+ *         filiale_ids: [..] | 'alle_aktiven', start_datum?, aktiv? }
+ */
+router.post('/:id/recurrences', async (req, res) => {
+  const templateId = parseId(req.params.id);
+  if (!templateId) return res.status(400).json({ message: 'Ungültige ID' });
+
+  const input = normalizeRecurrenceInput(req.body);
+  if (!input.ok) return res.status(400).json({ message: input.message });
+  const rule = input.rule;
+
+  try {
+    const t = await pool.query('SELECT 1 FROM core.task_templates WHERE id = $1', [templateId]);
+    if (t.rows.length === 0) return res.status(404).json({ message: 'Vorlage nicht gefunden' });
+
+    const check = await checkFilialen(rule);
+    if (!check.ok) return res.status(404).json({ message: check.message });
+
+    const r = await pool.query(
+      `
+      INSERT INTO core.task_recurrences (
+        template_id, rhythmus, wochentag, monatstag, filiale_ids, alle_aktiven, start_datum, aktiv, created_by_user_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING ${RECURRENCE_COLUMNS}
+      `,
+      [
+        templateId,
+        rule.rhythmus,
+        rule.wochentag,
+        rule.monatstag,
+        rule.filiale_ids,
+        rule.alle_aktiven,
+        rule.start_datum,
+        rule.aktiv,
+        req.user.id,
+      ]
+    );
+
+    return res.status(201).json({ recurrence: r.rows[0] });
+  } catch (err) {
+    console.error('POST /api/tasks/templates/:id/recurrences Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * PUT /api/tasks/templates/:id/recurrences/:recurrenceId
+ * - ohne start_datum bleibt das bisherige
+ * - bereits angelegte Stichtage werden nicht erneut erzeugt (task_recurrence_runs); ändert sich der Rhythmus
+ *   nach dem heutigen Lauf, wird last_run_date auf gestern gesetzt, damit ein neuer Stichtag heute noch greift
+ */
+router.put('/:id/recurrences/:recurrenceId', async (req, res) => {
+  const templateId = parseId(req.params.id);
+  const recurrenceId = parseId(req.params.recurrenceId);
+  if (!templateId || !recurrenceId) return res.status(400).json({ message: 'Ungültige ID' });
+
+  const input = normalizeRecurrenceInput(req.body, { defaultStartDatum: null });
+  if (!input.ok) return res.status(400).json({ message: input.message });
+  const rule = input.rule;
+
+  try {
+    const check = await checkFilialen(rule);
+    if (!check.ok) return res.status(404).json({ message: check.message });
+
+    const r = await pool.query(
+      `
+      UPDATE core.task_recurrences
+      SET rhythmus = $3, wochentag = $4, monatstag = $5, filiale_ids = $6,
+          alle_aktiven = $7, start_datum = COALESCE($8::date, start_datum), aktiv = $9,
+          last_run_date = CASE
+            WHEN last_run_date >= $10::date
+             AND (rhythmus, wochentag, monatstag, filiale_ids, alle_aktiven, start_datum)
+                 IS DISTINCT FROM ($3::text, $4::smallint, $5::smallint, $6::int[], $7::boolean,
+                                   COALESCE($8::date, start_datum))
+            THEN $10::date - 1
+            ELSE last_run_date
+          END
+      WHERE id = $1 AND template_id = $2
+      RETURNING ${RECURRENCE_COLUMNS}
+      `,
+      [
+        recurrenceId,
+        templateId,
+        rule.rhythmus,
+        rule.wochentag,
+        rule.monatstag,
+        rule.filiale_ids,
+        rule.alle_aktiven,
+        rule.start_datum,
+        rule.aktiv,
+        todayInTaskTimezone(),
+      ]
+    );
+
+    if (r.rows.length === 0) return res.status(404).json({ message: 'Wiederholung nicht gefunden' });
+    return res.json({ recurrence: r.rows[0] });
+  } catch (err) {
+    console.error('PUT /api/tasks/templates/:id/recurrences/:recurrenceId Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * DELETE /api/tasks/templates/:id/recurrences/:recurrenceId
+ */
+router.delete('/:id/recurrences/:recurrenceId', async (req, res) => {
+  const templateId = parseId(req.params.id);
+  const recurrenceId = parseId(req.params.recurrenceId);
+  if (!templateId || !recurrenceId) return res.status(400).json({ message: 'Ungültige ID' });
+
+  try {
+    const r = await pool.query('DELETE FROM core.task_recurrences WHERE id = $1 AND template_id = $2', [
+      recurrenceId,
+      templateId,
+    ]);
+    if (r.rowCount === 0) return res.status(404).json({ message: 'Wiederholung nicht gefunden' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/tasks/templates/:id/recurrences/:recurrenceId Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+module.exports = router;
@@ -5,16 +5,182 @@ const router = express.Router();
 
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
+const requirePermission = require('../middleware/requirePermission');
+const { userCan } = require('../services/permissions');
+const { getUserFilialen } = require('../services/userFilialen');
 
 // --- Helpers ---
-function isCentralRole(role) {
-  return ['Admin', 'Supervisor', 'Geschäftsführer', 'Manager-1'].includes(role);
-}
-
 function isFourDigitPin(pin) {
   return typeof pin === 'string' && /^[0-9]{4}$/.test(pin);
 }
 
+// Filial-IDs aller dem User zugeordneten Filialen (Stammfiliale zuerst)
+// Ergebnis: { ok: true, filialen: [{ id, name }] } oder { ok: false, status, message }
+async function loadOwnFilialen(user) {
+  const names = getUserFilialen(user);
+  if (names.length === 0) {
+    return { ok: false, status: 400, message: 'Filiale im Token fehlt. Bitte erneut anmelden.' };
+  }
+
+  const fRes = await pool.query(
+    'SELECT id, name FROM public.filialen WHERE name = ANY($1::text[])',
+    [names]
+  );
+
+  if (fRes.rows.length === 0) {
+    return { ok: false, status: 404, message: `Filiale '${names.join(', ')}' nicht in public.filialen gefunden.` };
+  }
+
+  const filialen = names
+    .map((name) => fRes.rows.find((row) => row.name === name))
+    .filter(Boolean);
+
+  return { ok: true, filialen };
+}
+
+// Gemeinsame Felder für POST /api/tasks und POST /api/tasks/bulk
+// Ergebnis: { ok: true, title, body, due_at, source_type, source_id } oder { ok: false, message }
+function parseTaskInput(src) {
+  const title = String(src?.title || '').trim();
+  const body = String(src?.body || '').trim();
+
+  const due_at_raw = src?.due_at ?? null;
+  const source_type = src?.source_type != null ? String(src.source_type).trim() : null;
+  const source_id = src?.source_id != null ? String(src.source_id).trim() : null;
+
+  if (!title) return { ok: false, message: 'title ist Pflicht.' };
+  if (!body) return { ok: false, message: 'body ist Pflicht.' };
+
+  let due_at = null;
+  if (due_at_raw !== null && due_at_raw !== '') {
+    const d = new Date(due_at_raw);
+    if (Number.isNaN(d.getTime())) {
+      return { ok: false, message: 'due_at ist kein gültiges Datum.' };
+    }
+    due_at = d.toISOString();
+  }
+
+  return { ok: true, title, body, due_at, source_type, source_id };
+}
+
+// --- Übersicht Zentrale: Filter / Paging ---
+const TASK_STATUSES = ['open', 'ack', 'admin_closed', 'executed', 'canceled'];
+const TASK_OPEN_STATUSES = ['open', 'ack'];
+const OVERVIEW_DEFAULT_PAGE_SIZE = 50;
+const OVERVIEW_MAX_PAGE_SIZE = 200;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// "1,2" oder ?x=1&x=2 -> ['1', '2']
+function parseListParam(value) {
+  const raw = Array.isArray(value) ? value : [value];
+  return raw
+    .flatMap((v) => String(v ?? '').split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function parseBoolParam(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+function parseDateParam(value, endOfDay) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return { ok: true, value: null };
+
+  // reines Datum: "bis" inklusiv bis Tagesende
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}` : raw;
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return { ok: false };
+  return { ok: true, value: d.toISOString() };
+}
+
+/**
+ * WHERE-Teile für GET /api/tasks/overview.
+ * withStatus=false lässt den Status-Filter weg (für die Zählung je Filiale)
+ * Ergebnis: { ok: true, whereParts, params } oder { ok: false, message }
+ */
+function buildTaskOverviewFilter(query, { withStatus = true } = {}) {
+  const q = query || {};
+  const params = [];
+  const whereParts = [`t.owner_type = 'filiale'`];
+
+  const ownerIds = parseListParam(q.owner_id ?? q.filiale).map(Number);
+  if (ownerIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+    return { ok: false, message: 'owner_id muss eine Liste gültiger Filial-IDs sein.' };
+  }
+  if (ownerIds.length > 0) {
+    params.push(ownerIds);
+    whereParts.push(`t.owner_id = ANY($${params.length}::int[])`);
+  }
+
+  const statuses = parseListParam(q.status);
+  const invalidStatus = statuses.find((st) => !TASK_STATUSES.includes(st));
+  if (invalidStatus) {
+    return { ok: false, message: `status '${invalidStatus}' ungültig. Erlaubt: ${TASK_STATUSES.join(', ')}` };
+  }
+  if (withStatus && statuses.length > 0) {
+    params.push(statuses);
+    whereParts.push(`t.status = ANY($${params.length}::text[])`);
+  }
+
+  for (const [key, op, endOfDay] of [['due_from', '>=', false], ['due_to', '<=', true]]) {
+    const parsed = parseDateParam(q[key], endOfDay);
+    if (!parsed.ok) return { ok: false, message: `${key} ist kein gültiges Datum.` };
+    if (parsed.value === null) continue;
+    params.push(parsed.value);
+    whereParts.push(`t.due_at ${op} $${params.length}::timestamptz`);
+  }
+
+  const createdBy = String(q.created_by ?? '').trim();
+  if (createdBy) {
+    const n = Number(createdBy);
+    if (!Number.isInteger(n) || n <= 0) return { ok: false, message: 'created_by muss eine User-ID (int) sein.' };
+    params.push(n);
+    whereParts.push(`t.created_by_user_id = $${params.length}`);
+  }
+
+  for (const key of ['source_type', 'source_id']) {
+    const value = String(q[key] ?? '').trim();
+    if (!value) continue;
+    params.push(value);
+    whereParts.push(`t.${key} = $${params.length}`);
+  }
+
+  const groupId = String(q.group_id ?? '').trim();
+  if (groupId) {
+    if (!UUID_RE.test(groupId)) return { ok: false, message: 'group_id ist ungültig.' };
+    params.push(groupId);
+    whereParts.push(`t.group_id = $${params.length}::uuid`);
+  }
+
+  // überfällig = noch offen (open/ack) und due_at in der Vergangenheit
+  const overdue = parseBoolParam(q.overdue);
+  if (overdue !== null) {
+    params.push(TASK_OPEN_STATUSES);
+    const n = params.length;
+    whereParts.push(
+      overdue
+        ? `(t.due_at < now() AND t.status = ANY($${n}::text[]))`
+        : `NOT (t.due_at IS NOT NULL AND t.due_at < now() AND t.status = ANY($${n}::text[]))`
+    );
+  }
+
+  return { ok: true, whereParts, params };
+}
+
+function parseOverviewPaging(query) {
+  const pageRaw = Number(query?.page);
+  const sizeRaw = Number(query?.pageSize ?? OVERVIEW_DEFAULT_PAGE_SIZE);
+
+  const page = Number.isInteger(pageRaw) && pageRaw > 0 ? pageRaw : 1;
+  const pageSize =
+    Number.isInteger(sizeRaw) && sizeRaw > 0 ? Math.min(sizeRaw, OVERVIEW_MAX_PAGE_SIZE) : OVERVIEW_DEFAULT_PAGE_SIZE;
+
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
 // --- Lockout Policy ---
 const PIN_MAX_FAILS = 5;
 const PIN_LOCK_MINUTES = 15;
@@ -22,31 +188,17 @@ const PIN_LOCK_MINUTES = 15;
 /**
  * Private: Tasks (Read-only) – STEP 2.1
  * GET /api/tasks
- * - Filiale: nur eigene Tasks (owner=me)
- * - Andere Rollen: aktuell 403 (bewusst minimal)
+ * - Filiale: nur Tasks der zugeordneten Filialen (owner=me, ggf. mehrere)
+ * - Andere Rollen: 403 (Permission task.read_own) – Zentrale nutzt GET /api/tasks/overview
  */
-router.get('/', verifyToken(), async (req, res) => {
+router.get('/', verifyToken(), requirePermission('task.read_own'), async (req, res) => {
   try {
-    const { role, filiale } = req.user || {};
-
-    if (role !== 'Filiale') {
-      return res.status(403).json({ message: 'Zugriff verweigert (nur Filiale in STEP 2.1).' });
-    }
-
-    if (!filiale) {
-      return res.status(400).json({ message: 'Filiale im Token fehlt. Bitte erneut anmelden.' });
-    }
-
-    const fRes = await pool.query(
-      'SELECT id, name FROM public.filialen WHERE name = $1 LIMIT 1',
-      [filiale]
-    );
-
-    if (fRes.rows.length === 0) {
-      return res.status(404).json({ message: `Filiale '${filiale}' nicht in public.filialen gefunden.` });
+    const own = await loadOwnFilialen(req.user);
+    if (!own.ok) {
+      return res.status(own.status).json({ message: own.message });
     }
 
-    const filialeId = fRes.rows[0].id;
+    const filialeIds = own.filialen.map((f) => f.id);
 
     const q = `
       SELECT
@@ -79,17 +231,20 @@ router.get('/', verifyToken(), async (req, res) => {
         LIMIT 1
       ) le ON true
       WHERE t.owner_type = 'filiale'
-        AND t.owner_id = $1
+        AND t.owner_id = ANY($1::int[])
         AND t.status = ANY($2::text[])
       ORDER BY t.created_at DESC
       LIMIT 200
     `;
 
     const statuses = ['open', 'ack', 'admin_closed', 'executed', 'canceled'];
-    const tRes = await pool.query(q, [filialeId, statuses]);
+    const tRes = await pool.query(q, [filialeIds, statuses]);
+
+    const owners = own.filialen.map((f) => ({ owner_type: 'filiale', owner_id: f.id, filiale_name: f.name }));
 
     return res.json({
-      owner: { owner_type: 'filiale', owner_id: filialeId, filiale_name: filiale },
+      owner: owners[0],
+      owners,
       tasks: tRes.rows,
     });
   } catch (err) {
@@ -98,26 +253,126 @@ router.get('/', verifyToken(), async (req, res) => {
   }
 });
 
+/**
+ * Private: Task-Übersicht Zentrale
+ * GET /api/tasks/overview
+ * Query (alle optional):
+ * - owner_id (alias filiale)   Filial-IDs, kommagetrennt
+ * - status                     open, ack, admin_closed, executed, canceled (kommagetrennt)
+ * - due_from, due_to           Datum (YYYY-MM-DD, inklusiv) oder ISO-Zeitpunkt auf due_at
+ * - created_by                 User-ID des Erstellers
+ * - source_type, source_id     Herkunft der Task
+ * - group_id                   Sammel-Task (POST /api/tasks/bulk)
+ * - overdue                    true|false (due_at vorbei und noch open/ack)
+ * - page, pageSize             (pageSize Standard 50, max 200)
+ * counts: je Filiale open/ack/executed/admin_closed/canceled + overdue (gleiche Filter, ohne status)
+ */
+router.get('/overview', verifyToken(), requirePermission('task.read_all'), async (req, res) => {
+  try {
+    const filter = buildTaskOverviewFilter(req.query);
+    if (!filter.ok) {
+      return res.status(400).json({ message: filter.message });
+    }
+
+    const countFilter = buildTaskOverviewFilter(req.query, { withStatus: false });
+
+    const { page, pageSize, offset } = parseOverviewPaging(req.query);
+    const whereSql = `WHERE ${filter.whereParts.join(' AND ')}`;
+    const listParams = [...filter.params, TASK_OPEN_STATUSES, pageSize, offset];
+    const n = filter.params.length;
+
+    const q = `
+      SELECT
+        t.id,
+        t.owner_type,
+        t.owner_id,
+        f.name AS filiale_name,
+        t.title,
+        t.body,
+        t.status,
+        t.created_by_user_id,
+        u.name AS created_by_name,
+        t.created_at,
+        t.updated_at,
+        t.ack_at,
+        t.admin_closed_at,
+        t.admin_closed_by_user_id,
+        t.admin_note,
+        t.executed_at,
+        t.executed_by_user_id,
+        t.due_at,
+        t.source_type,
+        t.source_id,
+        t.group_id,
+        (t.due_at IS NOT NULL AND t.due_at < now() AND t.status = ANY($${n + 1}::text[])) AS overdue,
+        le.event_type AS last_event_type,
+        le.event_at   AS last_event_at
+      FROM core.tasks t
+      LEFT JOIN public.filialen f ON f.id = t.owner_id
+      LEFT JOIN users u ON u.id = t.created_by_user_id
+      LEFT JOIN LATERAL (
+        SELECT event_type, event_at
+        FROM core.task_events
+        WHERE task_id = t.id
+        ORDER BY event_at DESC
+        LIMIT 1
+      ) le ON true
+      ${whereSql}
+      ORDER BY t.due_at ASC NULLS LAST, t.created_at DESC
+      LIMIT $${n + 2} OFFSET $${n + 3}
+    `;
+    const tRes = await pool.query(q, listParams);
+
+    const totalRes = await pool.query(`SELECT COUNT(*)::int AS total FROM core.tasks t ${whereSql}`, filter.params);
+    const total = totalRes.rows[0].total;
+
+    const cParams = [...countFilter.params, TASK_OPEN_STATUSES];
+    const cRes = await pool.query(
+      `
+      SELECT
+        t.owner_id,
+        f.name AS filiale_name,
+        COUNT(*) FILTER (WHERE t.status = 'open')::int AS open,
+        COUNT(*) FILTER (WHERE t.status = 'ack')::int AS ack,
+        COUNT(*) FILTER (WHERE t.status = 'executed')::int AS executed,
+        COUNT(*) FILTER (WHERE t.status = 'admin_closed')::int AS admin_closed,
+        COUNT(*) FILTER (WHERE t.status = 'canceled')::int AS canceled,
+        COUNT(*) FILTER (
+          WHERE t.due_at IS NOT NULL AND t.due_at < now() AND t.status = ANY($${cParams.length}::text[])
+        )::int AS overdue
+      FROM core.tasks t
+      LEFT JOIN public.filialen f ON f.id = t.owner_id
+      WHERE ${countFilter.whereParts.join(' AND ')}
+      GROUP BY t.owner_id, f.name
+      ORDER BY f.name ASC NULLS LAST, t.owner_id ASC
+      `,
+      cParams
+    );
+
+    return res.json({
+      tasks: tRes.rows,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize),
+      counts: cRes.rows,
+    });
+  } catch (err) {
+    console.error('GET /api/tasks/overview Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
 /**
  * Private: Tasks Create – STEP 2.2
  * POST /api/tasks
  */
-router.post('/', verifyToken(), async (req, res) => {
+router.post('/', verifyToken(), requirePermission('task.create'), async (req, res) => {
   try {
     const { id: actorUserId, role } = req.user || {};
 
-    if (!isCentralRole(role)) {
-      return res.status(403).json({ message: 'Zugriff verweigert (Task erstellen nur Zentrale-Rollen).' });
-    }
-
     const owner_type = String(req.body?.owner_type || '').trim();
     const owner_id_raw = req.body?.owner_id;
-    const title = String(req.body?.title || '').trim();
-    const body = String(req.body?.body || '').trim();
-
-    const due_at_raw = req.body?.due_at ?? null;
-    const source_type = req.body?.source_type != null ? String(req.body.source_type).trim() : null;
-    const source_id = req.body?.source_id != null ? String(req.body.source_id).trim() : null;
 
     if (owner_type !== 'filiale') {
       return res.status(400).json({ message: "owner_type muss 'filiale' sein (Startphase)." });
@@ -128,17 +383,9 @@ router.post('/', verifyToken(), async (req, res) => {
       return res.status(400).json({ message: 'owner_id muss eine gültige Filial-ID (int) sein.' });
     }
 
-    if (!title) return res.status(400).json({ message: 'title ist Pflicht.' });
-    if (!body) return res.status(400).json({ message: 'body ist Pflicht.' });
-
-    let due_at = null;
-    if (due_at_raw !== null && due_at_raw !== '') {
-      const d = new Date(due_at_raw);
-      if (Number.isNaN(d.getTime())) {
-        return res.status(400).json({ message: 'due_at ist kein gültiges Datum.' });
-      }
-      due_at = d.toISOString();
-    }
+    const input = parseTaskInput(req.body);
+    if (!input.ok) return res.status(400).json({ message: input.message });
+    const { title, body, due_at, source_type, source_id } = input;
 
     const fRes = await pool.query('SELECT id FROM public.filialen WHERE id = $1 LIMIT 1', [owner_id]);
     if (fRes.rows.length === 0) {
@@ -200,30 +447,295 @@ router.post('/', verifyToken(), async (req, res) => {
 });
 
 /**
- * Private: Task Ack (ohne PIN) – STEP 2.3
- * POST /api/tasks/:id/ack
+ * Private: Sammel-Tasks an mehrere/alle Filialen
+ * POST /api/tasks/bulk
+ * Body: { owner_ids: [1, 2] | "alle_aktiven", title, body, due_at?, source_type?, source_id? }
+ * - je Filiale eine eigene Task (status open), alle mit derselben group_id
+ */
+router.post('/bulk', verifyToken(), requirePermission('task.create'), async (req, res) => {
+  const { id: actorUserId, role } = req.user || {};
+
+  const input = parseTaskInput(req.body);
+  if (!input.ok) return res.status(400).json({ message: input.message });
+  const { title, body, due_at, source_type, source_id } = input;
+
+  const rawOwners = req.body?.owner_ids;
+  const alleAktiven = rawOwners === 'alle_aktiven';
+  let ownerIds = [];
+
+  if (!alleAktiven) {
+    if (!Array.isArray(rawOwners) || rawOwners.length === 0) {
+      return res.status(400).json({ message: "owner_ids muss eine Liste von Filial-IDs oder 'alle_aktiven' sein." });
+    }
+    ownerIds = [...new Set(rawOwners.map(Number))];
+    if (ownerIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ message: 'owner_ids enthält eine ungültige Filial-ID.' });
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const fRes = alleAktiven
+      ? await client.query('SELECT id, name FROM public.filialen WHERE aktiv = true ORDER BY name ASC')
+      : await client.query('SELECT id, name FROM public.filialen WHERE id = ANY($1::int[]) ORDER BY name ASC', [ownerIds]);
+
+    if (!alleAktiven) {
+      const missing = ownerIds.filter((id) => !fRes.rows.some((f) => f.id === id));
+      if (missing.length > 0) {
+        return res.status(404).json({ message: `Filiale(n) mit id=${missing.join(', ')} nicht gefunden.` });
+      }
+    }
+    if (fRes.rows.length === 0) {
+      return res.status(400).json({ message: 'Keine aktiven Filialen gefunden.' });
+    }
+
+    await client.query('BEGIN');
+
+    const gIns = await client.query(
+      `
+      INSERT INTO core.task_groups (title, body, due_at, source_type, source_id, alle_aktiven, created_by_user_id)
+      VALUES ($1,$2,$3,$4,$5,$6,$7)
+      RETURNING id, title, body, due_at, source_type, source_id, alle_aktiven, created_by_user_id, created_at
+      `,
+      [title, body, due_at, source_type, source_id, alleAktiven, actorUserId]
+    );
+    const group = gIns.rows[0];
+
+    const tasks = [];
+    for (const filiale of fRes.rows) {
+      const tIns = await client.query(
+        `
+        INSERT INTO core.tasks (
+          owner_type, owner_id, title, body, status, created_by_user_id,
+          due_at, source_type, source_id, group_id
+        )
+        VALUES ('filiale',$1,$2,$3,'open',$4,$5,$6,$7,$8)
+        RETURNING
+          id, owner_type, owner_id, title, body, status,
+          created_by_user_id, created_at, updated_at,
+          due_at, source_type, source_id, group_id
+        `,
+        [filiale.id, title, body, actorUserId, due_at, source_type, source_id, group.id]
+      );
+      const task = tIns.rows[0];
+
+      await client.query(
+        `INSERT INTO core.task_events (task_id, event_type, actor_user_id, meta)
+         VALUES ($1,'created',$2,$3)`,
+        [task.id, actorUserId, { source: 'api', role, group_id: group.id }]
+      );
+
+      tasks.push({ ...task, filiale_name: filiale.name });
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`Sammel-Task ${group.id} an ${tasks.length} Filiale(n) von ${req.user.name} (${role})`);
+    return res.status(201).json({ group, count: tasks.length, tasks });
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (_) {}
+    console.error('POST /api/tasks/bulk Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Private: Sammel-Tasks (Liste)
+ * GET /api/tasks/groups
+ * - neueste zuerst (max. 100), mit Zählern je Status
  */
-router.post('/:id/ack', verifyToken(), async (req, res) => {
+router.get('/groups', verifyToken(), requirePermission('task.read_all'), async (req, res) => {
+  try {
+    const gRes = await pool.query(
+      `
+      SELECT
+        g.id, g.title, g.due_at, g.source_type, g.source_id, g.alle_aktiven,
+        g.created_by_user_id, u.name AS created_by_name, g.created_at,
+        COUNT(t.id)::int AS filialen,
+        COUNT(t.id) FILTER (WHERE t.status = 'open')::int AS open,
+        COUNT(t.id) FILTER (WHERE t.status = 'ack')::int AS ack,
+        COUNT(t.id) FILTER (WHERE t.status = 'executed')::int AS executed,
+        COUNT(t.id) FILTER (WHERE t.status IN ('admin_closed', 'canceled'))::int AS closed
+      FROM core.task_groups g
+      LEFT JOIN core.tasks t ON t.group_id = g.id
+      LEFT JOIN users u ON u.id = g.created_by_user_id
+      GROUP BY g.id, u.name
+      ORDER BY g.created_at DESC
+      LIMIT 100
+      `
+    );
+
+    return res.json({ groups: gRes.rows });
+  } catch (err) {
+    console.error('GET /api/tasks/groups Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * Private: Sammel-Task (Gruppenansicht)
+ * GET /api/tasks/groups/:groupId
+ * - je Filiale Status, ack_at, executed_at (+ ausführende Person aus dem executed-Event)
+ */
+router.get('/groups/:groupId', verifyToken(), requirePermission('task.read_all'), async (req, res) => {
+  const groupId = String(req.params?.groupId || '').trim();
+  if (!UUID_RE.test(groupId)) {
+    return res.status(400).json({ message: 'group_id ist ungültig.' });
+  }
+
+  try {
+    const gRes = await pool.query(
+      `
+      SELECT g.*, u.name AS created_by_name
+      FROM core.task_groups g
+      LEFT JOIN users u ON u.id = g.created_by_user_id
+      WHERE g.id = $1
+      `,
+      [groupId]
+    );
+    if (gRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Sammel-Task nicht gefunden.' });
+    }
+
+    const tRes = await pool.query(
+      `
+      SELECT
+        t.id,
+        t.owner_id,
+        f.name AS filiale_name,
+        t.status,
+        t.ack_at,
+        t.executed_at,
+        t.executed_by_user_id,
+        ex.meta->>'display_name' AS executed_by_display_name,
+        t.admin_closed_at,
+        t.admin_note,
+        t.updated_at
+      FROM core.tasks t
+      LEFT JOIN public.filialen f ON f.id = t.owner_id
+      LEFT JOIN LATERAL (
+        SELECT meta
+        FROM core.task_events
+        WHERE task_id = t.id AND event_type = 'executed'
+        ORDER BY event_at DESC
+        LIMIT 1
+      ) ex ON true
+      WHERE t.group_id = $1
+      ORDER BY f.name ASC NULLS LAST, t.owner_id ASC
+      `,
+      [groupId]
+    );
+
+    const summary = { filialen: tRes.rows.length, open: 0, ack: 0, executed: 0, admin_closed: 0, canceled: 0 };
+    for (const row of tRes.rows) {
+      if (summary[row.status] !== undefined) summary[row.status]++;
+    }
+
+    return res.json({ group: gRes.rows[0], summary, tasks: tRes.rows });
+  } catch (err) {
+    console.error('GET /api/tasks/groups/:groupId Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * Private: Task-Verlauf
+ * GET /api/tasks/:id/events
+ * - alle Events (älteste zuerst) mit Namen des auslösenden Users und PIN-Anzeigename (display_name)
+ * - Zentrale (task.read_all): alle Tasks inkl. fehlgeschlagener PIN-Versuche (pin_failed)
+ * - Filiale (task.read_own): nur Tasks der zugeordneten Filialen, ohne pin_failed
+ */
+router.get('/:id/events', verifyToken(), async (req, res) => {
   const taskId = String(req.params?.id || '').trim();
+  if (!taskId) {
+    return res.status(400).json({ message: 'Task-ID fehlt.' });
+  }
 
   try {
-    const { role, filiale, id: actorUserId } = req.user || {};
+    const central = await userCan(req, 'task.read_all');
+    let filialeIds = null;
+
+    if (!central) {
+      if (!(await userCan(req, 'task.read_own'))) {
+        return res.status(403).json({
+          code: 'PERMISSION_DENIED',
+          permission: 'task.read_own',
+          message: 'Zugriff verweigert. Erforderliche Berechtigung: task.read_own',
+        });
+      }
 
-    if (role !== 'Filiale') {
-      return res.status(403).json({ message: 'Zugriff verweigert (ack nur Filiale).' });
+      const own = await loadOwnFilialen(req.user);
+      if (!own.ok) {
+        return res.status(own.status).json({ message: own.message });
+      }
+      filialeIds = own.filialen.map((f) => f.id);
     }
-    if (!filiale) {
-      return res.status(400).json({ message: 'Filiale im Token fehlt. Bitte erneut anmelden.' });
+
+    const tRes = await pool.query(
+      `
+      SELECT t.id, t.owner_type, t.owner_id, f.name AS filiale_name, t.title, t.status, t.group_id
+      FROM core.tasks t
+      LEFT JOIN public.filialen f ON f.id = t.owner_id
+      WHERE t.id = $1
+        ${central ? '' : `AND t.owner_type = 'filiale' AND t.owner_id = ANY($2::int[])`}
+      LIMIT 1
+      `,
+      central ? [taskId] : [taskId, filialeIds]
+    );
+
+    if (tRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Task nicht gefunden.' });
     }
+
+    const eRes = await pool.query(
+      `
+      SELECT
+        e.event_type,
+        e.event_at,
+        e.actor_user_id,
+        u.name AS actor_name,
+        u.role AS actor_role,
+        e.meta->>'display_name' AS display_name,
+        e.meta
+      FROM core.task_events e
+      LEFT JOIN users u ON u.id = e.actor_user_id
+      WHERE e.task_id = $1
+        ${central ? '' : `AND e.event_type <> 'pin_failed'`}
+      ORDER BY e.event_at ASC
+      `,
+      [taskId]
+    );
+
+    return res.json({ task: tRes.rows[0], events: eRes.rows });
+  } catch (err) {
+    console.error('GET /api/tasks/:id/events Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * Private: Task Ack (ohne PIN) – STEP 2.3
+ * POST /api/tasks/:id/ack
+ */
+router.post('/:id/ack', verifyToken(), requirePermission('task.ack'), async (req, res) => {
+  const taskId = String(req.params?.id || '').trim();
+
+  try {
+    const { id: actorUserId } = req.user || {};
     if (!taskId) {
       return res.status(400).json({ message: 'Task-ID fehlt.' });
     }
 
-    const fRes = await pool.query('SELECT id FROM public.filialen WHERE name = $1 LIMIT 1', [filiale]);
-    if (fRes.rows.length === 0) {
-      return res.status(404).json({ message: `Filiale '${filiale}' nicht in public.filialen gefunden.` });
+    const own = await loadOwnFilialen(req.user);
+    if (!own.ok) {
+      return res.status(own.status).json({ message: own.message });
     }
-    const filialeId = fRes.rows[0].id;
+    const filialeIds = own.filialen.map((f) => f.id);
 
     await pool.query('BEGIN');
 
@@ -234,7 +746,7 @@ router.post('/:id/ack', verifyToken(), async (req, res) => {
           updated_at = now()
       WHERE id = $1
         AND owner_type = 'filiale'
-        AND owner_id = $2
+        AND owner_id = ANY($2::int[])
         AND status = 'open'
       RETURNING
         id, owner_type, owner_id, title, body, status,
@@ -243,7 +755,7 @@ router.post('/:id/ack', verifyToken(), async (req, res) => {
         executed_at, executed_by_user_id,
         due_at, source_type, source_id
     `;
-    const updRes = await pool.query(updQ, [taskId, filialeId]);
+    const updRes = await pool.query(updQ, [taskId, filialeIds]);
 
     if (updRes.rows.length === 1) {
       const task = updRes.rows[0];
@@ -253,7 +765,7 @@ router.post('/:id/ack', verifyToken(), async (req, res) => {
         VALUES ($1,'ack',$2,$3)
         RETURNING event_type, event_at
       `;
-      const meta = { source: 'api', owner_type: 'filiale', owner_id: filialeId };
+      const meta = { source: 'api', owner_type: 'filiale', owner_id: task.owner_id };
       const evRes = await pool.query(evQ, [task.id, actorUserId, meta]);
 
       await pool.query('COMMIT');
@@ -284,10 +796,10 @@ router.post('/:id/ack', verifyToken(), async (req, res) => {
       ) le ON true
       WHERE t.id = $1
         AND t.owner_type = 'filiale'
-        AND t.owner_id = $2
+        AND t.owner_id = ANY($2::int[])
       LIMIT 1
     `;
-    const getRes = await pool.query(getQ, [taskId, filialeId]);
+    const getRes = await pool.query(getQ, [taskId, filialeIds]);
 
     if (getRes.rows.length === 0) {
       return res.status(404).json({ message: 'Task nicht gefunden.' });
@@ -308,18 +820,11 @@ router.post('/:id/ack', verifyToken(), async (req, res) => {
  * POST /api/tasks/:id/execute
  * Body: { display_name: "Julien", pin: "4831" }
  */
-router.post('/:id/execute', verifyToken(), async (req, res) => {
+router.post('/:id/execute', verifyToken(), requirePermission('task.execute'), async (req, res) => {
   const taskId = String(req.params?.id || '').trim();
 
   try {
-    const { role, filiale, id: actorUserId } = req.user || {};
-
-    if (role !== 'Filiale') {
-      return res.status(403).json({ message: 'Zugriff verweigert (execute nur Filiale).' });
-    }
-    if (!filiale) {
-      return res.status(400).json({ message: 'Filiale im Token fehlt. Bitte erneut anmelden.' });
-    }
+    const { id: actorUserId } = req.user || {};
     if (!taskId) {
       return res.status(400).json({ message: 'Task-ID fehlt.' });
     }
@@ -330,23 +835,25 @@ router.post('/:id/execute', verifyToken(), async (req, res) => {
     if (!display_name) return res.status(400).json({ message: 'display_name ist Pflicht.' });
     if (!isFourDigitPin(pin)) return res.status(400).json({ message: 'pin muss exakt 4-stellig numerisch sein.' });
 
-    const fRes = await pool.query('SELECT id FROM public.filialen WHERE name = $1 LIMIT 1', [filiale]);
-    if (fRes.rows.length === 0) {
-      return res.status(404).json({ message: `Filiale '${filiale}' nicht in public.filialen gefunden.` });
+    const own = await loadOwnFilialen(req.user);
+    if (!own.ok) {
+      return res.status(own.status).json({ message: own.message });
     }
-    const filialeId = fRes.rows[0].id;
 
     const t0 = await pool.query(
       `SELECT id, status, owner_id
        FROM core.tasks
-       WHERE id = $1 AND owner_type='filiale' AND owner_id = $2
+       WHERE id = $1 AND owner_type='filiale' AND owner_id = ANY($2::int[])
        LIMIT 1`,
-      [taskId, filialeId]
+      [taskId, own.filialen.map((f) => f.id)]
     );
     if (t0.rows.length === 0) {
       return res.status(404).json({ message: 'Task nicht gefunden.' });
     }
 
+    // PIN + weitere Abfragen immer gegen die Filiale der Task
+    const filialeId = t0.rows[0].owner_id;
+
     const currentStatus = t0.rows[0].status;
 
     if (['executed', 'admin_closed', 'canceled'].includes(currentStatus)) {
@@ -512,15 +1019,11 @@ router.post('/:id/execute', verifyToken(), async (req, res) => {
  * POST /api/tasks/:id/admin-close
  * Body: { note: "..." }
  */
-router.post('/:id/admin-close', verifyToken(), async (req, res) => {
+router.post('/:id/admin-close', verifyToken(), requirePermission('task.admin_close'), async (req, res) => {
   const taskId = String(req.params?.id || '').trim();
 
   try {
     const { role, id: actorUserId } = req.user || {};
-
-    if (!isCentralRole(role)) {
-      return res.status(403).json({ message: 'Zugriff verweigert (admin-close nur Zentrale-Rollen).' });
-    }
     if (!taskId) {
       return res.status(400).json({ message: 'Task-ID fehlt.' });
     }
@@ -0,0 +1,520 @@
+// routes/users.js – Benutzerverwaltung (Admin/Supervisor)
+// - Ersetzt das manuelle Anlegen per SQL + hash.js
+// - Kein physisches Löschen: Benutzer werden deaktiviert (Referenzen in Tasks/Bestellungen bleiben gültig)
+// - Deaktivieren / Passwort-Reset beendet sofort alle Sitzungen des Benutzers
+// - Nur Admin darf Admin-Konten anlegen/ändern oder die Rolle "Admin" vergeben
+// - Zusätzliche Filialen je User (user_filialen) über PUT /api/users/:id/filialen
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+
+const router = express.Router();
+
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const requirePermission = require('../middleware/requirePermission');
+const { revokeAllSessions } = require('../services/authSessions');
+const { replaceUserFilialen } = require('../services/userFilialen');
+const {
+  validatePassword,
+  generateCompliantPassword,
+  rememberPasswordHash,
+} = require('../services/passwordPolicy');
+
+const ROLE_ADMIN = 'Admin';
+const ROLE_SUPERVISOR = 'Supervisor';
+const ROLE_FILIALE = 'Filiale';
+
+const ALLOWED_ROLES = [ROLE_ADMIN, ROLE_SUPERVISOR, 'Manager-1', 'Geschäftsführer', ROLE_FILIALE];
+
+const USER_COLUMNS = `
+  id, name, role, filiale, aktiv, force_password_change,
+  last_login_at, failed_login_attempts, login_locked_until, created_at, updated_at,
+  ARRAY(SELECT uf.filiale FROM user_filialen uf WHERE uf.user_id = users.id ORDER BY uf.filiale) AS filialen
+`;
+
+function parseUserId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function normalizeTextOrNull(value) {
+  if (value === null || value === undefined) return null;
+  const t = String(value).trim();
+  return t ? t : null;
+}
+
+// Supervisor darf keine Admin-Konten anfassen
+function canManageTarget(actorRole, targetRole) {
+  if (actorRole === ROLE_ADMIN) return true;
+  return targetRole !== ROLE_ADMIN;
+}
+
+async function validateRoleAndFiliale(role, filiale) {
+  if (!ALLOWED_ROLES.includes(role)) {
+    return { ok: false, message: `role ist ungültig. Erlaubt: ${ALLOWED_ROLES.join(', ')}` };
+  }
+
+  if (role === ROLE_FILIALE && (!filiale || filiale.toLowerCase() === 'alle')) {
+    return { ok: false, message: 'Für die Rolle Filiale muss eine konkrete Filiale gesetzt sein.' };
+  }
+
+  if (filiale && filiale.toLowerCase() !== 'alle') {
+    const fRes = await pool.query('SELECT 1 FROM filialen WHERE name = $1 LIMIT 1', [filiale]);
+    if (fRes.rows.length === 0) {
+      return { ok: false, message: `Filiale '${filiale}' nicht gefunden.` };
+    }
+  }
+
+  return { ok: true };
+}
+
+async function validateFilialenList(filialen) {
+  if (!Array.isArray(filialen)) {
+    return { ok: false, message: 'filialen muss ein Array sein.' };
+  }
+
+  const names = [...new Set(filialen.map(normalizeTextOrNull).filter(Boolean))];
+
+  if (names.some((f) => f.toLowerCase() === 'alle')) {
+    return { ok: false, message: '"Alle" ist als zusätzliche Filiale nicht erlaubt.' };
+  }
+
+  if (names.length > 0) {
+    const fRes = await pool.query('SELECT name FROM filialen WHERE name = ANY($1::text[])', [names]);
+    const known = new Set(fRes.rows.map((r) => r.name));
+    const unknown = names.filter((f) => !known.has(f));
+    if (unknown.length > 0) {
+      return { ok: false, message: `Filiale(n) nicht gefunden: ${unknown.join(', ')}` };
+    }
+  }
+
+  return { ok: true, filialen: names };
+}
+
+async function fetchUser(id) {
+  const r = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  return r.rows[0] || null;
+}
+
+router.use(verifyToken(), requirePermission('user.manage'));
+
+/**
+ * GET /api/users[?aktiv=true|false]
+ */
+router.get('/', async (req, res) => {
+  try {
+    const aktivRaw = req.query?.aktiv;
+    const params = [];
+    let where = '';
+
+    if (aktivRaw === 'true' || aktivRaw === 'false') {
+      params.push(aktivRaw === 'true');
+      where = 'WHERE aktiv = $1';
+    }
+
+    const r = await pool.query(
+      `
+      SELECT ${USER_COLUMNS}
+      FROM users
+      ${where}
+      ORDER BY aktiv DESC, lower(name) ASC
+      `,
+      params
+    );
+
+    return res.json({ users: r.rows });
+  } catch (err) {
+    console.error('GET /api/users Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * GET /api/users/login-events (nur Admin)
+ * Query: user_id?, filiale?, success? (true|false), from?, to? (YYYY-MM-DD), limit? (max 500)
+ */
+router.get('/login-events', requirePermission('user.login_events'), async (req, res) => {
+  const params = [];
+  const whereParts = [];
+
+  if (req.query?.user_id !== undefined) {
+    const userId = parseUserId(req.query.user_id);
+    if (!userId) return res.status(400).json({ message: 'user_id ist ungültig' });
+    params.push(userId);
+    whereParts.push(`e.user_id = $${params.length}`);
+  }
+
+  const filiale = normalizeTextOrNull(req.query?.filiale);
+  if (filiale) {
+    params.push(filiale);
+    whereParts.push(`e.filiale = $${params.length}`);
+  }
+
+  if (req.query?.success === 'true' || req.query?.success === 'false') {
+    params.push(req.query.success === 'true');
+    whereParts.push(`e.success = $${params.length}`);
+  }
+
+  for (const [key, op] of [['from', '>='], ['to', '<']]) {
+    const raw = normalizeTextOrNull(req.query?.[key]);
+    if (!raw) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+      return res.status(400).json({ message: `${key} ist ungültig (YYYY-MM-DD)` });
+    }
+    params.push(raw);
+    // "to" inklusiv: bis Ende des Tages
+    whereParts.push(
+      key === 'to'
+        ? `e.created_at ${op} ($${params.length}::date + 1)`
+        : `e.created_at ${op} $${params.length}::date`
+    );
+  }
+
+  const limitRaw = Number(req.query?.limit ?? 200);
+  const limit = Number.isInteger(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 500) : 200;
+  params.push(limit);
+
+  try {
+    const r = await pool.query(
+      `
+      SELECT e.id, e.user_id, e.name, e.filiale, e.success, e.reason, e.ip, e.user_agent, e.created_at
+      FROM login_events e
+      ${whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : ''}
+      ORDER BY e.created_at DESC
+      LIMIT $${params.length}
+      `,
+      params
+    );
+
+    return res.json({ count: r.rows.length, events: r.rows });
+  } catch (err) {
+    console.error('GET /api/users/login-events Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * GET /api/users/:id
+ */
+router.get('/:id', async (req, res) => {
+  const id = parseUserId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Ungültige ID' });
+
+  try {
+    const user = await fetchUser(id);
+    if (!user) return res.status(404).json({ message: 'Benutzer nicht gefunden' });
+    return res.json({ user });
+  } catch (err) {
+    console.error('GET /api/users/:id Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * POST /api/users
+ * Body: { name, role, filiale, password? }
+ * - ohne password wird ein Startpasswort generiert und einmalig zurückgegeben
+ * - force_password_change = true (Passwortwechsel beim ersten Login)
+ */
+router.post('/', async (req, res) => {
+  const actor = req.user;
+  const name = normalizeTextOrNull(req.body?.name);
+  const role = normalizeTextOrNull(req.body?.role);
+  const filiale = normalizeTextOrNull(req.body?.filiale);
+  const passwordRaw = normalizeTextOrNull(req.body?.password);
+
+  if (!name) return res.status(400).json({ message: 'name ist Pflicht.' });
+  if (!role) return res.status(400).json({ message: 'role ist Pflicht.' });
+
+  if (!canManageTarget(actor.role, role)) {
+    return res.status(403).json({ message: 'Nur Admin darf Admin-Konten anlegen.' });
+  }
+
+  if (passwordRaw) {
+    const policyCheck = validatePassword(passwordRaw);
+    if (!policyCheck.ok) {
+      return res.status(400).json({ code: 'PASSWORD_POLICY', message: policyCheck.message });
+    }
+  }
+
+  try {
+    const v = await validateRoleAndFiliale(role, filiale);
+    if (!v.ok) return res.status(400).json({ message: v.message });
+
+    const password = passwordRaw || generateCompliantPassword();
+    const hashed = await bcrypt.hash(password, 10);
+
+    const ins = await pool.query(
+      `
+      INSERT INTO users (name, password, role, filiale, aktiv, force_password_change, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, true, true, now(), now())
+      RETURNING ${USER_COLUMNS}
+      `,
+      [name, hashed, role, filiale]
+    );
+
+    console.log(`Benutzer angelegt – "${name}" (${role}) von ${actor.name} (${actor.role})`);
+
+    return res.status(201).json({
+      user: ins.rows[0],
+      tempPassword: passwordRaw ? undefined : password,
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ message: 'Benutzername existiert bereits.' });
+    }
+    console.error('POST /api/users Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Body: { name?, role?, filiale? }
+ */
+router.patch('/:id', async (req, res) => {
+  const actor = req.user;
+  const id = parseUserId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Ungültige ID' });
+
+  try {
+    const current = await fetchUser(id);
+    if (!current) return res.status(404).json({ message: 'Benutzer nicht gefunden' });
+
+    if (!canManageTarget(actor.role, current.role)) {
+      return res.status(403).json({ message: 'Nur Admin darf Admin-Konten ändern.' });
+    }
+
+    const name = req.body?.name !== undefined ? normalizeTextOrNull(req.body.name) : current.name;
+    const role = req.body?.role !== undefined ? normalizeTextOrNull(req.body.role) : current.role;
+    const filiale = req.body?.filiale !== undefined ? normalizeTextOrNull(req.body.filiale) : current.filiale;
+
+    if (!name) return res.status(400).json({ message: 'name darf nicht leer sein' });
+
+    if (!canManageTarget(actor.role, role)) {
+      return res.status(403).json({ message: 'Nur Admin darf die Rolle Admin vergeben.' });
+    }
+
+    if (id === actor.id && role !== current.role) {
+      return res.status(400).json({ message: 'Die eigene Rolle kann nicht geändert werden.' });
+    }
+
+    const v = await validateRoleAndFiliale(role, filiale);
+    if (!v.ok) return res.status(400).json({ message: v.message });
+
+    const upd = await pool.query(
+      `
+      UPDATE users
+      SET name = $1, role = $2, filiale = $3, updated_at = now()
+      WHERE id = $4
+      RETURNING ${USER_COLUMNS}
+      `,
+      [name, role, filiale, id]
+    );
+
+    // Rolle/Filiale stecken im Token -> bestehende Sitzungen beenden, damit sie sofort greifen
+    if (role !== current.role || filiale !== current.filiale) {
+      await revokeAllSessions(id, 'user_changed');
+    }
+
+    console.log(`Benutzer geändert – id=${id} von ${actor.name} (${actor.role})`);
+    return res.json({ user: upd.rows[0] });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ message: 'Benutzername existiert bereits.' });
+    }
+    console.error('PATCH /api/users/:id Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+async function setUserActive(req, res, aktiv) {
+  const actor = req.user;
+  const id = parseUserId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Ungültige ID' });
+
+  if (!aktiv && id === actor.id) {
+    return res.status(400).json({ message: 'Das eigene Konto kann nicht deaktiviert werden.' });
+  }
+
+  try {
+    const current = await fetchUser(id);
+    if (!current) return res.status(404).json({ message: 'Benutzer nicht gefunden' });
+
+    if (!canManageTarget(actor.role, current.role)) {
+      return res.status(403).json({ message: 'Nur Admin darf Admin-Konten ändern.' });
+    }
+
+    const upd = await pool.query(
+      `UPDATE users SET aktiv = $1, updated_at = now() WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [aktiv, id]
+    );
+
+    if (!aktiv) {
+      await revokeAllSessions(id, 'user_deactivated');
+    }
+
+    console.log(`Benutzer ${aktiv ? 'reaktiviert' : 'deaktiviert'} – id=${id} von ${actor.name} (${actor.role})`);
+    return res.json({ user: upd.rows[0] });
+  } catch (err) {
+    console.error(`POST /api/users/:id/${aktiv ? 'reactivate' : 'deactivate'} Fehler:`, err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+}
+
+/**
+ * POST /api/users/:id/deactivate
+ */
+router.post('/:id/deactivate', (req, res) => setUserActive(req, res, false));
+
+/**
+ * POST /api/users/:id/reactivate
+ */
+router.post('/:id/reactivate', (req, res) => setUserActive(req, res, true));
+
+/**
+ * POST /api/users/:id/reset-password
+ * Body: { password? } – ohne password wird ein Einmalpasswort generiert
+ * - setzt force_password_change = true und beendet alle Sitzungen
+ */
+router.post('/:id/reset-password', async (req, res) => {
+  const actor = req.user;
+  const id = parseUserId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Ungültige ID' });
+
+  const passwordRaw = normalizeTextOrNull(req.body?.password);
+  if (passwordRaw) {
+    const policyCheck = validatePassword(passwordRaw);
+    if (!policyCheck.ok) {
+      return res.status(400).json({ code: 'PASSWORD_POLICY', message: policyCheck.message });
+    }
+  }
+
+  const password = passwordRaw || generateCompliantPassword();
+  const hashed = await bcrypt.hash(password, 10);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Zeile sperren: Historie, neues Passwort und Abmeldung gemeinsam, parallele Resets warten
+    const currentRes = await client.query('SELECT role, password FROM users WHERE id = $1 FOR UPDATE', [id]);
+    const current = currentRes.rows[0];
+    if (!current) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Benutzer nicht gefunden' });
+    }
+
+    if (!canManageTarget(actor.role, current.role)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ message: 'Nur Admin darf Admin-Konten ändern.' });
+    }
+
+    await rememberPasswordHash(client, id, current.password);
+
+    await client.query(
+      `
+      UPDATE users
+      SET password = $1,
+          force_password_change = true,
+          failed_login_attempts = 0,
+          login_locked_until = NULL,
+          updated_at = now()
+      WHERE id = $2
+      `,
+      [hashed, id]
+    );
+
+    await revokeAllSessions(id, 'password_reset', client);
+
+    await client.query('COMMIT');
+
+    console.log(`Passwort zurückgesetzt – id=${id} von ${actor.name} (${actor.role})`);
+    return res.json({ ok: true, tempPassword: passwordRaw ? undefined : password });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('POST /api/users/:id/reset-password Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /api/users/:id/filialen
+ * Body: { filialen: ["Ahaus", "Vreden"] } – zusätzliche Filialen neben der Stammfiliale (ersetzt die Liste)
+ * - beendet alle Sitzungen, damit der Token-Claim "filialen" sofort neu ausgestellt wird
+ */
+router.put('/:id/filialen', async (req, res) => {
+  const actor = req.user;
+  const id = parseUserId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Ungültige ID' });
+
+  const client = await pool.connect();
+
+  try {
+    const current = await fetchUser(id);
+    if (!current) return res.status(404).json({ message: 'Benutzer nicht gefunden' });
+
+    if (!canManageTarget(actor.role, current.role)) {
+      return res.status(403).json({ message: 'Nur Admin darf Admin-Konten ändern.' });
+    }
+
+    const v = await validateFilialenList(req.body?.filialen);
+    if (!v.ok) return res.status(400).json({ message: v.message });
+
+    await client.query('BEGIN');
+    await replaceUserFilialen(client, id, v.filialen);
+    await client.query('UPDATE users SET updated_at = now() WHERE id = $1', [id]);
+    await client.query('COMMIT');
+
+    await revokeAllSessions(id, 'user_changed');
+
+    console.log(`Filialen geändert – id=${id}: [${v.filialen.join(', ')}] von ${actor.name} (${actor.role})`);
+    return res.json({ user: await fetchUser(id) });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('PUT /api/users/:id/filialen Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/users/:id/unlock – Login-Sperre nach Fehlversuchen aufheben
+ */
+router.post('/:id/unlock', async (req, res) => {
+  const actor = req.user;
+  const id = parseUserId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Ungültige ID' });
+
+  try {
+    const current = await fetchUser(id);
+    if (!current) return res.status(404).json({ message: 'Benutzer nicht gefunden' });
+
+    if (!canManageTarget(actor.role, current.role)) {
+      return res.status(403).json({ message: 'Nur Admin darf Admin-Konten ändern.' });
+    }
+
+    const upd = await pool.query(
+      `
+      UPDATE users
+      SET failed_login_attempts = 0, login_locked_until = NULL, updated_at = now()
+      WHERE id = $1
+      RETURNING ${USER_COLUMNS}
+      `,
+      [id]
+    );
+
+    console.log(`Login-Sperre aufgehoben – id=${id} von ${actor.name} (${actor.role})`);
+    return res.json({ user: upd.rows[0] });
+  } catch (err) {
+    console.error('POST /api/users/:id/unlock Fehler:', err);
+    return res.status(500).json({ message: 'Serverfehler' });
+  }
+});
+
+module.exports = router;
@@ -3,10 +3,11 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 
 const pool = require('./db'); // EIN DB-Pool
 const verifyToken = require('./middleware/verifyToken'); // ✅ korrekt (bei dir: backend\middleware)
+const { signAccessToken, revokeOtherSessions } = require('./services/authSessions');
+const { validatePassword, isPasswordReused, rememberPasswordHash } = require('./services/passwordPolicy');
 
 // ✅ FINAL: JWT_SECRET kommt ausschließlich aus ENV (Render)
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -16,6 +17,9 @@ if (!JWT_SECRET) {
 
 const app = express();
 
+// Render sitzt als Proxy davor -> req.ip aus X-Forwarded-For (wichtig für Login-Sperre pro IP)
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS || 1));
+
 // ---- Fingerprint (damit wir nie wieder raten) ----
 const BUILD_TAG = process.env.BUILD_TAG || 'local-unknown';
 const START_TS = new Date().toISOString();
@@ -72,132 +76,133 @@ app.get('/api/ping', (req, res) => {
   res.json({ message: 'pong', timestamp: new Date().toISOString() });
 });
 
-// ✅ Public: Login (ohne Token)
-app.post('/api/login', async (req, res) => {
-  const { name, password } = req.body;
-
-  if (!name || !password) {
-    return res.status(400).json({ message: 'Name und Passwort erforderlich' });
-  }
+// ✅ Public: Login / Refresh (ohne Token) + Logout (mit Token) – siehe routes/auth.js
+const authRoutes = require('./routes/auth');
+app.use('/api', authRoutes);
 
-  try {
-    const result = await pool.query('SELECT * FROM users WHERE name = $1', [name]);
-    if (result.rows.length === 0) {
-      return res.status(401).json({ message: 'Benutzer nicht gefunden' });
+// ──────────────────────────────────────────────────────────────────────────────
+// USERS (PRIVATE) – aus Backup übernommen (robust umgesetzt)
+// ──────────────────────────────────────────────────────────────────────────────
+// Passwort ändern (z. B. Erstlogin bei force_password_change=true)
+// - einzige Route (neben Logout), die bei force_password_change=true erreichbar ist
+// - Passwort-Richtlinie + Historie aus services/passwordPolicy.js
+// - liefert einen neuen Access-Token ohne force_password_change, andere Sitzungen werden beendet
+app.post(
+  '/api/users/me/change-password',
+  verifyToken(null, { allowPasswordChange: true }),
+  async (req, res) => {
+    const { oldPassword, newPassword } = req.body || {};
+
+    if (!oldPassword || !newPassword) {
+      return res.status(400).json({ message: 'oldPassword und newPassword sind erforderlich' });
     }
 
-    const user = result.rows[0];
-    const isMatch = await bcrypt.compare(password, user.password);
-
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Falsches Passwort' });
+    const policyCheck = validatePassword(newPassword);
+    if (!policyCheck.ok) {
+      return res.status(400).json({ code: 'PASSWORD_POLICY', message: policyCheck.message });
     }
 
-    const token = jwt.sign(
-      { id: user.id, name: user.name, role: user.role, filiale: user.filiale },
-      JWT_SECRET,
-      { expiresIn: '8h' }
-    );
+    const client = await pool.connect();
 
-    res.json({ token, name: user.name, role: user.role, filiale: user.filiale });
-  } catch (err) {
-    console.error('Login-Fehler:', err);
-    res.status(500).json({ message: 'Serverfehler' });
-  }
-});
+    try {
+      await client.query('BEGIN');
 
-// ──────────────────────────────────────────────────────────────────────────────
-// USERS (PRIVATE) – aus Backup übernommen (robust umgesetzt)
-// ──────────────────────────────────────────────────────────────────────────────
-// Passwort ändern (z. B. Erstlogin bei force_password_change=true)
-app.post('/api/users/me/change-password', verifyToken(), async (req, res) => {
-  const { oldPassword, newPassword } = req.body || {};
+      // Aktuellen User laden
+      const userResult = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+      if (userResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Benutzer nicht gefunden' });
+      }
 
-  if (!oldPassword || !newPassword) {
-    return res.status(400).json({ message: 'oldPassword und newPassword sind erforderlich' });
-  }
+      const user = userResult.rows[0];
 
-  if (String(newPassword).length < 8) {
-    return res.status(400).json({ message: 'Neues Passwort muss mindestens 8 Zeichen haben' });
-  }
-
-  try {
-    // Aktuellen User laden
-    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Benutzer nicht gefunden' });
-    }
+      // Altes Passwort prüfen
+      const isMatch = await bcrypt.compare(String(oldPassword), user.password);
+      if (!isMatch) {
+        await client.query('ROLLBACK');
+        return res.status(401).json({ message: 'Altes Passwort ist falsch' });
+      }
 
-    const user = userResult.rows[0];
+      if (await isPasswordReused(client, user.id, user.password, newPassword)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          code: 'PASSWORD_REUSED',
+          message: 'Das neue Passwort wurde bereits kürzlich verwendet. Bitte ein anderes wählen.',
+        });
+      }
 
-    // Altes Passwort prüfen
-    const isMatch = await bcrypt.compare(String(oldPassword), user.password);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Altes Passwort ist falsch' });
-    }
+      // Neues Passwort hashen
+      const hashed = await bcrypt.hash(String(newPassword), 10);
 
-    // Neues Passwort hashen
-    const hashed = await bcrypt.hash(String(newPassword), 10);
+      await rememberPasswordHash(client, user.id, user.password);
 
-    // Versuch 1: inkl. force_password_change (wenn Spalte existiert)
-    try {
-      await pool.query(
+      await client.query(
         `
         UPDATE users
         SET password = $1,
-            force_password_change = false
+            force_password_change = false,
+            updated_at = now()
         WHERE id = $2
       `,
-        [hashed, req.user.id]
+        [hashed, user.id]
       );
-    } catch (e) {
-      // Fallback: wenn force_password_change-Spalte nicht existiert
-      const msg = String(e?.message || '');
-      const code = String(e?.code || '');
-
-      // Postgres: undefined_column => 42703
-      if (code === '42703' || msg.toLowerCase().includes('force_password_change')) {
-        await pool.query(
-          `
-          UPDATE users
-          SET password = $1
-          WHERE id = $2
-        `,
-          [hashed, req.user.id]
-        );
-      } else {
-        throw e;
-      }
-    }
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error('Change-Password-Fehler:', err);
-    return res.status(500).json({ message: 'Serverfehler' });
+      // andere Geräte in derselben Transaktion abmelden: Passwort + Abmeldung gelingen nur gemeinsam
+      await revokeOtherSessions(user.id, req.user.sid, 'password_changed', client);
+
+      await client.query('COMMIT');
+
+      const token = signAccessToken(
+        { ...user, filialen: req.user.filialen, force_password_change: false },
+        req.user.sid
+      );
+
+      return res.json({ ok: true, token, force_password_change: false });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('Change-Password-Fehler:', err);
+      return res.status(500).json({ message: 'Serverfehler' });
+    } finally {
+      client.release();
+    }
   }
-});
+);
 
 // Routes mounten (bestehend + ausgelagert)
 const reklamationenRoutes = require('./routes/reklamationen');
+const reklamationAttachmentsRoutes = require('./routes/reklamationAttachments');
+const reklamationCommentsRoutes = require('./routes/reklamationComments');
+const reklamationLfdNrRoutes = require('./routes/reklamationLfdNr');
 const stammdatenRoutes = require('./routes/stammdaten');
 const budgetRoutes = require('./routes/budget');
 const debugRoutes = require('./routes/debug');
 const tasksRoutes = require('./routes/tasks');
+const taskTemplatesRoutes = require('./routes/taskTemplates');
 const filialePinsRoutes = require('./routes/filialePins');
 const bestellungenRoutes = require('./routes/bestellungen');
 const cashflowRoutes = require('./routes/cashflow');
 const devDbRoutes = require('./routes/devDb');
 const controllingRoutes = require('./routes/controlling');
-
+const usersRoutes = require('./routes/users');
+const permissionsRoutes = require('./routes/permissions');
+const { startReklamationPurgeJob } = require('./services/reklamationTrash');
+const { startTaskRecurrenceJob } = require('./services/taskRecurrence');
+
+app.use('/api/reklamationen/:id/attachments', reklamationAttachmentsRoutes);
+app.use('/api/reklamationen/:id/comments', reklamationCommentsRoutes);
+app.use('/api/reklamationen/lfd-nr', reklamationLfdNrRoutes);
 app.use('/api/reklamationen', reklamationenRoutes);
 app.use('/api/budget', budgetRoutes);
 app.use('/api/debug', debugRoutes);
+app.use('/api/tasks/templates', taskTemplatesRoutes);
 app.use('/api/tasks', tasksRoutes);
 app.use('/api/filiale-pins', filialePinsRoutes);
 app.use('/api/bestellungen', bestellungenRoutes);
 app.use('/api/cashflow', cashflowRoutes);
 app.use('/api/controlling', controllingRoutes);
 app.use('/api/dev-db', devDbRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/permissions', permissionsRoutes);
 app.use('/api', stammdatenRoutes);
 
 
@@ -216,4 +221,10 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ Backend läuft auf Port ${PORT} (0.0.0.0)`);
   console.log(`🧩 BUILD_TAG=${BUILD_TAG} START_TS=${START_TS}`);
+
+  // Papierkorb Reklamationen: endgültiges Löschen nach REKLAMATION_PURGE_DAYS
+  startReklamationPurgeJob();
+
+  // Wiederkehrende Tasks aus Vorlagen (TASK_RECURRENCE_INTERVAL_MINUTES)
+  startTaskRecurrenceJob();
 });
\ No newline at end of file
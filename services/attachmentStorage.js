@@ -0,0 +1,132 @@
+// services/attachmentStorage.js – Ablage von Reklamations-Anhängen auf der lokalen Platte
+// - ATTACHMENT_DIR        Basisordner (Standard ./uploads/reklamationen, relativ zum Projekt)
+// - ATTACHMENT_MAX_MB     maximale Dateigröße je Upload (Standard 15)
+// - Erlaubte Typen über MIME + Dateisignatur (Magic Bytes), nicht nur über den Client-Header
+// - Bilder bekommen ein Vorschaubild (WebP, max. 320px) über sharp
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const THUMB_SIZE = 320;
+
+// MIME -> Dateiendung + optionale Signaturprüfung
+const ALLOWED_TYPES = Object.freeze({
+  'image/jpeg': { ext: '.jpg', image: true, magic: [Buffer.from([0xff, 0xd8, 0xff])] },
+  'image/png': { ext: '.png', image: true, magic: [Buffer.from([0x89, 0x50, 0x4e, 0x47])] },
+  'image/webp': { ext: '.webp', image: true, magic: [Buffer.from('RIFF')] },
+  'application/pdf': { ext: '.pdf', image: false, magic: [Buffer.from('%PDF')] },
+  'message/rfc822': { ext: '.eml', image: false, magic: null },
+  'application/vnd.ms-outlook': { ext: '.msg', image: false, magic: [Buffer.from([0xd0, 0xcf, 0x11, 0xe0])] },
+  'text/plain': { ext: '.txt', image: false, magic: null },
+});
+
+function getAttachmentDir() {
+  const configured = process.env.ATTACHMENT_DIR || 'uploads/reklamationen';
+  return path.resolve(__dirname, '..', configured);
+}
+
+function getMaxUploadBytes() {
+  const mb = Number(process.env.ATTACHMENT_MAX_MB || 15);
+  return (Number.isFinite(mb) && mb > 0 ? mb : 15) * 1024 * 1024;
+}
+
+/**
+ * Prüft MIME-Typ + Signatur. Ergebnis: { ok: true, type } oder { ok: false, message }
+ */
+function validateUpload(file) {
+  if (!file || !file.buffer || file.size === 0) {
+    return { ok: false, message: 'Datei fehlt oder ist leer.' };
+  }
+
+  const type = ALLOWED_TYPES[file.mimetype];
+  if (!type) {
+    return {
+      ok: false,
+      message: `Dateityp ${file.mimetype || 'unbekannt'} ist nicht erlaubt. Erlaubt: ${Object.keys(ALLOWED_TYPES).join(', ')}`,
+    };
+  }
+
+  if (type.magic && !type.magic.some((sig) => file.buffer.subarray(0, sig.length).equals(sig))) {
+    return { ok: false, message: 'Dateiinhalt passt nicht zum angegebenen Dateityp.' };
+  }
+
+  return { ok: true, type };
+}
+
+// Relativer Schlüssel -> absoluter Pfad, niemals außerhalb des Basisordners
+function resolveStoragePath(storageKey) {
+  const base = getAttachmentDir();
+  const full = path.resolve(base, String(storageKey || ''));
+  if (!full.startsWith(base + path.sep)) {
+    throw new Error(`Ungültiger Speicherpfad: ${storageKey}`);
+  }
+  return full;
+}
+
+/**
+ * Schreibt Datei (+ Vorschaubild bei Bildern). Ergebnis: { storageKey, thumbKey }
+ */
+async function saveAttachmentFile(reklamationId, file, type) {
+  const fileId = crypto.randomUUID();
+  const dirKey = String(Number(reklamationId));
+  const storageKey = path.posix.join(dirKey, `${fileId}${type.ext}`);
+
+  await fs.mkdir(path.join(getAttachmentDir(), dirKey), { recursive: true });
+
+  let thumbKey = null;
+  if (type.image) {
+    let thumb;
+    try {
+      thumb = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toBuffer();
+    } catch (err) {
+      const unreadable = new Error(`Bild nicht lesbar: ${err.message}`);
+      unreadable.code = 'IMAGE_UNREADABLE';
+      throw unreadable;
+    }
+
+    thumbKey = path.posix.join(dirKey, `${fileId}_thumb.webp`);
+    await fs.writeFile(resolveStoragePath(thumbKey), thumb);
+  }
+
+  await fs.writeFile(resolveStoragePath(storageKey), file.buffer);
+
+  return { storageKey, thumbKey };
+}
+
+// Fehlende Dateien sind kein Fehler (z. B. bereits manuell entfernt)
+async function removeAttachmentFiles(keys) {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await fs.unlink(resolveStoragePath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Anhang konnte nicht gelöscht werden (${key}):`, err);
+      }
+    }
+  }
+}
+
+async function removeReklamationDir(reklamationId) {
+  const dir = path.join(getAttachmentDir(), String(Number(reklamationId)));
+  try {
+    await fs.rm(dir, { recursive: true, force: true });
+  } catch (err) {
+    console.error(`Anhang-Ordner konnte nicht gelöscht werden (${dir}):`, err);
+  }
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  getMaxUploadBytes,
+  validateUpload,
+  resolveStoragePath,
+  saveAttachmentFile,
+  removeAttachmentFiles,
+  removeReklamationDir,
+};
@@ -0,0 +1,266 @@
+// services/authSessions.js – Sitzungen, Access-Token + rotierende Refresh-Tokens
+// - Access-Token (JWT) ist kurzlebig (ACCESS_TOKEN_TTL, Standard 15m) und trägt die Sitzungs-ID (sid)
+// - Refresh-Token: "<sid>.<zufall>", in der DB nur als SHA-256-Hash (auth_sessions)
+// - Jede Nutzung des Refresh-Tokens rotiert ihn; Wiederverwendung eines alten Tokens
+//   widerruft die komplette Sitzung (Token-Diebstahl)
+// - Widerrufene Sitzungen werden in verifyToken() sofort abgelehnt
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const { loadUserFilialen } = require('./userFilialen');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET is not set in environment variables');
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a || ''));
+  const bufB = Buffer.from(String(b || ''));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function generateSecret() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function parseRefreshToken(refreshToken) {
+  const raw = String(refreshToken || '').trim();
+  const dot = raw.indexOf('.');
+  if (dot <= 0) return null;
+
+  const sid = raw.slice(0, dot);
+  if (!/^[0-9a-f-]{36}$/i.test(sid)) return null;
+
+  return { sid, token: raw };
+}
+
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function signAccessToken(user, sid) {
+  return jwt.sign(
+    {
+      id: user.id,
+      name: user.name,
+      role: user.role,
+      filiale: user.filiale,
+      filialen: Array.isArray(user.filialen) ? user.filialen : [],
+      force_password_change: user.force_password_change === true,
+      sid,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function buildTokenResponse(user, sid, refreshToken) {
+  return {
+    token: signAccessToken(user, sid),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+function getClientInfo(req) {
+  return {
+    userAgent: String(req.headers?.['user-agent'] || '').slice(0, 500) || null,
+    ip: req.ip || null,
+  };
+}
+
+/**
+ * Legt eine neue Sitzung an (Login) und liefert Access- + Refresh-Token.
+ * user.filialen (alle erlaubten Filialen) muss bereits geladen sein.
+ */
+async function createSession(user, req) {
+  const { userAgent, ip } = getClientInfo(req);
+
+  const ins = await pool.query(
+    `
+    INSERT INTO auth_sessions (user_id, refresh_token_hash, expires_at, user_agent, ip)
+    VALUES ($1, 'pending', $2, $3, $4)
+    RETURNING id;
+    `,
+    [user.id, getRefreshExpiry(), userAgent, ip]
+  );
+
+  const sid = ins.rows[0].id;
+  const refreshToken = `${sid}.${generateSecret()}`;
+
+  await pool.query('UPDATE auth_sessions SET refresh_token_hash = $1 WHERE id = $2', [
+    hashToken(refreshToken),
+    sid,
+  ]);
+
+  return buildTokenResponse(user, sid, refreshToken);
+}
+
+/**
+ * Rotiert einen Refresh-Token.
+ * Ergebnis: { ok: true, user, tokens } oder { ok: false, reason }
+ */
+async function rotateRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { ok: false, reason: 'invalid' };
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const sRes = await client.query(
+      `
+      SELECT s.id, s.refresh_token_hash, s.previous_token_hash, s.expires_at, s.revoked_at,
+             u.id AS user_id, u.name, u.role, u.filiale, u.aktiv, u.force_password_change
+      FROM auth_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.id = $1
+      FOR UPDATE OF s;
+      `,
+      [parsed.sid]
+    );
+
+    if (sRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'invalid' };
+    }
+
+    const session = sRes.rows[0];
+    const presentedHash = hashToken(parsed.token);
+
+    if (session.revoked_at || session.aktiv === false) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'revoked' };
+    }
+
+    if (new Date(session.expires_at).getTime() <= Date.now()) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'expired' };
+    }
+
+    if (!safeEqual(presentedHash, session.refresh_token_hash)) {
+      // Bereits rotierter Token wird erneut benutzt -> Sitzung komplett widerrufen
+      if (session.previous_token_hash && safeEqual(presentedHash, session.previous_token_hash)) {
+        await client.query(
+          `UPDATE auth_sessions SET revoked_at = now(), revoked_reason = 'refresh_reuse' WHERE id = $1`,
+          [session.id]
+        );
+        await client.query('COMMIT');
+        console.warn(`Refresh-Token wiederverwendet – Sitzung ${session.id} (User ${session.user_id}) widerrufen`);
+        return { ok: false, reason: 'reuse' };
+      }
+
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'invalid' };
+    }
+
+    const nextRefreshToken = `${session.id}.${generateSecret()}`;
+
+    await client.query(
+      `
+      UPDATE auth_sessions
+      SET previous_token_hash = refresh_token_hash,
+          refresh_token_hash = $2,
+          last_used_at = now(),
+          expires_at = $3
+      WHERE id = $1;
+      `,
+      [session.id, hashToken(nextRefreshToken), getRefreshExpiry()]
+    );
+
+    const filialen = await loadUserFilialen(client, session.user_id, session.filiale);
+
+    await client.query('COMMIT');
+
+    const user = {
+      id: session.user_id,
+      name: session.name,
+      role: session.role,
+      filiale: session.filiale,
+      filialen,
+      force_password_change: session.force_password_change,
+    };
+
+    return { ok: true, user, tokens: buildTokenResponse(user, session.id, nextRefreshToken) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function revokeSession(sid, reason = 'logout') {
+  if (!sid) return 0;
+  const r = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = now(), revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL`,
+    [sid, reason]
+  );
+  return r.rowCount;
+}
+
+// db optional: Client einer laufenden Transaktion
+async function revokeAllSessions(userId, reason = 'logout_all', db = pool) {
+  const r = await db.query(
+    `UPDATE auth_sessions SET revoked_at = now(), revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  return r.rowCount;
+}
+
+// z. B. nach Passwortwechsel: alle anderen Geräte abmelden, aktuelle Sitzung behalten
+// db optional: Client einer laufenden Transaktion (Passwort + Abmeldung gemeinsam)
+async function revokeOtherSessions(userId, keepSid, reason = 'password_changed', db = pool) {
+  const r = await db.query(
+    `UPDATE auth_sessions SET revoked_at = now(), revoked_reason = $3
+     WHERE user_id = $1 AND id IS DISTINCT FROM $2 AND revoked_at IS NULL`,
+    [userId, keepSid || null, reason]
+  );
+  return r.rowCount;
+}
+
+/**
+ * Prüft, ob die Sitzung (sid aus dem Access-Token) noch aktiv ist.
+ */
+async function isSessionActive(sid, userId) {
+  if (!sid) return false;
+
+  const r = await pool.query(
+    `
+    SELECT 1
+    FROM auth_sessions
+    WHERE id = $1
+      AND user_id = $2
+      AND revoked_at IS NULL
+      AND expires_at > now()
+    LIMIT 1;
+    `,
+    [sid, userId]
+  );
+
+  return r.rows.length > 0;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+  isSessionActive,
+  signAccessToken,
+  parseRefreshToken,
+  getClientInfo,
+};
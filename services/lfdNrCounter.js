@@ -0,0 +1,294 @@
+// services/lfdNrCounter.js – Vergabe der laufenden Positionsnummer (lfd_nr) je Filiale + Jahr
+// - Zähler in lfd_nr_counter, abgesichert gegen MAX(lfd_nr) aus reklamation_positionen
+// - Aufrufer: routes/reklamationen.js (POST/PUT) und der CSV-Import (services/reklamationImport.js)
+// - Verwaltung (Übersicht, Konsistenzprüfung, Startwert setzen) für routes/reklamationLfdNr.js
+// - Reklamationen im Papierkorb belegen ihre lfd_nr weiter (zählen also mit)
+
+/**
+ * Vergibt lfd_nr blockweise, transaktionssicher (Row-Lock) pro Filiale + Jahr.
+ */
+async function allocateLfdNrBlock(client, filiale, jahr, count) {
+  if (!count || count <= 0) return null;
+
+  await client.query(
+    `
+    INSERT INTO lfd_nr_counter (filiale, jahr, current_value)
+    VALUES ($1, $2, 0)
+    ON CONFLICT (filiale, jahr) DO NOTHING;
+    `,
+    [filiale, jahr]
+  );
+
+  const lockRes = await client.query(
+    `
+    SELECT current_value
+    FROM lfd_nr_counter
+    WHERE filiale = $1 AND jahr = $2
+    FOR UPDATE;
+    `,
+    [filiale, jahr]
+  );
+
+  const currentVal = Number(lockRes.rows[0]?.current_value ?? 0);
+
+  const maxRes = await client.query(
+    `
+    SELECT COALESCE(MAX(lfd_nr), 0) AS max_lfd
+    FROM reklamation_positionen
+    WHERE lfd_nr IS NOT NULL
+      AND reklamation_id IN (
+        SELECT id FROM reklamationen WHERE filiale = $1
+          AND EXTRACT(YEAR FROM datum) = $2
+      );
+    `,
+    [filiale, jahr]
+  );
+
+  const maxLfd = Number(maxRes.rows[0]?.max_lfd ?? 0);
+
+  const base = Math.max(currentVal, maxLfd);
+  const newVal = base + count;
+
+  await client.query(
+    `
+    UPDATE lfd_nr_counter
+    SET current_value = $3
+    WHERE filiale = $1 AND jahr = $2;
+    `,
+    [filiale, jahr, newVal]
+  );
+
+  return base + 1;
+}
+
+const GAP_LIMIT = 500;
+
+// Positionen mit Filiale + Jahr (Jahr aus datum, wie bei der Vergabe)
+const POSITION_SCOPE_SQL = `
+  SELECT r.filiale, EXTRACT(YEAR FROM r.datum)::int AS jahr, r.id AS reklamation_id, r.rekla_nr,
+         r.deleted_at, p.pos_id, p.lfd_nr
+  FROM reklamation_positionen p
+  JOIN reklamationen r ON r.id = p.reklamation_id
+  WHERE r.datum IS NOT NULL
+`;
+
+function buildScopeFilter({ filiale, jahr }, startIndex = 1) {
+  const whereParts = [];
+  const params = [];
+  if (filiale) {
+    params.push(filiale);
+    whereParts.push(`filiale = $${startIndex + params.length - 1}`);
+  }
+  if (jahr) {
+    params.push(jahr);
+    whereParts.push(`jahr = $${startIndex + params.length - 1}`);
+  }
+  return { whereSql: whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : '', params };
+}
+
+/**
+ * Zählerstand je Filiale + Jahr neben dem tatsächlichen Bestand (auch Jahre ohne Zählerzeile).
+ * konsistent = Zähler >= höchste vergebene lfd_nr
+ */
+async function listLfdNrCounters(db, scope = {}) {
+  const { whereSql, params } = buildScopeFilter(scope);
+
+  const r = await db.query(
+    `
+    WITH pos AS (${POSITION_SCOPE_SQL}),
+    used AS (
+      SELECT filiale, jahr,
+             MAX(lfd_nr)::int AS max_lfd_nr,
+             COUNT(lfd_nr)::int AS positionen,
+             COUNT(DISTINCT lfd_nr)::int AS vergeben
+      FROM pos
+      GROUP BY filiale, jahr
+    ),
+    merged AS (
+      SELECT
+        COALESCE(c.filiale, u.filiale) AS filiale,
+        COALESCE(c.jahr, u.jahr) AS jahr,
+        c.current_value::int AS current_value,
+        COALESCE(u.max_lfd_nr, 0) AS max_lfd_nr,
+        COALESCE(u.positionen, 0) AS positionen,
+        COALESCE(u.vergeben, 0) AS vergeben
+      FROM lfd_nr_counter c
+      FULL OUTER JOIN used u ON u.filiale = c.filiale AND u.jahr = c.jahr
+    )
+    SELECT * FROM merged
+    ${whereSql}
+    ORDER BY jahr DESC, filiale ASC
+    `,
+    params
+  );
+
+  return r.rows.map((row) => ({
+    ...row,
+    konsistent: row.current_value !== null && row.current_value >= row.max_lfd_nr,
+  }));
+}
+
+/**
+ * Doppelte und fehlende lfd_nr je Filiale + Jahr.
+ * Lücken nur bis zur höchsten vergebenen Nummer und max. GAP_LIMIT Einträge je Gruppe;
+ * Nummern, die ein gesetzter Startwert übersprungen hat (lfd_nr_counter_audit), zählen nicht als Lücke.
+ */
+async function checkLfdNrConsistency(db, scope = {}) {
+  const { whereSql, params } = buildScopeFilter(scope);
+
+  const dupRes = await db.query(
+    `
+    WITH pos AS (${POSITION_SCOPE_SQL})
+    SELECT filiale, jahr, lfd_nr,
+           COUNT(*)::int AS anzahl,
+           json_agg(json_build_object(
+             'reklamation_id', reklamation_id, 'rekla_nr', rekla_nr, 'pos_id', pos_id,
+             'im_papierkorb', deleted_at IS NOT NULL
+           ) ORDER BY reklamation_id, pos_id) AS positionen
+    FROM pos
+    ${whereSql ? `${whereSql} AND` : 'WHERE'} lfd_nr IS NOT NULL
+    GROUP BY filiale, jahr, lfd_nr
+    HAVING COUNT(*) > 1
+    ORDER BY jahr DESC, filiale ASC, lfd_nr ASC
+    `,
+    params
+  );
+
+  const gapRes = await db.query(
+    `
+    WITH pos AS (${POSITION_SCOPE_SQL}),
+    scoped AS (SELECT * FROM pos ${whereSql}),
+    grp AS (
+      SELECT filiale, jahr, MAX(lfd_nr)::int AS max_lfd_nr
+      FROM scoped
+      WHERE lfd_nr IS NOT NULL
+      GROUP BY filiale, jahr
+    ),
+    missing AS (
+      SELECT g.filiale, g.jahr, g.max_lfd_nr, n.nr
+      FROM grp g
+      CROSS JOIN LATERAL generate_series(1, g.max_lfd_nr) AS n(nr)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM scoped s
+        WHERE s.filiale = g.filiale AND s.jahr = g.jahr AND s.lfd_nr = n.nr
+      )
+        -- per PUT .../counters bewusst übersprungen (Startwert über der damals höchsten lfd_nr)
+        AND NOT EXISTS (
+          SELECT 1 FROM lfd_nr_counter_audit a
+          WHERE a.filiale = g.filiale AND a.jahr = g.jahr
+            AND n.nr > a.max_lfd_nr AND n.nr <= a.neu_wert
+        )
+    )
+    SELECT filiale, jahr, max_lfd_nr,
+           COUNT(*)::int AS anzahl,
+           (ARRAY_AGG(nr ORDER BY nr))[1:${GAP_LIMIT}] AS fehlend
+    FROM missing
+    GROUP BY filiale, jahr, max_lfd_nr
+    ORDER BY jahr DESC, filiale ASC
+    `,
+    params
+  );
+
+  const nullRes = await db.query(
+    `
+    WITH pos AS (${POSITION_SCOPE_SQL})
+    SELECT filiale, jahr, COUNT(*)::int AS anzahl
+    FROM pos
+    ${whereSql ? `${whereSql} AND` : 'WHERE'} lfd_nr IS NULL
+    GROUP BY filiale, jahr
+    ORDER BY jahr DESC, filiale ASC
+    `,
+    params
+  );
+
+  return {
+    doppelt: dupRes.rows,
+    luecken: gapRes.rows.map((row) => ({ ...row, gekuerzt: row.anzahl > GAP_LIMIT })),
+    ohne_lfd_nr: nullRes.rows,
+    ok: dupRes.rows.length === 0 && gapRes.rows.length === 0 && nullRes.rows.length === 0,
+  };
+}
+
+/**
+ * Setzt den Zähler (Filiale + Jahr) transaktionssicher auf einen Startwert und protokolliert die Änderung.
+ * startValue = nächste zu vergebende lfd_nr; darf vergebene Nummern nicht überschreiben.
+ * Ergebnis: { ok: true, counter } oder { ok: false, status, code, message }
+ */
+async function setLfdNrCounter(client, { filiale, jahr, startValue, grund, user }) {
+  await client.query(
+    `
+    INSERT INTO lfd_nr_counter (filiale, jahr, current_value)
+    VALUES ($1, $2, 0)
+    ON CONFLICT (filiale, jahr) DO NOTHING;
+    `,
+    [filiale, jahr]
+  );
+
+  // gleiche Sperre wie allocateLfdNrBlock -> keine Vergabe zwischen Prüfung und Update
+  const lockRes = await client.query(
+    'SELECT current_value FROM lfd_nr_counter WHERE filiale = $1 AND jahr = $2 FOR UPDATE',
+    [filiale, jahr]
+  );
+  const altWert = Number(lockRes.rows[0]?.current_value ?? 0);
+
+  const maxRes = await client.query(
+    `
+    SELECT COALESCE(MAX(p.lfd_nr), 0)::int AS max_lfd
+    FROM reklamation_positionen p
+    JOIN reklamationen r ON r.id = p.reklamation_id
+    WHERE r.filiale = $1 AND EXTRACT(YEAR FROM r.datum) = $2
+    `,
+    [filiale, jahr]
+  );
+  const maxLfd = maxRes.rows[0].max_lfd;
+
+  const neuWert = startValue - 1;
+  if (neuWert < maxLfd) {
+    return {
+      ok: false,
+      status: 409,
+      code: 'BELOW_MAX_LFD_NR',
+      message: `Startwert ${startValue} ist bereits vergeben (höchste lfd_nr ${filiale}/${jahr}: ${maxLfd}).`,
+    };
+  }
+
+  await client.query(
+    'UPDATE lfd_nr_counter SET current_value = $3 WHERE filiale = $1 AND jahr = $2',
+    [filiale, jahr, neuWert]
+  );
+
+  await client.query(
+    `
+    INSERT INTO lfd_nr_counter_audit (filiale, jahr, alt_wert, neu_wert, max_lfd_nr, grund, user_id, user_name)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `,
+    [filiale, jahr, altWert, neuWert, maxLfd, grund || null, user?.id ?? null, user?.name ?? null]
+  );
+
+  return { ok: true, counter: { filiale, jahr, alt_wert: altWert, current_value: neuWert, max_lfd_nr: maxLfd } };
+}
+
+async function getLfdNrCounterAudit(db, scope = {}, limit = 200) {
+  const { whereSql, params } = buildScopeFilter(scope);
+  params.push(limit);
+
+  const r = await db.query(
+    `
+    SELECT id, filiale, jahr, alt_wert, neu_wert, max_lfd_nr, grund, user_id, user_name, created_at
+    FROM lfd_nr_counter_audit
+    ${whereSql}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${params.length}
+    `,
+    params
+  );
+  return r.rows;
+}
+
+module.exports = {
+  allocateLfdNrBlock,
+  listLfdNrCounters,
+  checkLfdNrConsistency,
+  setLfdNrCounter,
+  getLfdNrCounterAudit,
+};
@@ -22,49 +22,69 @@ function getMailConfig() {
   return config;
 }
 
-async function sendOrderMail({ subject, text, to, attachments = [] }) {
-  try {
-    const config = getMailConfig();
+function createTransporter(config) {
+  return nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.port === 465,
+    requireTLS: config.port === 587,
+    auth: {
+      user: config.user,
+      pass: config.pass,
+    },
+    tls: {
+      rejectUnauthorized: true,
+    },
+  });
+}
 
-    if (!config.host || !config.user || !config.pass) {
-      console.warn('MAIL: SMTP-Konfiguration unvollständig');
-      return;
-    }
+function mailError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
 
-    const finalRecipient =
-      config.mode === 'test'
-        ? config.testRecipient
-        : to;
+/**
+ * Versendet eine Mail und wirft bei Fehlern (für Aufrufer, die das Ergebnis festhalten müssen).
+ * MAIL_MODE=test: geht an MAIL_TEST_RECIPIENT, CC entfällt.
+ * Ergebnis: { mode, recipient, messageId }
+ */
+async function sendMail({ subject, text, to, cc, attachments = [], fromName = 'Neufeld Bestellungen' }) {
+  const config = getMailConfig();
 
-    if (!finalRecipient) {
-      console.warn('MAIL: Kein Empfänger definiert');
-      return;
-    }
+  if (!config.host || !config.user || !config.pass) {
+    throw mailError('MAIL_NOT_CONFIGURED', 'SMTP-Konfiguration unvollständig');
+  }
+
+  const isTest = config.mode === 'test';
+  const finalRecipient = isTest ? config.testRecipient : to;
+
+  if (!finalRecipient) {
+    throw mailError('MAIL_NO_RECIPIENT', 'Kein Empfänger definiert');
+  }
 
-    const transporter = nodemailer.createTransport({
-      host: config.host,
-      port: config.port,
-      secure: config.port === 465,
-      requireTLS: config.port === 587,
-      auth: {
-        user: config.user,
-        pass: config.pass,
-      },
-      tls: {
-        rejectUnauthorized: true,
-      },
-    });
+  const info = await createTransporter(config).sendMail({
+    from: `"${fromName}" <${config.user}>`,
+    to: finalRecipient,
+    cc: isTest ? undefined : cc || undefined,
+    subject,
+    text,
+    attachments,
+  });
 
-    await transporter.sendMail({
-      from: `"Neufeld Bestellungen" <${config.user}>`,
-      to: finalRecipient,
-      subject,
-      text,
-      attachments,
-    });
+  console.log(`MAIL: erfolgreich gesendet an ${finalRecipient}`);
+  return { mode: config.mode, recipient: finalRecipient, messageId: info?.messageId || null };
+}
 
-    console.log(`MAIL: erfolgreich gesendet an ${finalRecipient}`);
+async function sendOrderMail({ subject, text, to, attachments = [] }) {
+  try {
+    await sendMail({ subject, text, to, attachments });
   } catch (err) {
+    if (err.code === 'MAIL_NOT_CONFIGURED' || err.code === 'MAIL_NO_RECIPIENT') {
+      console.warn(`MAIL: ${err.message}`);
+      return;
+    }
+
     console.error('MAIL ERROR:', err.message);
     console.error('MAIL ERROR CODE:', err.code);
     console.error('MAIL ERROR COMMAND:', err.command);
@@ -72,5 +92,6 @@ async function sendOrderMail({ subject, text, to, attachments = [] }) {
 }
 
 module.exports = {
+  sendMail,
   sendOrderMail,
-};
\ No newline at end of file
+};
@@ -0,0 +1,141 @@
+// services/passwordPolicy.js – Passwort-Richtlinie (konfigurierbar über ENV)
+// - PASSWORD_MIN_LENGTH       Mindestlänge (Standard 8)
+// - PASSWORD_REQUIRE_UPPER    Großbuchstabe Pflicht (Standard false)
+// - PASSWORD_REQUIRE_LOWER    Kleinbuchstabe Pflicht (Standard false)
+// - PASSWORD_REQUIRE_DIGIT    Ziffer Pflicht (Standard false)
+// - PASSWORD_REQUIRE_SPECIAL  Sonderzeichen Pflicht (Standard false)
+// - PASSWORD_HISTORY          die letzten N Passwörter dürfen nicht wiederverwendet werden (Standard 5, 0 = aus)
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+function envFlag(name) {
+  return String(process.env[name] || '').toLowerCase() === 'true';
+}
+
+function envInt(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+function getPasswordPolicy() {
+  return {
+    minLength: envInt('PASSWORD_MIN_LENGTH', 8),
+    requireUpper: envFlag('PASSWORD_REQUIRE_UPPER'),
+    requireLower: envFlag('PASSWORD_REQUIRE_LOWER'),
+    requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT'),
+    requireSpecial: envFlag('PASSWORD_REQUIRE_SPECIAL'),
+    history: envInt('PASSWORD_HISTORY', 5),
+  };
+}
+
+/**
+ * Prüft Länge + Zeichenklassen. Ergebnis: { ok: true } oder { ok: false, message }
+ */
+function validatePassword(password) {
+  const policy = getPasswordPolicy();
+  const pw = String(password ?? '');
+  const missing = [];
+
+  if (pw.length < policy.minLength) {
+    return { ok: false, message: `Passwort muss mindestens ${policy.minLength} Zeichen haben` };
+  }
+
+  if (policy.requireUpper && !/[A-ZÄÖÜ]/.test(pw)) missing.push('einen Großbuchstaben');
+  if (policy.requireLower && !/[a-zäöüß]/.test(pw)) missing.push('einen Kleinbuchstaben');
+  if (policy.requireDigit && !/[0-9]/.test(pw)) missing.push('eine Ziffer');
+  if (policy.requireSpecial && !/[^A-Za-z0-9ÄÖÜäöüß]/.test(pw)) missing.push('ein Sonderzeichen');
+
+  if (missing.length > 0) {
+    return { ok: false, message: `Passwort muss ${missing.join(', ')} enthalten` };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Erzeugt ein zufälliges Einmalpasswort, das die aktuelle Richtlinie erfüllt
+ * (je ein Zeichen jeder Klasse, Rest zufällig, dann gemischt).
+ */
+function generateCompliantPassword() {
+  const { minLength } = getPasswordPolicy();
+  const sets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnpqrstuvwxyz', '23456789', '!#$%&*+-?@'];
+  const all = sets.join('');
+  const length = Math.max(minLength, 12);
+
+  const chars = sets.map((set) => set[crypto.randomInt(set.length)]);
+  while (chars.length < length) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Prüft, ob das neue Passwort dem aktuellen oder einem der letzten N Passwörter entspricht.
+ */
+async function isPasswordReused(db, userId, currentHash, newPassword) {
+  const { history } = getPasswordPolicy();
+  if (history <= 0) return false;
+
+  const pw = String(newPassword);
+
+  if (currentHash && (await bcrypt.compare(pw, currentHash))) return true;
+
+  const r = await db.query(
+    `
+    SELECT password_hash
+    FROM user_password_history
+    WHERE user_id = $1
+    ORDER BY created_at DESC
+    LIMIT $2
+    `,
+    [userId, history]
+  );
+
+  for (const row of r.rows) {
+    if (await bcrypt.compare(pw, row.password_hash)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Merkt sich den bisherigen Hash und kürzt die Historie auf N Einträge.
+ */
+async function rememberPasswordHash(db, userId, previousHash) {
+  const { history } = getPasswordPolicy();
+  if (history <= 0 || !previousHash) return;
+
+  await db.query(
+    'INSERT INTO user_password_history (user_id, password_hash) VALUES ($1, $2)',
+    [userId, previousHash]
+  );
+
+  await db.query(
+    `
+    DELETE FROM user_password_history
+    WHERE user_id = $1
+      AND id NOT IN (
+        SELECT id FROM user_password_history
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      )
+    `,
+    [userId, history]
+  );
+}
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  generateCompliantPassword,
+  isPasswordReused,
+  rememberPasswordHash,
+};
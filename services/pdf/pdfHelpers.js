@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const { rgb } = require('pdf-lib');
+
+// Gemeinsame pdf-lib Helfer für Bestellformulare (mellerudPdfService) und Reklamationsbelege (reklamationPdfService)
+
+function cleanText(value) {
+  return String(value ?? '')
+    .replace(/€/g, 'EUR')
+    .replace(/[–—]/g, '-')
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function formatDateDe(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return cleanText(value).slice(0, 10);
+  return date.toLocaleDateString('de-DE');
+}
+
+function drawText(page, text, x, y, options = {}) {
+  page.drawText(cleanText(text), {
+    x,
+    y,
+    size: options.size || 8,
+    font: options.font,
+    color: options.color || rgb(0, 0, 0),
+  });
+}
+
+function drawLine(page, x1, y1, x2, y2, options = {}) {
+  page.drawLine({
+    start: { x: x1, y: y1 },
+    end: { x: x2, y: y2 },
+    thickness: options.thickness || 0.5,
+    color: options.color || rgb(0, 0, 0),
+  });
+}
+
+function drawRect(page, x, y, width, height, options = {}) {
+  page.drawRectangle({
+    x,
+    y,
+    width,
+    height,
+    borderWidth: options.borderWidth ?? 0.5,
+    borderColor: options.borderColor || rgb(0, 0, 0),
+    color: options.color,
+  });
+}
+
+function splitText(text, maxChars, maxLines = 2) {
+  const words = cleanText(text).split(' ');
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    const next = current ? `${current} ${word}` : word;
+    if (next.length > maxChars && current) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = next;
+    }
+  }
+
+  if (current) lines.push(current);
+  return lines.slice(0, maxLines);
+}
+
+// QR-Code als Vektor (ein Rechteck je dunklem Modul), x/y = linke untere Ecke
+function drawQrCode(page, text, x, y, size) {
+  const qr = QRCode.create(cleanText(text), { errorCorrectionLevel: 'M' });
+  const count = qr.modules.size;
+  const moduleSize = size / count;
+
+  for (let row = 0; row < count; row += 1) {
+    for (let col = 0; col < count; col += 1) {
+      if (!qr.modules.get(row, col)) continue;
+
+      page.drawRectangle({
+        x: x + col * moduleSize,
+        y: y + size - (row + 1) * moduleSize,
+        width: moduleSize,
+        height: moduleSize,
+        color: rgb(0, 0, 0),
+      });
+    }
+  }
+}
+
+function getFilialAssetPath(filiale, filename) {
+  const safeFiliale = cleanText(filiale).toLowerCase()
+    .replace(/ü/g, 'ue')
+    .replace(/ö/g, 'oe')
+    .replace(/ä/g, 'ae')
+    .replace(/ß/g, 'ss')
+    .replace(/[^a-z0-9_-]/g, '');
+
+  return path.join(__dirname, 'assets', 'filialen', safeFiliale, filename);
+}
+
+async function embedOptionalImage(pdfDoc, filiale, filename) {
+  const filePath = getFilialAssetPath(filiale, filename);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const bytes = fs.readFileSync(filePath);
+
+  if (filename.toLowerCase().endsWith('.jpg') || filename.toLowerCase().endsWith('.jpeg')) {
+    return pdfDoc.embedJpg(bytes);
+  }
+
+  return pdfDoc.embedPng(bytes);
+}
+
+module.exports = {
+  cleanText,
+  formatDateDe,
+  drawText,
+  drawLine,
+  drawRect,
+  splitText,
+  drawQrCode,
+  getFilialAssetPath,
+  embedOptionalImage,
+};
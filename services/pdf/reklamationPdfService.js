@@ -0,0 +1,300 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const db = require('../../db');
+const {
+  cleanText,
+  formatDateDe,
+  drawText,
+  drawLine,
+  drawRect,
+  splitText,
+  drawQrCode,
+  embedOptionalImage,
+} = require('./pdfHelpers');
+
+// Reklamationsbeleg / Rücksendeschein (A4 hoch) – ersetzt den handschriftlichen Begleitzettel der Filialen
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const TABLE_X = 40;
+const ROW_HEIGHT = 16;
+
+const COLUMNS = [
+  { label: 'Lfd-Nr.', width: 55 },
+  { label: 'Artikelnummer', width: 130 },
+  { label: 'EAN', width: 110 },
+  { label: 'Bestellmenge', width: 110 },
+  { label: 'Reklamationsmenge', width: 110.28 },
+];
+
+async function loadReklamationData(reklamationId) {
+  const reklaRes = await db.query('SELECT * FROM reklamationen WHERE id = $1 LIMIT 1', [reklamationId]);
+
+  if (reklaRes.rows.length === 0) {
+    throw new Error(`Reklamation nicht gefunden: ${reklamationId}`);
+  }
+
+  const reklamation = reklaRes.rows[0];
+
+  const positionsRes = await db.query(
+    `
+    SELECT lfd_nr, artikelnummer, ean, bestell_menge, bestell_einheit, rekla_menge, rekla_einheit
+    FROM reklamation_positionen
+    WHERE reklamation_id = $1
+    ORDER BY lfd_nr NULLS LAST, pos_id
+    `,
+    [reklamationId]
+  );
+
+  // Anschrift: Stammdaten der Filiale, sonst erstes aktives Bestell-Filialprofil
+  const filialeRes = await db.query(
+    `
+    SELECT
+      x.name AS filiale,
+      COALESCE(f.firma, p.firma) AS firma,
+      COALESCE(f.strasse, p.strasse) AS strasse,
+      COALESCE(f.ort, p.ort) AS ort,
+      COALESCE(f.telefon, p.telefon) AS telefon,
+      COALESCE(f.email, p.email) AS email
+    FROM (SELECT $1::text AS name) x
+    LEFT JOIN filialen f ON f.name = x.name
+    LEFT JOIN LATERAL (
+      SELECT firma, strasse, ort, telefon, email
+      FROM "order".order_supplier_branch_profiles
+      WHERE filiale = x.name
+        AND aktiv = true
+      ORDER BY supplier_id ASC
+      LIMIT 1
+    ) p ON true
+    `,
+    [reklamation.filiale || '']
+  );
+
+  return {
+    reklamation,
+    positions: positionsRes.rows,
+    filiale: filialeRes.rows[0],
+  };
+}
+
+function formatMenge(menge, einheit) {
+  if (menge === null || menge === undefined || menge === '') return '';
+  const n = Number(menge);
+  const value = Number.isFinite(n) ? n.toLocaleString('de-DE', { maximumFractionDigits: 3 }) : cleanText(menge);
+  return einheit ? `${value} ${einheit}` : value;
+}
+
+function getBelegNummer(reklamation) {
+  return cleanText(reklamation.rekla_nr) || `REKLA-${reklamation.id}`;
+}
+
+function drawLabelValue(page, fonts, label, value, x, y, valueOffset) {
+  drawText(page, label, x, y, { font: fonts.bold, size: 8 });
+  drawText(page, value || '-', x + valueOffset, y, { font: fonts.regular, size: 8 });
+}
+
+function drawFullHeader(page, fonts, data, totalPages) {
+  const { bold, regular } = fonts;
+  const { reklamation, filiale } = data;
+  const belegNr = getBelegNummer(reklamation);
+
+  drawText(page, 'Reklamation / Rücksendeschein', 40, 800, { font: bold, size: 16 });
+  drawText(page, `Lieferant: ${reklamation.lieferant || '-'}`, 40, 780, { font: bold, size: 11 });
+  drawText(page, `Seite 1 / ${totalPages}`, 40, 764, { font: regular, size: 8 });
+
+  drawQrCode(page, belegNr, 480, 715, 75);
+  drawText(page, belegNr, 480, 705, { font: regular, size: 7 });
+
+  drawRect(page, 40, 595, 250, 100, { borderWidth: 0.7 });
+  drawText(page, 'Absender', 50, 683, { font: bold, size: 9 });
+  drawLabelValue(page, fonts, 'Filiale:', filiale?.filiale, 50, 668, 70);
+  drawLabelValue(page, fonts, 'Firma:', filiale?.firma, 50, 655, 70);
+  drawLabelValue(page, fonts, 'Strasse:', filiale?.strasse, 50, 642, 70);
+  drawLabelValue(page, fonts, 'Ort:', filiale?.ort, 50, 629, 70);
+  drawLabelValue(page, fonts, 'Telefon:', filiale?.telefon, 50, 616, 70);
+  drawLabelValue(page, fonts, 'E-Mail:', filiale?.email, 50, 603, 70);
+
+  drawRect(page, 300, 595, 255.28, 100, { borderWidth: 0.7 });
+  drawLabelValue(page, fonts, 'Reklamationsnr.:', belegNr, 310, 681, 85);
+  drawLabelValue(page, fonts, 'Datum:', formatDateDe(reklamation.datum), 310, 668, 85);
+  drawLabelValue(page, fonts, 'Art:', reklamation.art, 310, 655, 85);
+  drawLabelValue(page, fonts, 'LS-Nr./Grund:', splitText(reklamation.ls_nummer_grund, 34, 1)[0], 310, 642, 85);
+  drawLabelValue(page, fonts, 'Status:', reklamation.status, 310, 629, 85);
+  drawLabelValue(page, fonts, 'Versand:', reklamation.versand ? 'Ja' : 'Nein', 310, 616, 85);
+  drawLabelValue(page, fonts, 'Tracking-ID:', reklamation.tracking_id, 310, 603, 85);
+}
+
+function drawCompactHeader(page, fonts, data, pageNumber, totalPages) {
+  const { bold, regular } = fonts;
+  const { reklamation } = data;
+
+  drawText(page, `Reklamation ${getBelegNummer(reklamation)}`, 40, 800, { font: bold, size: 12 });
+  drawText(page, `Filiale: ${reklamation.filiale || ''}`, 380, 800, { font: bold, size: 10 });
+  drawText(page, `Lieferant: ${reklamation.lieferant || ''}`, 380, 786, { font: regular, size: 8 });
+  drawText(page, `Seite ${pageNumber} / ${totalPages}`, 380, 774, { font: regular, size: 8 });
+
+  drawLine(page, 40, 765, 555.28, 765, { thickness: 0.5, color: rgb(0.2, 0.2, 0.2) });
+}
+
+function drawTableHeader(page, fonts, y) {
+  const totalWidth = COLUMNS.reduce((sum, col) => sum + col.width, 0);
+  drawRect(page, TABLE_X, y - 18, totalWidth, 18, { borderWidth: 0.7, color: rgb(0.9, 0.9, 0.9) });
+
+  let currentX = TABLE_X;
+  for (const col of COLUMNS) {
+    drawRect(page, currentX, y - 18, col.width, 18, { borderWidth: 0.4 });
+    drawText(page, col.label, currentX + 4, y - 12, { font: fonts.bold, size: 8 });
+    currentX += col.width;
+  }
+}
+
+function drawPositionRow(page, fonts, pos, y, isEven) {
+  const totalWidth = COLUMNS.reduce((sum, col) => sum + col.width, 0);
+  drawRect(page, TABLE_X, y - ROW_HEIGHT, totalWidth, ROW_HEIGHT, {
+    borderWidth: 0,
+    color: isEven ? rgb(1, 1, 1) : rgb(0.965, 0.965, 0.965),
+  });
+
+  const values = [
+    pos.lfd_nr ?? '-',
+    pos.artikelnummer || '-',
+    pos.ean || '-',
+    formatMenge(pos.bestell_menge, pos.bestell_einheit),
+    formatMenge(pos.rekla_menge, pos.rekla_einheit),
+  ];
+
+  let currentX = TABLE_X;
+  values.forEach((value, index) => {
+    const col = COLUMNS[index];
+    drawRect(page, currentX, y - ROW_HEIGHT, col.width, ROW_HEIGHT, {
+      borderWidth: 0.25,
+      borderColor: rgb(0.45, 0.45, 0.45),
+    });
+    drawText(page, String(value), currentX + 4, y - 11, {
+      font: index === 4 ? fonts.bold : fonts.regular,
+      size: index === 4 ? 9 : 8,
+    });
+    currentX += col.width;
+  });
+}
+
+async function drawFinalBlock(pdfDoc, page, fonts, data) {
+  const { regular, bold } = fonts;
+  const { reklamation } = data;
+
+  drawLine(page, 40, 165, 555.28, 165, { thickness: 0.6, color: rgb(0.2, 0.2, 0.2) });
+
+  const notizLines = splitText(reklamation.notiz, 110, 3);
+  if (notizLines.length > 0) {
+    drawText(page, 'Bemerkung:', 40, 150, { font: bold, size: 8 });
+    notizLines.forEach((line, i) => {
+      drawText(page, line, 95, 150 - i * 11, { font: regular, size: 8 });
+    });
+  }
+
+  const lineY = 80;
+  const labelY = 66;
+
+  drawText(page, 'Datum', 75, labelY, { font: regular, size: 7 });
+  drawText(page, formatDateDe(new Date()), 62, lineY + 8, { font: bold, size: 9 });
+  drawLine(page, 40, lineY, 150, lineY, { thickness: 0.6 });
+
+  drawText(page, 'Unterschrift Filiale', 215, labelY, { font: regular, size: 7 });
+  drawLine(page, 180, lineY, 340, lineY, { thickness: 0.6 });
+
+  drawText(page, 'Filialstempel', 450, labelY - 12, { font: regular, size: 7 });
+  drawRect(page, 395, 60, 150, 58, { borderWidth: 0.7 });
+
+  const unterschrift = await embedOptionalImage(pdfDoc, reklamation.filiale, 'unterschrift.png');
+  const stempel = await embedOptionalImage(pdfDoc, reklamation.filiale, 'stempel.png');
+
+  if (unterschrift) {
+    page.drawImage(unterschrift, { x: 205, y: 83, width: 105, height: 28 });
+  }
+
+  if (stempel) {
+    page.drawImage(stempel, { x: 410, y: 68, width: 120, height: 42 });
+  }
+
+  drawLine(page, 40, 40, 555.28, 40, { thickness: 0.5, color: rgb(0.2, 0.2, 0.2) });
+  drawText(page, 'Dieser Beleg wurde mit dem digitalen Reklamationssystem der Neufeld Baumarkt GmbH erstellt. Bitte der Rücksendung beilegen.', 40, 28, {
+    font: regular,
+    size: 6,
+    color: rgb(0.2, 0.2, 0.2),
+  });
+}
+
+function paginatePositions(rows) {
+  const firstPageRows = 24;
+  const normalPageRows = 42;
+  const finalPageRows = 35;
+
+  if (rows.length <= firstPageRows) {
+    return [rows];
+  }
+
+  const pages = [];
+  pages.push(rows.slice(0, firstPageRows));
+
+  let remaining = rows.slice(firstPageRows);
+
+  while (remaining.length > finalPageRows) {
+    pages.push(remaining.slice(0, normalPageRows));
+    remaining = remaining.slice(normalPageRows);
+  }
+
+  pages.push(remaining);
+
+  return pages;
+}
+
+async function generateReklamationPdf(reklamationId) {
+  const data = await loadReklamationData(reklamationId);
+  const pageRows = paginatePositions(data.positions);
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`Reklamation ${getBelegNummer(data.reklamation)}`);
+
+  const fonts = {
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+    bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+  };
+
+  for (let pageIndex = 0; pageIndex < pageRows.length; pageIndex += 1) {
+    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    const isFirstPage = pageIndex === 0;
+    const isLastPage = pageIndex === pageRows.length - 1;
+
+    const tableHeaderY = isFirstPage ? 575 : 750;
+
+    if (isFirstPage) {
+      drawFullHeader(page, fonts, data, pageRows.length);
+    } else {
+      drawCompactHeader(page, fonts, data, pageIndex + 1, pageRows.length);
+    }
+
+    drawTableHeader(page, fonts, tableHeaderY);
+
+    let y = tableHeaderY - 18;
+
+    if (data.positions.length === 0) {
+      drawText(page, 'Keine Positionen erfasst.', TABLE_X + 4, y - 11, { font: fonts.regular, size: 8 });
+    }
+
+    pageRows[pageIndex].forEach((pos, rowIndex) => {
+      drawPositionRow(page, fonts, pos, y, rowIndex % 2 === 0);
+      y -= ROW_HEIGHT;
+    });
+
+    if (isLastPage) {
+      await drawFinalBlock(pdfDoc, page, fonts, data);
+    }
+  }
+
+  const pdfBytes = await pdfDoc.save();
+  return Buffer.from(pdfBytes);
+}
+
+module.exports = {
+  generateReklamationPdf,
+};
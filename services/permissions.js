@@ -0,0 +1,200 @@
+// services/permissions.js – zentrale Berechtigungsmatrix (Permission -> Rollen)
+// - Registry im Code: alle bekannten Permissions inkl. Beschreibung + Standardrollen
+//   (Standardrollen = bisheriges Verhalten der verstreuten Rollen-Arrays)
+// - DB (permission_roles) überschreibt die Standardrollen je Permission, pflegbar durch Admin
+// - kleiner In-Memory-Cache (PERMISSION_CACHE_SECONDS, Standard 30s), wird bei Änderung geleert
+
+const pool = require('../db');
+
+const ROLE_ADMIN = 'Admin';
+const ROLE_SUPERVISOR = 'Supervisor';
+const ROLE_MANAGER_1 = 'Manager-1';
+const ROLE_GF = 'Geschäftsführer';
+const ROLE_FILIALE = 'Filiale';
+
+const ALL_ROLES = [ROLE_ADMIN, ROLE_SUPERVISOR, ROLE_MANAGER_1, ROLE_GF, ROLE_FILIALE];
+const CENTRAL_ROLES = [ROLE_ADMIN, ROLE_SUPERVISOR, ROLE_MANAGER_1, ROLE_GF];
+
+const PERMISSIONS = Object.freeze({
+  // Reklamationen
+  'reklamation.read_all': { beschreibung: 'Reklamationen aller Filialen sehen', roles: CENTRAL_ROLES },
+  'reklamation.edit': { beschreibung: 'Reklamationen bearbeiten (PUT/PATCH)', roles: [ROLE_ADMIN, ROLE_SUPERVISOR] },
+  'reklamation.delete': { beschreibung: 'Reklamationen löschen (Papierkorb)', roles: [ROLE_ADMIN, ROLE_SUPERVISOR] },
+  'reklamation.send': { beschreibung: 'Reklamationen per Mail an Lieferanten senden', roles: [ROLE_ADMIN, ROLE_SUPERVISOR] },
+  'reklamation.gutschrift': { beschreibung: 'Gutschriften zu Reklamationen erfassen', roles: [ROLE_ADMIN, ROLE_SUPERVISOR] },
+  'reklamation.import': { beschreibung: 'Reklamationen per CSV importieren', roles: [ROLE_ADMIN] },
+  'reklamation.comment_internal': { beschreibung: 'Interne Kommentare zu Reklamationen sehen und schreiben', roles: CENTRAL_ROLES },
+  'reklamation.lfd_nr_admin': { beschreibung: 'lfd_nr-Zähler prüfen und Startwerte setzen', roles: [ROLE_ADMIN] },
+  'reklamation.restore': { beschreibung: 'Papierkorb einsehen und Reklamationen wiederherstellen', roles: [ROLE_ADMIN] },
+
+  // Tasks / PINs
+  'task.create': { beschreibung: 'Tasks an Filialen erstellen', roles: CENTRAL_ROLES },
+  'task.admin_close': { beschreibung: 'Tasks zentral schließen', roles: CENTRAL_ROLES },
+  'task.read_all': { beschreibung: 'Tasks aller Filialen sehen (Übersicht Zentrale)', roles: CENTRAL_ROLES },
+  'task.read_own': { beschreibung: 'Eigene Filial-Tasks sehen', roles: [ROLE_FILIALE] },
+  'task.ack': { beschreibung: 'Tasks bestätigen (ack)', roles: [ROLE_FILIALE] },
+  'task.execute': { beschreibung: 'Tasks mit PIN ausführen', roles: [ROLE_FILIALE] },
+  'task.template_manage': { beschreibung: 'Task-Vorlagen und Wiederholungen pflegen', roles: CENTRAL_ROLES },
+  'filiale_pin.manage': { beschreibung: 'Filial-PINs vergeben und einsehen', roles: CENTRAL_ROLES },
+
+  // Budget
+  'budget.rules': { beschreibung: 'Budget-Rules sehen und pflegen', roles: CENTRAL_ROLES },
+  'budget.umsatz_vorwoche': { beschreibung: 'Umsatz Vorwoche setzen', roles: CENTRAL_ROLES },
+  'budget.booking.bestellung': {
+    beschreibung: 'Budget-Buchungen Typ "bestellung" schreiben',
+    roles: [ROLE_FILIALE, ROLE_MANAGER_1, ROLE_SUPERVISOR, ROLE_ADMIN],
+  },
+  'budget.booking.sonderbestellung': { beschreibung: 'Budget-Buchungen Typ "sonderbestellung" schreiben', roles: ALL_ROLES },
+  'budget.booking.aktionsvorab': { beschreibung: 'Budget-Buchungen Typ "aktionsvorab" schreiben', roles: CENTRAL_ROLES },
+  'budget.booking.abgabe': {
+    beschreibung: 'Budget-Buchungen Typ "abgabe" schreiben',
+    roles: [ROLE_ADMIN, ROLE_SUPERVISOR, ROLE_MANAGER_1],
+  },
+  'budget.booking.korrektur': {
+    beschreibung: 'Budget-Buchungen Typ "korrektur" schreiben',
+    roles: [ROLE_ADMIN, ROLE_SUPERVISOR, ROLE_MANAGER_1],
+  },
+
+  // Bestellungen
+  'bestellung.read_all': { beschreibung: 'Bestellungen aller Filialen sehen', roles: CENTRAL_ROLES },
+
+  // Cashflow / Controlling
+  'cashflow.access': { beschreibung: 'Cashflow-Modul nutzen', roles: [ROLE_ADMIN, ROLE_SUPERVISOR, ROLE_GF] },
+  'controlling.access': { beschreibung: 'Controlling-Modul nutzen', roles: [ROLE_ADMIN, ROLE_SUPERVISOR, ROLE_GF] },
+
+  // Stammdaten / Benutzer / System
+  'stammdaten.manage': { beschreibung: 'Stammdaten (Lieferanten) pflegen', roles: [ROLE_ADMIN, ROLE_SUPERVISOR] },
+  'user.manage': { beschreibung: 'Benutzer verwalten', roles: [ROLE_ADMIN, ROLE_SUPERVISOR] },
+  'user.login_events': { beschreibung: 'Login-Protokoll einsehen', roles: [ROLE_ADMIN] },
+  'permission.manage': { beschreibung: 'Berechtigungsmatrix pflegen', roles: [ROLE_ADMIN] },
+  'debug.viewdef': { beschreibung: 'Debug-Endpoints (View-Definitionen)', roles: [ROLE_ADMIN] },
+  'devdb.execute': { beschreibung: 'DEV-DB-Konsole ausführen', roles: [ROLE_ADMIN] },
+});
+
+// Admin darf sich die Matrix-Pflege nie selbst entziehen (sonst Aussperren)
+const LOCKED_ASSIGNMENTS = Object.freeze({
+  'permission.manage': [ROLE_ADMIN],
+});
+
+const CACHE_MS = Number(process.env.PERMISSION_CACHE_SECONDS || 30) * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+function isKnownPermission(permission) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+}
+
+async function loadMatrix() {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_MS) return cache;
+
+  const matrix = {};
+  for (const [key, def] of Object.entries(PERMISSIONS)) {
+    matrix[key] = { roles: [...def.roles], source: 'default' };
+  }
+
+  const r = await pool.query('SELECT permission, roles FROM permission_roles');
+  for (const row of r.rows) {
+    if (!isKnownPermission(row.permission)) continue;
+    const roles = Array.isArray(row.roles) ? row.roles : [];
+    const locked = LOCKED_ASSIGNMENTS[row.permission] || [];
+    matrix[row.permission] = { roles: [...new Set([...locked, ...roles])], source: 'db' };
+  }
+
+  cache = matrix;
+  cacheLoadedAt = Date.now();
+  return matrix;
+}
+
+function invalidatePermissionCache() {
+  cache = null;
+  cacheLoadedAt = 0;
+}
+
+async function hasPermission(role, permission) {
+  if (!role || !isKnownPermission(permission)) return false;
+  const matrix = await loadMatrix();
+  return matrix[permission].roles.includes(role);
+}
+
+// Komfort für Handler: await userCan(req, 'reklamation.read_all')
+async function userCan(req, permission) {
+  return hasPermission(req.user?.role, permission);
+}
+
+async function getEffectivePermissions(role) {
+  const matrix = await loadMatrix();
+  return Object.keys(matrix)
+    .filter((key) => matrix[key].roles.includes(role))
+    .sort();
+}
+
+async function getPermissionMatrix() {
+  const matrix = await loadMatrix();
+  return Object.keys(PERMISSIONS).map((key) => ({
+    permission: key,
+    beschreibung: PERMISSIONS[key].beschreibung,
+    roles: matrix[key].roles,
+    default_roles: PERMISSIONS[key].roles,
+    source: matrix[key].source,
+  }));
+}
+
+/**
+ * Setzt die Rollen einer Permission (Admin). Ergebnis: { ok: true } oder { ok: false, message }
+ */
+async function setPermissionRoles(permission, roles, actorUserId) {
+  if (!isKnownPermission(permission)) {
+    return { ok: false, status: 404, message: `Unbekannte Permission: ${permission}` };
+  }
+
+  if (!Array.isArray(roles) || roles.some((r) => !ALL_ROLES.includes(r))) {
+    return { ok: false, status: 400, message: `roles ist ungültig. Erlaubt: ${ALL_ROLES.join(', ')}` };
+  }
+
+  const locked = LOCKED_ASSIGNMENTS[permission] || [];
+  const missingLocked = locked.filter((r) => !roles.includes(r));
+  if (missingLocked.length > 0) {
+    return {
+      ok: false,
+      status: 400,
+      message: `${permission} muss immer folgenden Rollen zugeordnet bleiben: ${locked.join(', ')}`,
+    };
+  }
+
+  await pool.query(
+    `
+    INSERT INTO permission_roles (permission, roles, updated_at, updated_by_user_id)
+    VALUES ($1, $2::text[], now(), $3)
+    ON CONFLICT (permission)
+    DO UPDATE SET roles = EXCLUDED.roles, updated_at = now(), updated_by_user_id = EXCLUDED.updated_by_user_id
+    `,
+    [permission, [...new Set(roles)], actorUserId || null]
+  );
+
+  invalidatePermissionCache();
+  return { ok: true };
+}
+
+// Zurück auf Standardrollen aus der Registry
+async function resetPermissionRoles(permission) {
+  if (!isKnownPermission(permission)) {
+    return { ok: false, status: 404, message: `Unbekannte Permission: ${permission}` };
+  }
+
+  await pool.query('DELETE FROM permission_roles WHERE permission = $1', [permission]);
+  invalidatePermissionCache();
+  return { ok: true };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_ROLES,
+  hasPermission,
+  userCan,
+  getEffectivePermissions,
+  getPermissionMatrix,
+  setPermissionRoles,
+  resetPermissionRoles,
+  invalidatePermissionCache,
+};
@@ -0,0 +1,180 @@
+// services/reklamationBestellung.js – Verknüpfung Reklamation <-> Bestellung ("order".order_orders) (user-021)
+// - order_id am Kopf, order_position_id je Position (optional, muss zur Bestellung gehören)
+// - Bestellung muss zur Filiale der Reklamation gehören
+// - leere Artikelnummer/EAN/Bestellmenge werden aus dem Bestell-Snapshot vorbelegt
+// - Auswertung für die Bestellseite: GET /api/bestellungen/:id/reklamationen
+
+function normText(v) {
+  return (v ?? '').toString().trim();
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || normText(value) === '';
+}
+
+// '' / null -> null, Ganzzahl > 0 -> Zahl, sonst NaN
+function parseOrderRef(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+async function loadOrderWithPositions(db, orderId) {
+  const orderRes = await db.query(
+    `
+    SELECT
+      o.id,
+      o.filiale,
+      o.ordered_by_name,
+      o.bestelldatum,
+      o.status,
+      o.gesamtsumme_netto,
+      s.id AS supplier_id,
+      s.name AS supplier_name,
+      s.code AS supplier_code
+    FROM "order".order_orders o
+    INNER JOIN "order".order_suppliers s
+      ON s.id = o.supplier_id
+    WHERE o.id = $1
+    LIMIT 1
+    `,
+    [orderId]
+  );
+
+  if (orderRes.rows.length === 0) return null;
+
+  const positionsRes = await db.query(
+    `
+    SELECT
+      id,
+      article_id,
+      supplier_article_no_snapshot,
+      ean_snapshot,
+      name_snapshot,
+      ve_stueck_snapshot,
+      ek_pro_karton_snapshot,
+      menge_kartons,
+      positionssumme_netto,
+      sort_index_snapshot
+    FROM "order".order_order_positions
+    WHERE order_id = $1
+    ORDER BY sort_index_snapshot ASC, name_snapshot ASC
+    `,
+    [orderId]
+  );
+
+  return { order: orderRes.rows[0], positions: positionsRes.rows };
+}
+
+/**
+ * Prüft order_id / order_position_id und belegt leere Positionsfelder aus dem Bestell-Snapshot vor.
+ * Ergebnis: { ok: true, orderId, positionen } oder { ok: false, status, code, message }
+ */
+async function resolveOrderLink(db, { orderId: rawOrderId, filiale, positionen }) {
+  const list = Array.isArray(positionen) ? positionen : [];
+  const orderId = parseOrderRef(rawOrderId);
+
+  if (Number.isNaN(orderId)) {
+    return { ok: false, status: 400, code: 'ORDER_INVALID', message: 'order_id ist ungültig' };
+  }
+
+  const posRefs = list.map((pos) => parseOrderRef(pos?.order_position_id));
+  if (posRefs.some((ref) => Number.isNaN(ref))) {
+    return { ok: false, status: 400, code: 'ORDER_INVALID', message: 'order_position_id ist ungültig' };
+  }
+
+  if (orderId === null) {
+    if (posRefs.some((ref) => ref !== null)) {
+      return {
+        ok: false,
+        status: 400,
+        code: 'ORDER_REQUIRED',
+        message: 'order_position_id nur zusammen mit einer order_id (Bestellung) möglich',
+      };
+    }
+    return { ok: true, orderId: null, positionen: list };
+  }
+
+  const loaded = await loadOrderWithPositions(db, orderId);
+  if (!loaded) {
+    return { ok: false, status: 400, code: 'ORDER_NOT_FOUND', message: `Bestellung ${orderId} nicht gefunden` };
+  }
+
+  if (normText(loaded.order.filiale) !== normText(filiale)) {
+    return {
+      ok: false,
+      status: 400,
+      code: 'ORDER_FILIALE_MISMATCH',
+      message: `Bestellung ${orderId} gehört zur Filiale ${loaded.order.filiale || '-'}, nicht zu ${filiale || '-'}`,
+    };
+  }
+
+  const byId = new Map(loaded.positions.map((p) => [Number(p.id), p]));
+  const result = [];
+
+  for (let i = 0; i < list.length; i++) {
+    const pos = { ...(list[i] || {}) };
+    const ref = posRefs[i];
+
+    if (ref !== null) {
+      const orderPos = byId.get(ref);
+      if (!orderPos) {
+        return {
+          ok: false,
+          status: 400,
+          code: 'ORDER_POSITION_MISMATCH',
+          message: `Position ${i + 1}: Bestellposition ${ref} gehört nicht zu Bestellung ${orderId}`,
+        };
+      }
+
+      if (isEmpty(pos.artikelnummer)) pos.artikelnummer = orderPos.supplier_article_no_snapshot || null;
+      if (isEmpty(pos.ean)) pos.ean = orderPos.ean_snapshot || null;
+      if (isEmpty(pos.bestell_menge) && orderPos.menge_kartons !== null) pos.bestell_menge = orderPos.menge_kartons;
+    }
+
+    pos.order_position_id = ref;
+    result.push(pos);
+  }
+
+  return { ok: true, orderId, positionen: result };
+}
+
+/**
+ * Alle (nicht gelöschten) Reklamationen zu einer Bestellung inkl. verknüpfter Positionen.
+ */
+async function listReklamationenForOrder(db, orderId) {
+  const r = await db.query(
+    `
+    SELECT
+      r.id, r.rekla_nr, r.datum, r.filiale, r.lieferant, r.art, r.status, r.ls_nummer_grund,
+      r.gutschrift_status, r.letzte_aenderung,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'lfd_nr', p.lfd_nr,
+            'order_position_id', p.order_position_id,
+            'artikelnummer', p.artikelnummer,
+            'ean', p.ean,
+            'rekla_menge', p.rekla_menge,
+            'rekla_einheit', p.rekla_einheit
+          ) ORDER BY p.lfd_nr NULLS LAST, p.pos_id
+        ) FILTER (WHERE p.pos_id IS NOT NULL),
+        '[]'::json
+      ) AS positionen
+    FROM reklamationen r
+    LEFT JOIN reklamation_positionen p ON p.reklamation_id = r.id
+    WHERE r.order_id = $1
+      AND r.deleted_at IS NULL
+    GROUP BY r.id
+    ORDER BY r.datum DESC, r.id DESC
+    `,
+    [orderId]
+  );
+  return r.rows;
+}
+
+module.exports = {
+  loadOrderWithPositions,
+  resolveOrderLink,
+  listReklamationenForOrder,
+};
@@ -0,0 +1,118 @@
+// services/reklamationComments.js – Kommentar-Verlauf je Reklamation (user-019)
+// - intern = nur für Rollen mit reklamation.comment_internal sichtbar (zentrale Rollen)
+// - Bearbeiten/Löschen durch den Autor nur innerhalb REKLAMATION_COMMENT_EDIT_MINUTES (Standard 15)
+// - "ungelesen" = sichtbare fremde Kommentare nach dem eigenen Lesestand (reklamation_comment_reads)
+
+const COMMENT_MAX_LENGTH = 4000;
+
+const COMMENT_COLUMNS = `
+  id, reklamation_id, text, intern, author_user_id, author_name, author_role, created_at, updated_at
+`;
+
+function normText(v) {
+  return (v ?? '').toString().trim();
+}
+
+function getEditWindowMinutes() {
+  const minutes = Number(process.env.REKLAMATION_COMMENT_EDIT_MINUTES || 15);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : 15;
+}
+
+/**
+ * Ergebnis: { ok: true, text } oder { ok: false, message }
+ */
+function normalizeCommentText(value) {
+  const text = normText(value);
+  if (!text) return { ok: false, message: 'Kommentar darf nicht leer sein' };
+  if (text.length > COMMENT_MAX_LENGTH) {
+    return { ok: false, message: `Kommentar ist zu lang (max. ${COMMENT_MAX_LENGTH} Zeichen)` };
+  }
+  return { ok: true, text };
+}
+
+function isWithinEditWindow(comment, now = new Date()) {
+  const created = new Date(comment.created_at).getTime();
+  return now.getTime() - created <= getEditWindowMinutes() * 60 * 1000;
+}
+
+// SQL-Bausteine für die Liste: reklaRef = Spalte mit der Reklamations-ID, userRef/internalRef = Parameter
+function commentCountSql(reklaRef, internalRef) {
+  return `(
+    SELECT COUNT(*)::int FROM reklamation_comments c
+    WHERE c.reklamation_id = ${reklaRef} AND (c.intern = false OR ${internalRef}::boolean)
+  )`;
+}
+
+function unreadCountSql(reklaRef, userRef, internalRef) {
+  return `(
+    SELECT COUNT(*)::int FROM reklamation_comments c
+    WHERE c.reklamation_id = ${reklaRef}
+      AND (c.intern = false OR ${internalRef}::boolean)
+      AND c.author_user_id IS DISTINCT FROM ${userRef}::int
+      AND c.created_at > COALESCE(
+        (SELECT cr.last_read_at FROM reklamation_comment_reads cr
+         WHERE cr.reklamation_id = ${reklaRef} AND cr.user_id = ${userRef}::int),
+        '-infinity'::timestamptz
+      )
+  )`;
+}
+
+async function listComments(db, reklamationId, { internal }) {
+  const r = await db.query(
+    `
+    SELECT ${COMMENT_COLUMNS}
+    FROM reklamation_comments
+    WHERE reklamation_id = $1
+      AND (intern = false OR $2::boolean)
+    ORDER BY created_at ASC, id ASC
+    `,
+    [reklamationId, !!internal]
+  );
+  return r.rows;
+}
+
+async function getComment(db, reklamationId, commentId) {
+  if (!/^\d+$/.test(String(commentId || ''))) return null;
+  const r = await db.query(
+    `SELECT ${COMMENT_COLUMNS} FROM reklamation_comments WHERE id = $1 AND reklamation_id = $2`,
+    [commentId, reklamationId]
+  );
+  return r.rows[0] || null;
+}
+
+async function createComment(db, { reklamationId, text, intern, user }) {
+  const r = await db.query(
+    `
+    INSERT INTO reklamation_comments (reklamation_id, text, intern, author_user_id, author_name, author_role)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${COMMENT_COLUMNS}
+    `,
+    [reklamationId, text, !!intern, user?.id ?? null, user?.name ?? null, user?.role ?? null]
+  );
+  return r.rows[0];
+}
+
+async function markCommentsRead(db, reklamationId, userId) {
+  if (!userId) return;
+  await db.query(
+    `
+    INSERT INTO reklamation_comment_reads (user_id, reklamation_id, last_read_at)
+    VALUES ($1, $2, now())
+    ON CONFLICT (user_id, reklamation_id) DO UPDATE SET last_read_at = EXCLUDED.last_read_at
+    `,
+    [userId, reklamationId]
+  );
+}
+
+module.exports = {
+  COMMENT_COLUMNS,
+  getEditWindowMinutes,
+  normalizeCommentText,
+  isWithinEditWindow,
+  commentCountSql,
+  unreadCountSql,
+  listComments,
+  getComment,
+  createComment,
+  markCommentsRead,
+};
@@ -0,0 +1,155 @@
+// services/reklamationExport.js – Export der Reklamationen als CSV/XLSX (user-016)
+// - eine Zeile je Position (Reklamationen ohne Positionen erscheinen einmal mit leeren Positionsfeldern)
+// - Filter/Filial-Scope kommen fertig aus buildListFilter (routes/reklamationen.js)
+// - CSV für deutsches Excel: Semikolon, UTF-8 mit BOM, Dezimalkomma, Datum TT.MM.JJJJ
+// - XLSX über exceljs mit echten Datums-/Zahlzellen
+
+const ExcelJS = require('exceljs');
+
+const EXPORT_MAX_ROWS = 50000;
+
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', type: 'number', width: 8 },
+  { key: 'rekla_nr', header: 'Reklamationsnr.', type: 'text', width: 18 },
+  { key: 'datum', header: 'Datum', type: 'date', width: 12 },
+  { key: 'filiale', header: 'Filiale', type: 'text', width: 14 },
+  { key: 'lieferant', header: 'Lieferant', type: 'text', width: 20 },
+  { key: 'art', header: 'Art', type: 'text', width: 22 },
+  { key: 'status', header: 'Status', type: 'text', width: 12 },
+  { key: 'ls_nummer_grund', header: 'LS-Nummer/Grund', type: 'text', width: 22 },
+  { key: 'versand', header: 'Versand', type: 'bool', width: 9 },
+  { key: 'tracking_id', header: 'Tracking-ID', type: 'text', width: 20 },
+  { key: 'order_id', header: 'Bestellung', type: 'number', width: 11 },
+  { key: 'lfd_nr', header: 'Lfd-Nr.', type: 'number', width: 9 },
+  { key: 'artikelnummer', header: 'Artikelnummer', type: 'text', width: 16 },
+  { key: 'ean', header: 'EAN', type: 'text', width: 16 },
+  { key: 'bestell_menge', header: 'Bestellmenge', type: 'number', width: 12 },
+  { key: 'bestell_einheit', header: 'Bestelleinheit', type: 'text', width: 12 },
+  { key: 'rekla_menge', header: 'Reklamationsmenge', type: 'number', width: 12 },
+  { key: 'rekla_einheit', header: 'Reklamationseinheit', type: 'text', width: 12 },
+  { key: 'notiz', header: 'Notiz', type: 'text', width: 40 },
+  { key: 'letzte_aenderung', header: 'Letzte Änderung', type: 'date', width: 14 },
+];
+
+function normText(v) {
+  return (v ?? '').toString().trim();
+}
+
+// Zahl oder Zahl als Text ("2,5") -> Number, sonst null
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const n = Number(normText(value).replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+// pg liefert date als lokale Mitternacht -> für Excel als UTC-Datum ohne Zeitanteil
+function toDateOrNull(value) {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+}
+
+/**
+ * Exportzeilen (eine je Position). Ergebnis: { rows, truncated }
+ */
+async function loadExportRows(db, { whereParts, params }) {
+  const whereSql = whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : '';
+  const limitParam = params.length + 1;
+
+  const r = await db.query(
+    `
+    SELECT
+      r.id, r.rekla_nr, r.datum, r.filiale, r.lieferant, r.art, r.status, r.ls_nummer_grund,
+      r.versand, r.tracking_id, r.order_id, r.notiz, r.letzte_aenderung,
+      p.lfd_nr, p.artikelnummer, p.ean, p.bestell_menge, p.bestell_einheit, p.rekla_menge, p.rekla_einheit
+    FROM reklamationen r
+    LEFT JOIN reklamation_positionen p ON p.reklamation_id = r.id
+    ${whereSql}
+    ORDER BY r.datum DESC, r.id DESC, p.lfd_nr NULLS LAST
+    LIMIT $${limitParam}
+    `,
+    [...params, EXPORT_MAX_ROWS + 1]
+  );
+
+  const truncated = r.rows.length > EXPORT_MAX_ROWS;
+  return { rows: truncated ? r.rows.slice(0, EXPORT_MAX_ROWS) : r.rows, truncated };
+}
+
+// Freitext, der mit = + - @ Tab oder CR beginnt, würde Excel als Formel ausführen -> mit ' als Text markieren
+function guardCsvFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function formatCsvValue(col, value) {
+  if (value === null || value === undefined) return '';
+
+  switch (col.type) {
+    case 'date': {
+      const d = toDateOrNull(value);
+      return d ? d.toLocaleDateString('de-DE', { timeZone: 'UTC', day: '2-digit', month: '2-digit', year: 'numeric' }) : '';
+    }
+    case 'number': {
+      const n = toNumberOrNull(value);
+      return n === null ? guardCsvFormula(normText(value)) : n.toLocaleString('de-DE', { useGrouping: false, maximumFractionDigits: 3 });
+    }
+    case 'bool':
+      return value ? 'Ja' : 'Nein';
+    default:
+      return guardCsvFormula(normText(value));
+  }
+}
+
+function escapeCsv(value) {
+  const text = String(value).replace(/\r?\n/g, ' ');
+  return /[";]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(rows) {
+  const lines = [EXPORT_COLUMNS.map((c) => escapeCsv(c.header)).join(';')];
+
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map((c) => escapeCsv(formatCsvValue(c, row[c.key]))).join(';'));
+  }
+
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+async function buildXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Neufeld Reklamationen';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Reklamationen', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map((c) => ({ header: c.header, key: c.key, width: c.width }));
+
+  for (const row of rows) {
+    const values = {};
+    for (const c of EXPORT_COLUMNS) {
+      const value = row[c.key];
+      if (c.type === 'date') values[c.key] = toDateOrNull(value);
+      else if (c.type === 'number') values[c.key] = toNumberOrNull(value) ?? (normText(value) || null);
+      else if (c.type === 'bool') values[c.key] = value ? 'Ja' : 'Nein';
+      else values[c.key] = normText(value) || null;
+    }
+    sheet.addRow(values);
+  }
+
+  EXPORT_COLUMNS.forEach((c, i) => {
+    const column = sheet.getColumn(i + 1);
+    if (c.type === 'date') column.numFmt = 'dd.mm.yyyy';
+  });
+
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: EXPORT_COLUMNS.length } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  EXPORT_MAX_ROWS,
+  loadExportRows,
+  buildCsv,
+  buildXlsx,
+};
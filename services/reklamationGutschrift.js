@@ -0,0 +1,265 @@
+// services/reklamationGutschrift.js – Gutschriften zu Reklamationen (user-014)
+// - Felder je Reklamation und je Position: erwarteter_wert, gutschrift_betrag, gutschrift_nr, gutschrift_datum
+// - Kopfbeträge ohne eigene Angabe = Summe der Positionen (sofern dort gepflegt)
+// - gutschrift_status wird aus erwartet/gutgeschrieben abgeleitet, außer er wird explizit gesetzt
+// - Auswertung offener Gutschriften je Lieferant + Filiale mit Altersklassen (30/60/90 Tage)
+
+const GUTSCHRIFT_STATUS = ['offen', 'teilweise', 'erhalten'];
+const MONEY_FIELDS = ['erwarteter_wert', 'gutschrift_betrag'];
+const TEXT_FIELDS = ['gutschrift_nr'];
+const DATE_FIELDS = ['gutschrift_datum'];
+
+// Alter ab Versand an den Lieferanten, sonst ab Reklamationsdatum
+const AGEING_BUCKETS = [
+  { key: '0-30', sql: 'alter_tage <= 30' },
+  { key: '31-60', sql: 'alter_tage BETWEEN 31 AND 60' },
+  { key: '61-90', sql: 'alter_tage BETWEEN 61 AND 90' },
+  { key: '>90', sql: 'alter_tage > 90' },
+];
+
+function normText(v) {
+  return (v ?? '').toString().trim();
+}
+
+// "12,50" / "1.234,50" / 12.5 -> 12.5 ; leer -> null ; ungültig -> NaN
+function parseMoney(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value * 100) / 100 : NaN;
+
+  let raw = normText(value);
+  if (!raw) return null;
+  if (raw.includes(',')) raw = raw.replace(/\./g, '').replace(',', '.');
+
+  const n = Number(raw);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : NaN;
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Prüft die übergebenen Gutschrift-Felder (nur vorhandene Keys).
+ * Ergebnis: { ok: true, values } oder { ok: false, message }
+ */
+function normalizeGutschriftFields(src, label) {
+  const values = {};
+  const prefix = label ? `${label}: ` : '';
+
+  for (const feld of MONEY_FIELDS) {
+    if (src?.[feld] === undefined) continue;
+    const n = parseMoney(src[feld]);
+    if (Number.isNaN(n) || (n !== null && n < 0)) {
+      return { ok: false, message: `${prefix}${feld} muss ein Betrag >= 0 sein` };
+    }
+    values[feld] = n;
+  }
+
+  for (const feld of TEXT_FIELDS) {
+    if (src?.[feld] === undefined) continue;
+    values[feld] = normText(src[feld]) || null;
+  }
+
+  for (const feld of DATE_FIELDS) {
+    if (src?.[feld] === undefined) continue;
+    const raw = normText(src[feld]);
+    if (raw && !/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+      return { ok: false, message: `${prefix}${feld} ist ungültig (YYYY-MM-DD)` };
+    }
+    values[feld] = raw || null;
+  }
+
+  return { ok: true, values };
+}
+
+function deriveGutschriftStatus(erwartet, gutgeschrieben) {
+  const e = toNumberOrNull(erwartet);
+  const g = toNumberOrNull(gutgeschrieben);
+
+  if (e === null && g === null) return null;
+  if (g === null || g === 0) return 'offen';
+  if (e === null || g >= e) return 'erhalten';
+  return 'teilweise';
+}
+
+function buildSet(values, startIndex) {
+  const sets = [];
+  const params = [];
+  for (const [feld, value] of Object.entries(values)) {
+    params.push(value);
+    sets.push(`${feld} = $${startIndex + params.length - 1}`);
+  }
+  return { sets, params };
+}
+
+/**
+ * Schreibt Gutschrift-Daten (Kopf + Positionen) innerhalb der Transaktion des Aufrufers.
+ * body: Kopf-Felder, optional gutschrift_status, optional positionen: [{ lfd_nr, ...Felder }]
+ * Ergebnis: { ok: true } oder { ok: false, status, message }
+ */
+async function applyGutschriftUpdate(db, reklamationId, body) {
+  const header = normalizeGutschriftFields(body);
+  if (!header.ok) return { ok: false, status: 400, message: header.message };
+
+  const explicitStatus = body?.gutschrift_status !== undefined ? normText(body.gutschrift_status) || null : undefined;
+  if (explicitStatus && !GUTSCHRIFT_STATUS.includes(explicitStatus)) {
+    return { ok: false, status: 400, message: `gutschrift_status ungültig. Erlaubt: ${GUTSCHRIFT_STATUS.join(', ')}` };
+  }
+
+  const positionen = body?.positionen;
+  if (positionen !== undefined && !Array.isArray(positionen)) {
+    return { ok: false, status: 400, message: 'positionen muss ein Array sein' };
+  }
+
+  for (const pos of positionen || []) {
+    const lfdNr = Number(pos?.lfd_nr);
+    if (!Number.isInteger(lfdNr)) {
+      return { ok: false, status: 400, message: 'Jede Position braucht eine lfd_nr' };
+    }
+
+    const p = normalizeGutschriftFields(pos, `Position ${lfdNr}`);
+    if (!p.ok) return { ok: false, status: 400, message: p.message };
+    if (Object.keys(p.values).length === 0) continue;
+
+    const { sets, params } = buildSet(p.values, 3);
+    const r = await db.query(
+      `UPDATE reklamation_positionen SET ${sets.join(', ')} WHERE reklamation_id = $1 AND lfd_nr = $2`,
+      [reklamationId, lfdNr, ...params]
+    );
+    if (r.rowCount === 0) {
+      return { ok: false, status: 400, message: `Position mit lfd_nr ${lfdNr} gehört nicht zu dieser Reklamation` };
+    }
+  }
+
+  // Kopfbeträge: explizit > Summe der Positionen > bisheriger Wert
+  const sums = await db.query(
+    `
+    SELECT
+      SUM(erwarteter_wert) AS erwarteter_wert,
+      SUM(gutschrift_betrag) AS gutschrift_betrag
+    FROM reklamation_positionen
+    WHERE reklamation_id = $1
+    `,
+    [reklamationId]
+  );
+  const current = await db.query(
+    'SELECT erwarteter_wert, gutschrift_betrag FROM reklamationen WHERE id = $1',
+    [reklamationId]
+  );
+
+  const values = { ...header.values };
+  for (const feld of MONEY_FIELDS) {
+    if (values[feld] !== undefined) continue;
+    if (sums.rows[0][feld] !== null) values[feld] = toNumberOrNull(sums.rows[0][feld]);
+  }
+
+  const erwartet = values.erwarteter_wert !== undefined ? values.erwarteter_wert : current.rows[0]?.erwarteter_wert;
+  const betrag = values.gutschrift_betrag !== undefined ? values.gutschrift_betrag : current.rows[0]?.gutschrift_betrag;
+  values.gutschrift_status = explicitStatus !== undefined ? explicitStatus : deriveGutschriftStatus(erwartet, betrag);
+
+  const { sets, params } = buildSet(values, 2);
+  await db.query(
+    `UPDATE reklamationen SET ${sets.join(', ')}, letzte_aenderung = CURRENT_DATE WHERE id = $1`,
+    [reklamationId, ...params]
+  );
+
+  return { ok: true };
+}
+
+/**
+ * Offene Gutschriften (offen/teilweise) je Lieferant + Filiale mit Altersklassen.
+ * filter: { filialen (null = alle), lieferant, filiale, stichtag (YYYY-MM-DD) }
+ */
+async function getOpenGutschriften(db, { filialen, lieferant, filiale, stichtag }) {
+  const params = [stichtag];
+  const whereParts = [`r.gutschrift_status IN ('offen', 'teilweise')`, 'r.deleted_at IS NULL'];
+
+  if (filialen) {
+    params.push(filialen);
+    whereParts.push(`r.filiale = ANY($${params.length}::text[])`);
+  }
+  if (lieferant && lieferant.length > 0) {
+    params.push(lieferant);
+    whereParts.push(`r.lieferant = ANY($${params.length}::text[])`);
+  }
+  if (filiale && filiale.length > 0) {
+    params.push(filiale);
+    whereParts.push(`r.filiale = ANY($${params.length}::text[])`);
+  }
+
+  const bucketColumns = AGEING_BUCKETS.map(
+    (b, i) => `
+      COUNT(*) FILTER (WHERE ${b.sql})::int AS anzahl_${i},
+      COALESCE(SUM(offen_betrag) FILTER (WHERE ${b.sql}), 0) AS betrag_${i}`
+  ).join(',');
+
+  const r = await db.query(
+    `
+    WITH offen AS (
+      SELECT
+        r.lieferant,
+        r.filiale,
+        GREATEST(COALESCE(r.erwarteter_wert, 0) - COALESCE(r.gutschrift_betrag, 0), 0) AS offen_betrag,
+        ($1::date - COALESCE(r.gesendet_am::date, r.datum::date, $1::date)) AS alter_tage
+      FROM reklamationen r
+      WHERE ${whereParts.join(' AND ')}
+    )
+    SELECT
+      lieferant,
+      filiale,
+      COUNT(*)::int AS anzahl,
+      COALESCE(SUM(offen_betrag), 0) AS offen_betrag,
+      MAX(alter_tage)::int AS aeltester_tage,
+      ${bucketColumns}
+    FROM offen
+    GROUP BY lieferant, filiale
+    ORDER BY lieferant ASC NULLS LAST, filiale ASC NULLS LAST
+    `,
+    params
+  );
+
+  const summe = { anzahl: 0, offen_betrag: 0, buckets: {} };
+  AGEING_BUCKETS.forEach((b) => {
+    summe.buckets[b.key] = { anzahl: 0, betrag: 0 };
+  });
+
+  const gruppen = r.rows.map((row) => {
+    const buckets = {};
+    AGEING_BUCKETS.forEach((b, i) => {
+      const anzahl = row[`anzahl_${i}`];
+      const betrag = Number(row[`betrag_${i}`]);
+      buckets[b.key] = { anzahl, betrag };
+      summe.buckets[b.key].anzahl += anzahl;
+      summe.buckets[b.key].betrag += betrag;
+    });
+
+    summe.anzahl += row.anzahl;
+    summe.offen_betrag += Number(row.offen_betrag);
+
+    return {
+      lieferant: row.lieferant,
+      filiale: row.filiale,
+      anzahl: row.anzahl,
+      offen_betrag: Number(row.offen_betrag),
+      aeltester_tage: row.aeltester_tage,
+      buckets,
+    };
+  });
+
+  // Rundungsrest aus der Summierung in JS entfernen
+  summe.offen_betrag = Math.round(summe.offen_betrag * 100) / 100;
+  Object.values(summe.buckets).forEach((b) => {
+    b.betrag = Math.round(b.betrag * 100) / 100;
+  });
+
+  return { stichtag, gruppen, summe };
+}
+
+module.exports = {
+  GUTSCHRIFT_STATUS,
+  deriveGutschriftStatus,
+  applyGutschriftUpdate,
+  getOpenGutschriften,
+};
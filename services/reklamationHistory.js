@@ -0,0 +1,160 @@
+// services/reklamationHistory.js – Änderungshistorie je Reklamation (Kopf + Positionen)
+// - Vorher/Nachher-Snapshot innerhalb derselben Transaktion, Diff feldweise in reklamation_history
+// - Positionen werden über lfd_nr zugeordnet (PUT löscht + legt neu an, lfd_nr bleibt stabil)
+// - Kein FK auf reklamationen: Historie bleibt nach dem Löschen erhalten
+// - Papierkorb: delete/restore sind Diffs auf deleted_at/deleted_reason, purge = endgültig gelöscht
+
+const HEADER_FIELDS = [
+  'datum',
+  'art',
+  'rekla_nr',
+  'lieferant',
+  'filiale',
+  'status',
+  'status_grund',
+  'ls_nummer_grund',
+  'versand',
+  'tracking_id',
+  'notiz',
+  'gesendet_am',
+  'gesendet_an',
+  'erwarteter_wert',
+  'gutschrift_betrag',
+  'gutschrift_nr',
+  'gutschrift_datum',
+  'gutschrift_status',
+  'deleted_at',
+  'deleted_reason',
+  'order_id',
+];
+
+const POSITION_FIELDS = [
+  'artikelnummer',
+  'ean',
+  'bestell_menge',
+  'bestell_einheit',
+  'rekla_menge',
+  'rekla_einheit',
+  'erwarteter_wert',
+  'gutschrift_betrag',
+  'gutschrift_nr',
+  'gutschrift_datum',
+  'order_position_id',
+];
+
+// date-Spalten liefert pg als lokale Mitternacht -> als YYYY-MM-DD in lokaler Zeit (toISOString wäre der Vortag in UTC)
+const DATE_FIELDS = new Set(['datum', 'gutschrift_datum', 'letzte_aenderung']);
+
+function formatLocalDate(d) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function toHistoryValue(value, feld) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return DATE_FIELDS.has(feld) ? formatLocalDate(value) : value.toISOString();
+  const t = String(value);
+  return t.length > 0 ? t : null;
+}
+
+/**
+ * Aktueller Stand (Kopf + Positionen) – null, wenn die Reklamation nicht existiert.
+ */
+async function snapshotReklamation(db, reklamationId) {
+  const h = await db.query('SELECT * FROM reklamationen WHERE id = $1', [reklamationId]);
+  if (h.rows.length === 0) return null;
+
+  const p = await db.query(
+    'SELECT * FROM reklamation_positionen WHERE reklamation_id = $1 ORDER BY lfd_nr NULLS LAST, pos_id',
+    [reklamationId]
+  );
+
+  return { header: h.rows[0], positionen: p.rows };
+}
+
+function positionKey(pos, index) {
+  return pos.lfd_nr !== null && pos.lfd_nr !== undefined ? `lfd:${pos.lfd_nr}` : `idx:${index}`;
+}
+
+function diffSnapshots(before, after) {
+  const changes = [];
+
+  for (const feld of HEADER_FIELDS) {
+    const alt = toHistoryValue(before?.header?.[feld], feld);
+    const neu = toHistoryValue(after?.header?.[feld], feld);
+    if (alt !== neu) changes.push({ bereich: 'kopf', lfd_nr: null, feld, alt, neu });
+  }
+
+  const beforePos = new Map((before?.positionen || []).map((p, i) => [positionKey(p, i), p]));
+  const afterPos = new Map((after?.positionen || []).map((p, i) => [positionKey(p, i), p]));
+
+  for (const [key, alt] of beforePos) {
+    const neu = afterPos.get(key);
+    if (!neu) {
+      changes.push({ bereich: 'position', lfd_nr: alt.lfd_nr ?? null, feld: null, alt: 'vorhanden', neu: 'entfernt' });
+      continue;
+    }
+    for (const feld of POSITION_FIELDS) {
+      const a = toHistoryValue(alt[feld], feld);
+      const n = toHistoryValue(neu[feld], feld);
+      if (a !== n) changes.push({ bereich: 'position', lfd_nr: neu.lfd_nr ?? null, feld, alt: a, neu: n });
+    }
+  }
+
+  for (const [key, neu] of afterPos) {
+    if (beforePos.has(key)) continue;
+    changes.push({ bereich: 'position', lfd_nr: neu.lfd_nr ?? null, feld: null, alt: null, neu: 'hinzugefügt' });
+    for (const feld of POSITION_FIELDS) {
+      const n = toHistoryValue(neu[feld], feld);
+      if (n !== null) changes.push({ bereich: 'position', lfd_nr: neu.lfd_nr ?? null, feld, alt: null, neu: n });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Schreibt die Unterschiede zwischen zwei Snapshots.
+ * aktion: 'create' | 'update' | 'patch' | 'delete' | 'send' | 'gutschrift' | 'import' | 'restore' | 'purge'
+ */
+async function recordReklamationChanges(db, { reklamationId, aktion, before, after, user }) {
+  const changes = diffSnapshots(before, after);
+
+  // Anlegen/Löschen immer protokollieren, auch ohne Felddiff
+  if (changes.length === 0 && ['create', 'delete', 'purge'].includes(aktion)) {
+    changes.push({ bereich: 'kopf', lfd_nr: null, feld: null, alt: null, neu: null });
+  }
+
+  for (const c of changes) {
+    await db.query(
+      `
+      INSERT INTO reklamation_history (
+        reklamation_id, aktion, bereich, lfd_nr, feld, alt_wert, neu_wert, user_id, user_name
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `,
+      [reklamationId, aktion, c.bereich, c.lfd_nr, c.feld, c.alt, c.neu, user?.id ?? null, user?.name ?? null]
+    );
+  }
+
+  return changes.length;
+}
+
+async function getReklamationHistory(db, reklamationId) {
+  const r = await db.query(
+    `
+    SELECT id, reklamation_id, aktion, bereich, lfd_nr, feld, alt_wert, neu_wert, user_id, user_name, created_at
+    FROM reklamation_history
+    WHERE reklamation_id = $1
+    ORDER BY created_at DESC, id DESC
+    `,
+    [reklamationId]
+  );
+  return r.rows;
+}
+
+module.exports = {
+  snapshotReklamation,
+  recordReklamationChanges,
+  getReklamationHistory,
+};
@@ -0,0 +1,409 @@
+// services/reklamationImport.js – CSV-Import von Reklamationen (user-017), ersetzt die Handarbeit aus db/seeds
+//
+// Spaltenlayout (Kopfzeile Pflicht, Reihenfolge egal, Trenner ";" oder ",", UTF-8 oder Windows-1252):
+//   datum*            YYYY-MM-DD oder TT.MM.JJJJ
+//   filiale*          Name wie in filialen
+//   lieferant*        Bezeichnung wie in lieferanten
+//   art               Bezeichnung wie in art_der_reklamation
+//   rekla_nr          Reklamationsnummer (eindeutig); Zeilen mit gleicher rekla_nr = eine Reklamation
+//   status            Standard "Angelegt", sonst Wert aus status
+//   ls_nummer_grund, tracking_id, notiz
+//   versand           ja/nein, true/false, 1/0, x
+//   artikelnummer, ean, bestell_menge, bestell_einheit, rekla_menge, rekla_einheit   (je Zeile eine Position)
+// Zeilen ohne rekla_nr sind je eine eigene Reklamation. Mengen mit Dezimalkomma erlaubt.
+//
+// Prüfung je Reklamation wie POST /api/reklamationen: Lieferantenregeln, rekla_nr + tracking_id eindeutig
+// (DB und innerhalb der Datei). Jede Reklamation läuft in einem eigenen SAVEPOINT; Transaktion + Commit/Rollback
+// (Dry-Run oder Fehler) liegen beim Aufrufer.
+
+const { loadSupplierRule, applySupplierRule } = require('./supplierRules');
+const { allocateLfdNrBlock } = require('./lfdNrCounter');
+const { snapshotReklamation, recordReklamationChanges } = require('./reklamationHistory');
+
+const IMPORT_MAX_ROWS = 5000;
+
+const HEADER_FIELDS = [
+  'datum',
+  'filiale',
+  'lieferant',
+  'art',
+  'rekla_nr',
+  'status',
+  'ls_nummer_grund',
+  'tracking_id',
+  'notiz',
+  'versand',
+];
+const POSITION_FIELDS = ['artikelnummer', 'ean', 'bestell_menge', 'bestell_einheit', 'rekla_menge', 'rekla_einheit'];
+const REQUIRED_COLUMNS = ['datum', 'filiale', 'lieferant'];
+const KNOWN_COLUMNS = new Set([...HEADER_FIELDS, ...POSITION_FIELDS]);
+
+function normText(v) {
+  return (v ?? '').toString().trim();
+}
+
+// UTF-8 bevorzugt, Excel-Exporte kommen oft als Windows-1252
+function decodeCsvBuffer(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return buffer.toString('latin1');
+  }
+}
+
+/**
+ * Minimaler CSV-Parser (RFC 4180: Anführungszeichen, "" als Escape, Zeilenumbrüche in Feldern).
+ * Trenner wird aus der Kopfzeile erkannt (";" oder ",").
+ */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      inQuotes = true;
+    } else if (c === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((r) => r.some((v) => normText(v) !== ''));
+}
+
+function parseDateInput(value) {
+  const raw = normText(value);
+  let m = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = raw.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return null;
+}
+
+// '' -> null, "2,5" -> "2.5", ungültig -> NaN (negative Mengen sind Altbestand, daher erlaubt)
+function parseQuantity(value) {
+  const raw = normText(value);
+  if (!raw) return null;
+  const n = Number(raw.replace(',', '.'));
+  return Number.isFinite(n) ? String(n) : NaN;
+}
+
+function parseBoolInput(value) {
+  const raw = normText(value).toLowerCase();
+  if (['ja', 'j', 'true', '1', 'x', 'yes'].includes(raw)) return true;
+  if (['nein', 'n', 'false', '0', 'no', ''].includes(raw)) return false;
+  return null;
+}
+
+async function loadLookups(db) {
+  const [filialen, lieferanten, arten, status] = await Promise.all([
+    db.query('SELECT name FROM filialen'),
+    db.query('SELECT bezeichnung FROM lieferanten'),
+    db.query('SELECT bezeichnung FROM art_der_reklamation'),
+    db.query('SELECT bezeichnung FROM status'),
+  ]);
+
+  const byLower = (rows, col) => new Map(rows.map((r) => [normText(r[col]).toLowerCase(), r[col]]));
+
+  return {
+    filialen: byLower(filialen.rows, 'name'),
+    lieferanten: byLower(lieferanten.rows, 'bezeichnung'),
+    arten: byLower(arten.rows, 'bezeichnung'),
+    status: byLower(status.rows, 'bezeichnung'),
+  };
+}
+
+/**
+ * CSV-Text -> Gruppen (eine je Reklamation). Ergebnis: { ok: true, groups, errors } oder { ok: false, message }
+ * zeile = Datensatznummer inkl. Kopfzeile (erste Datenzeile = 2)
+ */
+function groupCsvRows(text) {
+  const records = parseCsv(text);
+  if (records.length < 2) {
+    return { ok: false, message: 'CSV enthält keine Datenzeilen.' };
+  }
+  if (records.length - 1 > IMPORT_MAX_ROWS) {
+    return { ok: false, message: `Maximal ${IMPORT_MAX_ROWS} Zeilen pro Import.` };
+  }
+
+  const header = records[0].map((h) => normText(h).toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter((c) => !header.includes(c));
+  if (missing.length > 0) {
+    return { ok: false, message: `Pflichtspalten fehlen: ${missing.join(', ')}` };
+  }
+  const unknown = header.filter((h) => h && !KNOWN_COLUMNS.has(h));
+  if (unknown.length > 0) {
+    return { ok: false, message: `Unbekannte Spalten: ${unknown.join(', ')}` };
+  }
+
+  const groups = [];
+  const byReklaNr = new Map();
+  const errors = [];
+
+  records.slice(1).forEach((values, i) => {
+    const zeile = i + 2;
+    const row = {};
+    header.forEach((col, idx) => {
+      if (col) row[col] = normText(values[idx]);
+    });
+
+    const reklaNr = row.rekla_nr || '';
+    let group = reklaNr ? byReklaNr.get(reklaNr) : null;
+
+    if (!group) {
+      group = { zeilen: [], header: {}, positionen: [] };
+      for (const f of HEADER_FIELDS) group.header[f] = row[f] ?? '';
+      groups.push(group);
+      if (reklaNr) byReklaNr.set(reklaNr, group);
+    } else {
+      for (const f of HEADER_FIELDS) {
+        const same = f === 'datum' ? parseDateInput(row[f]) === parseDateInput(group.header[f]) : row[f] === group.header[f];
+        if (row[f] && group.header[f] && !same) {
+          errors.push({
+            zeile,
+            rekla_nr: reklaNr,
+            feld: f,
+            message: `${f} weicht von Zeile ${group.zeilen[0]} ab (gleiche rekla_nr = gleiche Kopfdaten).`,
+          });
+        }
+      }
+    }
+
+    group.zeilen.push(zeile);
+
+    if (POSITION_FIELDS.some((f) => row[f])) {
+      const pos = { zeile };
+      for (const f of POSITION_FIELDS) pos[f] = row[f] ?? '';
+      group.positionen.push(pos);
+    }
+  });
+
+  return { ok: true, groups, errors };
+}
+
+/**
+ * Kopf + Positionen einer Gruppe prüfen/normalisieren (ohne DB-Eindeutigkeit).
+ * Ergebnis: { record, positionen, errors }
+ */
+function validateGroup(group, lookups) {
+  const h = group.header;
+  const zeile = group.zeilen[0];
+  const errors = [];
+  const err = (feld, message, z = zeile) => errors.push({ zeile: z, rekla_nr: h.rekla_nr || null, feld, message });
+
+  const datum = parseDateInput(h.datum);
+  if (!datum) err('datum', 'datum fehlt oder ist ungültig (YYYY-MM-DD oder TT.MM.JJJJ).');
+
+  const filiale = lookups.filialen.get(h.filiale.toLowerCase());
+  if (!filiale) err('filiale', `Unbekannte Filiale "${h.filiale}".`);
+
+  const lieferant = lookups.lieferanten.get(h.lieferant.toLowerCase());
+  if (!lieferant) err('lieferant', `Unbekannter Lieferant "${h.lieferant}".`);
+
+  let art = null;
+  if (h.art) {
+    art = lookups.arten.get(h.art.toLowerCase());
+    if (!art) err('art', `Unbekannte Reklamationsart "${h.art}".`);
+  }
+
+  let status = 'Angelegt';
+  if (h.status) {
+    status = lookups.status.get(h.status.toLowerCase());
+    if (!status) err('status', `Unbekannter Status "${h.status}".`);
+  }
+
+  const versand = parseBoolInput(h.versand);
+  if (versand === null) err('versand', 'versand muss ja/nein sein.');
+
+  const positionen = group.positionen.map((p) => {
+    const out = {
+      artikelnummer: p.artikelnummer || null,
+      ean: p.ean || null,
+      bestell_menge: parseQuantity(p.bestell_menge),
+      bestell_einheit: p.bestell_einheit || null,
+      rekla_menge: parseQuantity(p.rekla_menge),
+      rekla_einheit: p.rekla_einheit || null,
+    };
+    if (Number.isNaN(out.bestell_menge)) err('bestell_menge', 'bestell_menge ist keine Zahl.', p.zeile);
+    if (Number.isNaN(out.rekla_menge)) err('rekla_menge', 'rekla_menge ist keine Zahl.', p.zeile);
+    return out;
+  });
+
+  return {
+    record: {
+      datum,
+      filiale,
+      lieferant,
+      art,
+      rekla_nr: h.rekla_nr || null,
+      status,
+      ls_nummer_grund: h.ls_nummer_grund || null,
+      tracking_id: h.tracking_id || null,
+      notiz: h.notiz || null,
+      versand: versand === true,
+    },
+    positionen,
+    errors,
+  };
+}
+
+async function insertGroup(db, record, positionen, user) {
+  const ins = await db.query(
+    `
+    INSERT INTO reklamationen (
+      datum, letzte_aenderung, art, rekla_nr, lieferant, filiale, status,
+      ls_nummer_grund, versand, tracking_id, notiz, notiz_von, notiz_am
+    )
+    VALUES ($1, CURRENT_DATE, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CASE WHEN $10::text IS NULL THEN NULL ELSE now() END)
+    RETURNING id
+    `,
+    [
+      record.datum,
+      record.art,
+      record.rekla_nr,
+      record.lieferant,
+      record.filiale,
+      record.status,
+      record.ls_nummer_grund,
+      record.versand,
+      record.tracking_id,
+      record.notiz,
+      record.notiz ? user.name : null,
+    ]
+  );
+  const id = ins.rows[0].id;
+
+  const jahr = Number(record.datum.slice(0, 4));
+  const startLfd = await allocateLfdNrBlock(db, record.filiale, jahr, positionen.length);
+
+  for (let i = 0; i < positionen.length; i++) {
+    const p = positionen[i];
+    await db.query(
+      `
+      INSERT INTO reklamation_positionen (
+        reklamation_id, artikelnummer, ean, bestell_menge, bestell_einheit, rekla_menge, rekla_einheit, lfd_nr
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `,
+      [id, p.artikelnummer, p.ean, p.bestell_menge, p.bestell_einheit, p.rekla_menge, p.rekla_einheit, startLfd + i]
+    );
+  }
+
+  const after = await snapshotReklamation(db, id);
+  await recordReklamationChanges(db, { reklamationId: id, aktion: 'import', before: null, after, user });
+
+  return { id, lfd_nr_von: startLfd, lfd_nr_bis: startLfd === null ? null : startLfd + positionen.length - 1 };
+}
+
+/**
+ * Importiert alle Gruppen innerhalb der offenen Transaktion von db (je Gruppe ein SAVEPOINT).
+ * Ergebnis: { reklamationen, fehler } – bei Fehlern oder Dry-Run rollt der Aufrufer zurück.
+ */
+async function importReklamationen(db, groups, user, initialErrors = []) {
+  const lookups = await loadLookups(db);
+  const fehler = [...initialErrors];
+  const reklamationen = [];
+  const trackingInFile = new Map();
+
+  for (const group of groups) {
+    const { record, positionen, errors } = validateGroup(group, lookups);
+    const zeile = group.zeilen[0];
+    const err = (feld, message) => errors.push({ zeile, rekla_nr: record.rekla_nr, feld, message });
+
+    if (record.tracking_id) {
+      const first = trackingInFile.get(record.tracking_id);
+      if (first) err('tracking_id', `Tracking-ID doppelt in der Datei (Zeile ${first}).`);
+      else trackingInFile.set(record.tracking_id, zeile);
+    }
+
+    if (errors.length === 0) {
+      if (record.rekla_nr) {
+        const ex = await db.query('SELECT filiale, deleted_at FROM reklamationen WHERE rekla_nr = $1 LIMIT 1', [record.rekla_nr]);
+        if (ex.rows.length > 0) {
+          const trash = ex.rows[0].deleted_at ? ', im Papierkorb' : '';
+          err('rekla_nr', `Reklamationsnummer existiert bereits (Filiale ${ex.rows[0].filiale || '-'}${trash}).`);
+        }
+      }
+      if (record.tracking_id) {
+        const ex = await db.query('SELECT id FROM reklamationen WHERE tracking_id = $1 LIMIT 1', [record.tracking_id]);
+        if (ex.rows.length > 0) err('tracking_id', `Tracking-ID ist bereits bei Reklamation ${ex.rows[0].id} vergeben.`);
+      }
+
+      const rule = await loadSupplierRule(db, record.lieferant);
+      const ruleCheck = applySupplierRule(rule, record, positionen);
+      if (!ruleCheck.ok) err(ruleCheck.code, ruleCheck.message);
+      else record.versand = ruleCheck.record.versand;
+    }
+
+    if (errors.length > 0) {
+      fehler.push(...errors);
+      reklamationen.push({ zeilen: group.zeilen, rekla_nr: record.rekla_nr, ok: false });
+      continue;
+    }
+
+    await db.query('SAVEPOINT rekla_import');
+    try {
+      const result = await insertGroup(db, record, positionen, user);
+      await db.query('RELEASE SAVEPOINT rekla_import');
+      reklamationen.push({
+        zeilen: group.zeilen,
+        rekla_nr: record.rekla_nr,
+        ok: true,
+        positionen: positionen.length,
+        ...result,
+      });
+    } catch (e) {
+      await db.query('ROLLBACK TO SAVEPOINT rekla_import');
+      const unique = e.code === '23505';
+      fehler.push({
+        zeile,
+        rekla_nr: record.rekla_nr,
+        feld: null,
+        message: unique ? `Eindeutigkeit verletzt: ${e.detail || e.message}` : `Datenbankfehler: ${e.message}`,
+      });
+      reklamationen.push({ zeilen: group.zeilen, rekla_nr: record.rekla_nr, ok: false });
+    }
+  }
+
+  fehler.sort((a, b) => a.zeile - b.zeile);
+  return { reklamationen, fehler };
+}
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  decodeCsvBuffer,
+  groupCsvRows,
+  importReklamationen,
+};
@@ -0,0 +1,134 @@
+// services/reklamationMail.js – Mail an den Lieferanten für POST /api/reklamationen/:id/send
+// - Betreff/Text aus lieferanten.reklamation_mail_betreff / _text, sonst Standardvorlage
+// - Platzhalter {{feld}}: rekla_nr, datum, art, lieferant, filiale, ls_nummer_grund, tracking_id, notiz, positionen, absender
+// - Anhänge: Reklamationsbeleg (PDF) + Fotos aus reklamation_attachments (nur Bilder, Größenlimit MAIL_MAX_ATTACHMENT_MB)
+
+const fs = require('fs/promises');
+const { resolveStoragePath } = require('./attachmentStorage');
+
+const DEFAULT_SUBJECT = 'Reklamation {{rekla_nr}} – Neufeld Baumarkt, Filiale {{filiale}}';
+
+const DEFAULT_TEXT = `Sehr geehrte Damen und Herren,
+
+hiermit reklamieren wir folgende Ware:
+
+Reklamationsnummer: {{rekla_nr}}
+Datum: {{datum}}
+Art der Reklamation: {{art}}
+LS-Nummer / Grund: {{ls_nummer_grund}}
+Tracking-ID Rücksendung: {{tracking_id}}
+
+Positionen:
+{{positionen}}
+
+Den Reklamationsbeleg sowie ggf. Fotos finden Sie im Anhang.
+Bitte geben Sie bei Rückfragen und Gutschriften immer die Reklamationsnummer an.
+
+Mit freundlichen Grüßen
+{{absender}}
+Neufeld Baumarkt GmbH, Filiale {{filiale}}`;
+
+function normText(v) {
+  return (v ?? '').toString().trim();
+}
+
+function getMaxAttachmentBytes() {
+  const mb = Number(process.env.MAIL_MAX_ATTACHMENT_MB || 20);
+  return (Number.isFinite(mb) && mb > 0 ? mb : 20) * 1024 * 1024;
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? normText(value) : d.toLocaleDateString('de-DE');
+}
+
+function formatPositionen(positionen) {
+  if (!Array.isArray(positionen) || positionen.length === 0) return '- keine Positionen -';
+
+  return positionen
+    .map((p) => {
+      const menge = [normText(p.rekla_menge), normText(p.rekla_einheit)].filter(Boolean).join(' ');
+      return `- Lfd-Nr. ${p.lfd_nr ?? '-'}: Art.-Nr. ${normText(p.artikelnummer) || '-'}, EAN ${normText(p.ean) || '-'}, Menge ${menge || '-'}`;
+    })
+    .join('\n');
+}
+
+function renderTemplate(template, vars) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = vars[key];
+    return value === null || value === undefined || value === '' ? '-' : String(value);
+  });
+}
+
+/**
+ * Betreff + Text für die Lieferanten-Mail.
+ * lieferant: Zeile aus lieferanten (oder null, dann Standardvorlage)
+ */
+function buildReklamationMail({ reklamation, positionen, lieferant, user }) {
+  const vars = {
+    rekla_nr: normText(reklamation.rekla_nr) || `REKLA-${reklamation.id}`,
+    datum: formatDate(reklamation.datum),
+    art: normText(reklamation.art),
+    lieferant: normText(reklamation.lieferant),
+    filiale: normText(reklamation.filiale),
+    ls_nummer_grund: normText(reklamation.ls_nummer_grund),
+    tracking_id: normText(reklamation.tracking_id),
+    notiz: normText(reklamation.notiz),
+    positionen: formatPositionen(positionen),
+    absender: normText(user?.name),
+  };
+
+  return {
+    subject: renderTemplate(normText(lieferant?.reklamation_mail_betreff) || DEFAULT_SUBJECT, vars),
+    text: renderTemplate(normText(lieferant?.reklamation_mail_text) || DEFAULT_TEXT, vars),
+  };
+}
+
+/**
+ * Foto-Anhänge der Reklamation für nodemailer. Fehlende Dateien und alles über dem Limit
+ * werden übersprungen und im Ergebnis gemeldet.
+ * Ergebnis: { attachments, skipped }
+ */
+async function loadPhotoAttachments(db, reklamationId, usedBytes = 0) {
+  const r = await db.query(
+    `
+    SELECT id, original_name, mime_type, size_bytes, storage_key
+    FROM reklamation_attachments
+    WHERE reklamation_id = $1
+      AND mime_type LIKE 'image/%'
+    ORDER BY created_at ASC
+    `,
+    [reklamationId]
+  );
+
+  const maxBytes = getMaxAttachmentBytes();
+  const attachments = [];
+  const skipped = [];
+  let total = usedBytes;
+
+  for (const att of r.rows) {
+    if (total + att.size_bytes > maxBytes) {
+      skipped.push({ id: att.id, original_name: att.original_name, grund: 'Größenlimit' });
+      continue;
+    }
+
+    const filePath = resolveStoragePath(att.storage_key);
+    try {
+      await fs.access(filePath);
+    } catch {
+      skipped.push({ id: att.id, original_name: att.original_name, grund: 'Datei fehlt' });
+      continue;
+    }
+
+    attachments.push({ filename: att.original_name, path: filePath, contentType: att.mime_type });
+    total += att.size_bytes;
+  }
+
+  return { attachments, skipped };
+}
+
+module.exports = {
+  buildReklamationMail,
+  loadPhotoAttachments,
+};
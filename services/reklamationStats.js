@@ -0,0 +1,225 @@
+// services/reklamationStats.js – Auswertungen über reklamationen + reklamation_positionen (user-015)
+// - Filter kommen fertig aus buildListFilter (routes/reklamationen.js): gleiche Parameter wie die Liste
+// - Mengen = Summe rekla_menge (Text/Zahl, "2,5" erlaubt) über alle Einheiten hinweg
+// - Durchlaufzeit: datum -> letzter Statuswechsel auf "Erledigt" laut reklamation_history,
+//   für Altfälle ohne Historie ersatzweise letzte_aenderung
+
+const STATUS_ERLEDIGT = 'Erledigt';
+const STATUS_ABGELEHNT = 'Abgelehnt';
+
+const TOP_DEFAULT = 20;
+const TOP_MAX = 100;
+
+const MENGE_SQL = `
+  CASE
+    WHEN p.rekla_menge::text ~ '^\\s*[0-9]+([.,][0-9]+)?\\s*$'
+      THEN replace(trim(p.rekla_menge::text), ',', '.')::numeric
+    ELSE 0
+  END
+`;
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function roundTo(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const f = 10 ** digits;
+  return Math.round(Number(value) * f) / f;
+}
+
+function mapGroupRows(rows, key) {
+  return rows.map((row) => ({
+    [key]: row[key],
+    anzahl: row.anzahl,
+    positionen: row.positionen,
+    rekla_menge: toNumber(row.rekla_menge),
+  }));
+}
+
+/**
+ * Kennzahlen für GET /api/reklamationen/stats.
+ * filter: { whereParts, params } aus buildListFilter (Alias r = reklamationen)
+ */
+async function getReklamationStats(db, { whereParts, params }, { top = TOP_DEFAULT } = {}) {
+  const where = whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : '';
+  const base = `
+    WITH base AS (
+      SELECT r.* FROM reklamationen r ${where}
+    ),
+    pos AS (
+      SELECT p.reklamation_id, p.artikelnummer, p.ean, ${MENGE_SQL} AS menge
+      FROM reklamation_positionen p
+      JOIN base b ON b.id = p.reklamation_id
+    ),
+    rekla AS (
+      SELECT b.*, COALESCE(agg.positionen, 0) AS positionen, COALESCE(agg.menge, 0) AS rekla_menge
+      FROM base b
+      LEFT JOIN (
+        SELECT reklamation_id, COUNT(*)::int AS positionen, SUM(menge) AS menge
+        FROM pos
+        GROUP BY reklamation_id
+      ) agg ON agg.reklamation_id = b.id
+    ),
+    erledigt AS (
+      SELECT
+        b.id,
+        b.lieferant,
+        (
+          COALESCE(
+            (
+              SELECT MAX(h.created_at)::date
+              FROM reklamation_history h
+              WHERE h.reklamation_id = b.id
+                AND h.bereich = 'kopf'
+                AND h.feld = 'status'
+                AND h.neu_wert = '${STATUS_ERLEDIGT}'
+            ),
+            b.letzte_aenderung::date
+          ) - b.datum::date
+        ) AS tage
+      FROM base b
+      WHERE b.status = '${STATUS_ERLEDIGT}'
+        AND b.datum IS NOT NULL
+    )
+  `;
+
+  const groupSql = (col) => `
+    ${base}
+    SELECT ${col}, COUNT(*)::int AS anzahl, SUM(positionen)::int AS positionen, SUM(rekla_menge) AS rekla_menge
+    FROM rekla
+    GROUP BY ${col}
+    ORDER BY anzahl DESC, ${col} ASC NULLS LAST
+  `;
+
+  const gesamtRes = await db.query(
+    `
+    ${base}
+    SELECT COUNT(*)::int AS anzahl, COALESCE(SUM(positionen), 0)::int AS positionen, COALESCE(SUM(rekla_menge), 0) AS rekla_menge
+    FROM rekla
+    `,
+    params
+  );
+
+  const lieferantRes = await db.query(
+    `
+    ${base}
+    SELECT
+      r.lieferant,
+      COUNT(*)::int AS anzahl,
+      SUM(r.positionen)::int AS positionen,
+      SUM(r.rekla_menge) AS rekla_menge,
+      COUNT(*) FILTER (WHERE r.status = '${STATUS_ABGELEHNT}')::int AS abgelehnt,
+      COUNT(*) FILTER (WHERE r.status = '${STATUS_ERLEDIGT}')::int AS erledigt,
+      (SELECT AVG(e.tage) FROM erledigt e WHERE e.lieferant IS NOT DISTINCT FROM r.lieferant) AS avg_tage_bis_erledigt
+    FROM rekla r
+    GROUP BY r.lieferant
+    ORDER BY anzahl DESC, r.lieferant ASC NULLS LAST
+    `,
+    params
+  );
+
+  const artRes = await db.query(groupSql('art'), params);
+  const filialeRes = await db.query(groupSql('filiale'), params);
+
+  const monatRes = await db.query(
+    `
+    ${base}
+    SELECT to_char(datum::date, 'YYYY-MM') AS monat, COUNT(*)::int AS anzahl, SUM(positionen)::int AS positionen, SUM(rekla_menge) AS rekla_menge
+    FROM rekla
+    WHERE datum IS NOT NULL
+    GROUP BY 1
+    ORDER BY 1 ASC
+    `,
+    params
+  );
+
+  const statusRes = await db.query(
+    `
+    ${base}
+    SELECT status, COUNT(*)::int AS anzahl
+    FROM rekla
+    GROUP BY status
+    ORDER BY anzahl DESC, status ASC NULLS LAST
+    `,
+    params
+  );
+
+  const durchlaufRes = await db.query(
+    `
+    ${base}
+    SELECT
+      COUNT(*)::int AS anzahl,
+      AVG(tage) AS avg_tage,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY tage) AS median_tage,
+      MAX(tage)::int AS max_tage
+    FROM erledigt
+    `,
+    params
+  );
+
+  const topLimit = Math.min(Math.max(Number.isInteger(top) ? top : TOP_DEFAULT, 1), TOP_MAX);
+  const topRes = await db.query(
+    `
+    ${base}
+    SELECT
+      p.artikelnummer,
+      p.ean,
+      COUNT(DISTINCT p.reklamation_id)::int AS reklamationen,
+      COUNT(*)::int AS positionen,
+      SUM(p.menge) AS rekla_menge,
+      ARRAY_REMOVE(ARRAY_AGG(DISTINCT b.lieferant), NULL) AS lieferanten
+    FROM pos p
+    JOIN base b ON b.id = p.reklamation_id
+    WHERE COALESCE(p.artikelnummer::text, '') <> '' OR COALESCE(p.ean::text, '') <> ''
+    GROUP BY p.artikelnummer, p.ean
+    ORDER BY reklamationen DESC, rekla_menge DESC NULLS LAST
+    LIMIT ${topLimit}
+    `,
+    params
+  );
+
+  const gesamt = gesamtRes.rows[0];
+  const durchlauf = durchlaufRes.rows[0];
+
+  return {
+    gesamt: {
+      anzahl: gesamt.anzahl,
+      positionen: gesamt.positionen,
+      rekla_menge: toNumber(gesamt.rekla_menge),
+    },
+    nach_lieferant: lieferantRes.rows.map((row) => ({
+      lieferant: row.lieferant,
+      anzahl: row.anzahl,
+      positionen: row.positionen,
+      rekla_menge: toNumber(row.rekla_menge),
+      abgelehnt: row.abgelehnt,
+      erledigt: row.erledigt,
+      ablehnungsquote: row.anzahl > 0 ? roundTo(row.abgelehnt / row.anzahl, 4) : 0,
+      avg_tage_bis_erledigt: roundTo(row.avg_tage_bis_erledigt, 1),
+    })),
+    nach_art: mapGroupRows(artRes.rows, 'art'),
+    nach_filiale: mapGroupRows(filialeRes.rows, 'filiale'),
+    nach_monat: mapGroupRows(monatRes.rows, 'monat'),
+    nach_status: statusRes.rows,
+    durchlaufzeit: {
+      erledigt: durchlauf.anzahl,
+      avg_tage: roundTo(durchlauf.avg_tage, 1),
+      median_tage: roundTo(durchlauf.median_tage, 1),
+      max_tage: durchlauf.max_tage,
+    },
+    top_artikel: topRes.rows.map((row) => ({
+      artikelnummer: row.artikelnummer,
+      ean: row.ean,
+      reklamationen: row.reklamationen,
+      positionen: row.positionen,
+      rekla_menge: toNumber(row.rekla_menge),
+      lieferanten: row.lieferanten,
+    })),
+  };
+}
+
+module.exports = {
+  getReklamationStats,
+};
@@ -0,0 +1,104 @@
+// services/reklamationStatus.js – Status-Workflow für Reklamationen
+// - Übergänge + Rollen + Pflichtfelder aus reklamation_status_transitions (siehe db/migrations/008)
+// - Prüfung bei PUT/PATCH /api/reklamationen/:id, Auflistung für GET /api/reklamationen/:id/transitions
+// - neue Reklamationen starten immer in INITIAL_STATUS, alles Weitere nur über Übergänge
+
+const INITIAL_STATUS = 'Angelegt';
+
+function hasValue(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return true;
+}
+
+async function loadTransitionsFrom(db, fromStatus) {
+  const r = await db.query(
+    `
+    SELECT id, von_status, nach_status, roles, required_fields, beschreibung
+    FROM reklamation_status_transitions
+    WHERE aktiv = true
+      AND (von_status = $1 OR von_status IS NULL)
+      AND nach_status IS DISTINCT FROM $1
+    ORDER BY von_status NULLS LAST, id ASC
+    `,
+    [fromStatus ?? null]
+  );
+  return r.rows;
+}
+
+/**
+ * Übergänge, die die Rolle aus dem aktuellen Status ausführen darf.
+ */
+async function listAllowedTransitions(db, fromStatus, role) {
+  const rows = await loadTransitionsFrom(db, fromStatus);
+  const seen = new Set();
+
+  return rows
+    .filter((t) => (t.roles || []).includes(role))
+    .filter((t) => {
+      if (seen.has(t.nach_status)) return false;
+      seen.add(t.nach_status);
+      return true;
+    })
+    .map((t) => ({
+      nach_status: t.nach_status,
+      required_fields: t.required_fields || [],
+      beschreibung: t.beschreibung || null,
+    }));
+}
+
+/**
+ * Prüft einen Statuswechsel.
+ * - existing: aktueller Datensatz (für Pflichtfelder, die schon gesetzt sind)
+ * - updates:  Felder aus dem Request
+ * Ergebnis: { ok: true } oder { ok: false, status, code, message, allowed? }
+ */
+async function checkStatusTransition(db, { fromStatus, toStatus, role, existing, updates }) {
+  if (!hasValue(toStatus)) {
+    return { ok: false, status: 400, code: 'STATUS_INVALID', message: 'status darf nicht leer sein.' };
+  }
+
+  const rows = await loadTransitionsFrom(db, fromStatus);
+  const candidates = rows.filter((t) => t.nach_status === toStatus);
+
+  if (candidates.length === 0) {
+    return {
+      ok: false,
+      status: 400,
+      code: 'STATUS_TRANSITION_INVALID',
+      message: `Statuswechsel von '${fromStatus ?? '-'}' nach '${toStatus}' ist nicht vorgesehen.`,
+      allowed: await listAllowedTransitions(db, fromStatus, role),
+    };
+  }
+
+  const transition = candidates.find((t) => (t.roles || []).includes(role));
+  if (!transition) {
+    return {
+      ok: false,
+      status: 403,
+      code: 'STATUS_TRANSITION_FORBIDDEN',
+      message: `Rolle ${role} darf den Status nicht von '${fromStatus ?? '-'}' nach '${toStatus}' ändern.`,
+    };
+  }
+
+  // status_grund gilt nur für diesen Wechsel -> muss im Request stehen
+  const effective = { ...(existing || {}), status_grund: null, ...(updates || {}) };
+  const missing = (transition.required_fields || []).filter((field) => !hasValue(effective[field]));
+
+  if (missing.length > 0) {
+    return {
+      ok: false,
+      status: 400,
+      code: 'STATUS_FIELDS_REQUIRED',
+      message: `Für den Statuswechsel nach '${toStatus}' fehlen Pflichtfelder: ${missing.join(', ')}`,
+    };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  INITIAL_STATUS,
+  listAllowedTransitions,
+  checkStatusTransition,
+};
@@ -0,0 +1,111 @@
+// services/reklamationTrash.js – Papierkorb für Reklamationen: endgültiges Löschen nach Aufbewahrungsfrist (user-018)
+// - REKLAMATION_PURGE_DAYS          Tage im Papierkorb bis zum endgültigen Löschen (Standard 90, 0 = nie)
+// - REKLAMATION_PURGE_INTERVAL_HOURS Abstand der Läufe (Standard 24)
+// - Advisory-Lock: laufen mehrere Instanzen, löscht immer nur eine
+// - Historie bleibt erhalten (kein FK), bekommt je Reklamation einen Eintrag "purge"
+
+const pool = require('../db');
+const { recordReklamationChanges } = require('./reklamationHistory');
+const { removeReklamationDir } = require('./attachmentStorage');
+
+const PURGE_LOCK_KEY = 918018;
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+function getPurgeDays() {
+  const raw = process.env.REKLAMATION_PURGE_DAYS;
+  if (raw === undefined || raw === '') return 90;
+  const days = Number(raw);
+  return Number.isInteger(days) && days >= 0 ? days : 90;
+}
+
+function getPurgeIntervalMs() {
+  const hours = Number(process.env.REKLAMATION_PURGE_INTERVAL_HOURS || 24);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Löscht Reklamationen endgültig, die länger als `days` Tage im Papierkorb liegen.
+ * Ergebnis: { days, ids } (ids = endgültig gelöschte Reklamationen)
+ */
+async function purgeDeletedReklamationen({ days = getPurgeDays() } = {}) {
+  if (days <= 0) return { days, ids: [] };
+
+  const client = await pool.connect();
+  let ids = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS ok', [PURGE_LOCK_KEY]);
+    if (!lock.rows[0].ok) {
+      await client.query('ROLLBACK');
+      return { days, ids };
+    }
+
+    const due = await client.query(
+      `
+      SELECT id
+      FROM reklamationen
+      WHERE deleted_at IS NOT NULL
+        AND deleted_at < now() - make_interval(days => $1)
+      ORDER BY id
+      FOR UPDATE
+      `,
+      [days]
+    );
+    ids = due.rows.map((row) => row.id);
+
+    if (ids.length > 0) {
+      await client.query('DELETE FROM reklamation_positionen WHERE reklamation_id = ANY($1::int[])', [ids]);
+      await client.query('DELETE FROM reklamationen WHERE id = ANY($1::int[])', [ids]);
+
+      for (const id of ids) {
+        await recordReklamationChanges(client, { reklamationId: id, aktion: 'purge', before: null, after: null, user: null });
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Anhang-Zeilen fallen per CASCADE, die Dateien räumen wir hier weg
+  for (const id of ids) {
+    await removeReklamationDir(id);
+  }
+
+  return { days, ids };
+}
+
+/**
+ * Startet den periodischen Lauf (erster Lauf kurz nach dem Start). Timer halten den Prozess nicht am Leben.
+ */
+function startReklamationPurgeJob() {
+  if (getPurgeDays() <= 0) {
+    console.log('🗑️ Papierkorb: endgültiges Löschen deaktiviert (REKLAMATION_PURGE_DAYS=0)');
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const { days, ids } = await purgeDeletedReklamationen();
+      if (ids.length > 0) {
+        console.log(`🗑️ Papierkorb: ${ids.length} Reklamation(en) älter als ${days} Tage endgültig gelöscht (IDs ${ids.join(', ')})`);
+      }
+    } catch (err) {
+      console.error('Papierkorb: endgültiges Löschen fehlgeschlagen:', err);
+    }
+  };
+
+  setTimeout(run, FIRST_RUN_DELAY_MS).unref();
+  setInterval(run, getPurgeIntervalMs()).unref();
+}
+
+module.exports = {
+  getPurgeDays,
+  purgeDeletedReklamationen,
+  startReklamationPurgeJob,
+};
@@ -0,0 +1,194 @@
+// services/supplierRules.js – Regel-Engine für Reklamationen je Lieferant
+// - Regeln aus lieferant_regeln (siehe db/migrations/011), gepflegt über /api/lieferanten/:id/regeln
+// - Eine Engine für POST/PUT/PATCH in routes/reklamationen.js (früher fest verdrahtet für SodaFixx)
+
+// Felder, die als Pflichtfeld konfiguriert werden dürfen (+ Anzeigename für Fehlermeldungen)
+const RULE_FIELDS = Object.freeze({
+  tracking_id: 'Tracking-ID',
+  ls_nummer_grund: 'LS-Nummer/Grund',
+  rekla_nr: 'Reklamationsnummer',
+  art: 'Reklamationsart',
+  datum: 'Datum',
+  notiz: 'Notiz',
+});
+
+const RULE_COLUMNS = `
+  r.lieferant_id, l.bezeichnung AS lieferant, r.pflichtfelder, r.max_menge, r.nur_ganzzahlig,
+  r.versand_erzwingen, r.erlaubte_arten, r.einheit, r.hinweis, r.updated_at
+`;
+
+function normText(v) {
+  return (v ?? '').toString().trim();
+}
+
+function parseCountLike(value) {
+  // akzeptiert "18", "18.0", "18,0" -> Number
+  const raw = normText(value);
+  if (!raw) return NaN;
+  const n = Number(raw.replace(',', '.'));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Regel für einen Lieferanten (per Bezeichnung, case-insensitive) – null, wenn keine hinterlegt.
+ */
+async function loadSupplierRule(db, lieferant) {
+  const name = normText(lieferant);
+  if (!name) return null;
+
+  const r = await db.query(
+    `
+    SELECT ${RULE_COLUMNS}
+    FROM lieferant_regeln r
+    JOIN lieferanten l ON l.id = r.lieferant_id
+    WHERE lower(trim(l.bezeichnung)) = lower($1)
+    LIMIT 1
+    `,
+    [name]
+  );
+  return r.rows[0] || null;
+}
+
+async function listSupplierRules(db) {
+  const r = await db.query(
+    `
+    SELECT ${RULE_COLUMNS}
+    FROM lieferant_regeln r
+    JOIN lieferanten l ON l.id = r.lieferant_id
+    ORDER BY l.bezeichnung ASC
+    `
+  );
+  return r.rows;
+}
+
+function validatePositionen(rule, positionen) {
+  const maxMenge = rule.max_menge !== null && rule.max_menge !== undefined ? Number(rule.max_menge) : null;
+  if (maxMenge === null && !rule.nur_ganzzahlig) return { ok: true };
+
+  const list = Array.isArray(positionen) ? positionen : [];
+  const einheit = rule.einheit || 'Einheiten';
+  let sum = 0;
+
+  for (let i = 0; i < list.length; i++) {
+    const qty = parseCountLike(list[i]?.rekla_menge);
+
+    if (!Number.isFinite(qty) || qty < 0) {
+      return {
+        ok: false,
+        message: `${rule.lieferant}: Ungültige Reklamationsmenge in Position ${i + 1}. Erwartet Zahl${
+          maxMenge !== null ? ` (z. B. 1..${maxMenge})` : ''
+        }.`,
+      };
+    }
+
+    if (rule.nur_ganzzahlig && !Number.isInteger(qty)) {
+      return {
+        ok: false,
+        message: `${rule.lieferant}: Reklamationsmenge in Position ${i + 1} muss eine ganze Zahl sein.`,
+      };
+    }
+
+    sum += qty;
+
+    if (maxMenge !== null && sum > maxMenge) {
+      return {
+        ok: false,
+        message: `${rule.lieferant}: Maximal ${maxMenge} ${einheit} pro Reklamation erlaubt (Summe aller Positionen).`,
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Wendet die Lieferantenregel auf den (zusammengeführten) Datensatz an.
+ * - record:     Felder der Reklamation nach der Änderung (versand wird ggf. erzwungen)
+ * - positionen: nur übergeben, wenn Positionen geschrieben werden (POST/PUT)
+ * Ergebnis: { ok: true, record } oder { ok: false, code, message }
+ */
+function applySupplierRule(rule, record, positionen) {
+  if (!rule) return { ok: true, record };
+
+  const next = { ...record };
+  if (rule.versand_erzwingen) next.versand = true;
+
+  for (const field of rule.pflichtfelder || []) {
+    if (!normText(next[field])) {
+      const label = RULE_FIELDS[field] || field;
+      return {
+        ok: false,
+        code: 'SUPPLIER_RULE_FIELD',
+        message: `${rule.lieferant}: ${label} ist Pflicht${rule.hinweis ? ` (${rule.hinweis})` : ''}.`,
+      };
+    }
+  }
+
+  if (Array.isArray(rule.erlaubte_arten) && rule.erlaubte_arten.length > 0 && normText(next.art)) {
+    if (!rule.erlaubte_arten.includes(normText(next.art))) {
+      return {
+        ok: false,
+        code: 'SUPPLIER_RULE_ART',
+        message: `${rule.lieferant}: Reklamationsart '${normText(next.art)}' ist nicht zulässig. Erlaubt: ${rule.erlaubte_arten.join(', ')}`,
+      };
+    }
+  }
+
+  if (positionen !== undefined) {
+    const v = validatePositionen(rule, positionen);
+    if (!v.ok) return { ok: false, code: 'SUPPLIER_RULE_MENGE', message: v.message };
+  }
+
+  return { ok: true, record: next };
+}
+
+/**
+ * Prüft eine Regeldefinition aus dem Admin-API. Ergebnis: { ok: true, rule } oder { ok: false, message }
+ */
+function normalizeRuleInput(body) {
+  const b = body || {};
+
+  const pflichtfelder = Array.isArray(b.pflichtfelder) ? [...new Set(b.pflichtfelder.map(normText).filter(Boolean))] : [];
+  const unknown = pflichtfelder.filter((f) => !RULE_FIELDS[f]);
+  if (unknown.length > 0) {
+    return { ok: false, message: `Unbekannte Pflichtfelder: ${unknown.join(', ')}. Erlaubt: ${Object.keys(RULE_FIELDS).join(', ')}` };
+  }
+
+  let maxMenge = null;
+  if (b.max_menge !== undefined && b.max_menge !== null && b.max_menge !== '') {
+    maxMenge = parseCountLike(b.max_menge);
+    if (!Number.isFinite(maxMenge) || maxMenge <= 0) {
+      return { ok: false, message: 'max_menge muss eine positive Zahl sein.' };
+    }
+  }
+
+  let erlaubteArten = null;
+  if (b.erlaubte_arten !== undefined && b.erlaubte_arten !== null) {
+    if (!Array.isArray(b.erlaubte_arten)) {
+      return { ok: false, message: 'erlaubte_arten muss ein Array sein (oder null für alle).' };
+    }
+    erlaubteArten = [...new Set(b.erlaubte_arten.map(normText).filter(Boolean))];
+    if (erlaubteArten.length === 0) erlaubteArten = null;
+  }
+
+  return {
+    ok: true,
+    rule: {
+      pflichtfelder,
+      max_menge: maxMenge,
+      nur_ganzzahlig: b.nur_ganzzahlig === true,
+      versand_erzwingen: b.versand_erzwingen === true,
+      erlaubte_arten: erlaubteArten,
+      einheit: normText(b.einheit) || null,
+      hinweis: normText(b.hinweis) || null,
+    },
+  };
+}
+
+module.exports = {
+  RULE_FIELDS,
+  loadSupplierRule,
+  listSupplierRules,
+  applySupplierRule,
+  normalizeRuleInput,
+};
@@ -0,0 +1,275 @@
+// services/taskRecurrence.js – wiederkehrende Tasks aus Vorlagen anlegen (user-025)
+// - Stichtage je Regel: weekly (wochentag 1=Mo..7=So) / monthly (monatstag, sonst letzter Tag des Monats)
+// - je Stichtag + Filiale genau eine Task: core.task_recurrence_runs (PRIMARY KEY) macht Läufe idempotent,
+//   auch nach Neustarts oder bei mehreren Instanzen (zusätzlich Advisory-Lock)
+// - verpasste Stichtage (Server aus) werden bis TASK_RECURRENCE_CATCHUP_DAYS (Standard 7) nachgeholt
+// - TASK_TIMEZONE (Standard Europe/Berlin) bestimmt "heute" und die Fälligkeit (00:00 Ortszeit + due_offset_hours)
+// - TASK_RECURRENCE_INTERVAL_MINUTES Abstand der Läufe (Standard 60)
+
+const pool = require('../db');
+
+const RECURRENCE_LOCK_KEY = 918025;
+const FIRST_RUN_DELAY_MS = 30 * 1000;
+const RHYTHMEN = ['weekly', 'monthly'];
+
+function getTaskTimezone() {
+  return process.env.TASK_TIMEZONE || 'Europe/Berlin';
+}
+
+function getCatchupDays() {
+  const days = Number(process.env.TASK_RECURRENCE_CATCHUP_DAYS || 7);
+  return Number.isInteger(days) && days >= 0 ? days : 7;
+}
+
+function getIntervalMs() {
+  const minutes = Number(process.env.TASK_RECURRENCE_INTERVAL_MINUTES || 60);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60 * 1000;
+}
+
+// Datum als YYYY-MM-DD in der Task-Zeitzone
+function todayInTaskTimezone(now = new Date()) {
+  return now.toLocaleDateString('sv-SE', { timeZone: getTaskTimezone() });
+}
+
+// Rechnen nur mit UTC-Mitternacht, damit Sommer-/Winterzeit keine Tage verschiebt
+function parseIsoDate(value) {
+  const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function isDueOn(rule, date) {
+  if (rule.rhythmus === 'weekly') {
+    const isoWeekday = date.getUTCDay() === 0 ? 7 : date.getUTCDay();
+    return isoWeekday === Number(rule.wochentag);
+  }
+
+  if (rule.rhythmus === 'monthly') {
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    return date.getUTCDate() === Math.min(Number(rule.monatstag), lastDay);
+  }
+
+  return false;
+}
+
+/**
+ * Stichtage (YYYY-MM-DD) einer Regel im Zeitraum [from, to], beide inklusiv.
+ */
+function dueDatesBetween(rule, from, to) {
+  const result = [];
+  const end = parseIsoDate(to);
+  for (let d = parseIsoDate(from); d <= end; d = addDays(d, 1)) {
+    if (isDueOn(rule, d)) result.push(formatIsoDate(d));
+  }
+  return result;
+}
+
+/**
+ * Prüft eine Regel aus dem Request-Body. Ergebnis: { ok: true, rule } oder { ok: false, message }
+ * - defaultStartDatum: Wert ohne start_datum im Body (Anlegen: heute, Ändern: null = bisheriges behalten)
+ */
+function normalizeRecurrenceInput(src, { defaultStartDatum = todayInTaskTimezone() } = {}) {
+  const rhythmus = String(src?.rhythmus || '').trim();
+  if (!RHYTHMEN.includes(rhythmus)) {
+    return { ok: false, message: `rhythmus ungültig. Erlaubt: ${RHYTHMEN.join(', ')}` };
+  }
+
+  const rule = { rhythmus, wochentag: null, monatstag: null };
+
+  if (rhythmus === 'weekly') {
+    const wochentag = Number(src?.wochentag);
+    if (!Number.isInteger(wochentag) || wochentag < 1 || wochentag > 7) {
+      return { ok: false, message: 'wochentag muss 1 (Montag) bis 7 (Sonntag) sein.' };
+    }
+    rule.wochentag = wochentag;
+  } else {
+    const monatstag = Number(src?.monatstag);
+    if (!Number.isInteger(monatstag) || monatstag < 1 || monatstag > 31) {
+      return { ok: false, message: 'monatstag muss 1 bis 31 sein.' };
+    }
+    rule.monatstag = monatstag;
+  }
+
+  if (src?.filiale_ids === 'alle_aktiven') {
+    rule.alle_aktiven = true;
+    rule.filiale_ids = [];
+  } else {
+    const ids = Array.isArray(src?.filiale_ids) ? [...new Set(src.filiale_ids.map(Number))] : [];
+    if (ids.length === 0 || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+      return { ok: false, message: "filiale_ids muss eine Liste von Filial-IDs oder 'alle_aktiven' sein." };
+    }
+    rule.alle_aktiven = false;
+    rule.filiale_ids = ids;
+  }
+
+  const start = String(src?.start_datum ?? '').trim();
+  if (start && !/^\d{4}-\d{2}-\d{2}$/.test(start)) {
+    return { ok: false, message: 'start_datum ist ungültig (YYYY-MM-DD)' };
+  }
+  rule.start_datum = start || defaultStartDatum;
+
+  rule.aktiv = src?.aktiv !== false;
+
+  return { ok: true, rule };
+}
+
+async function loadTargetFilialen(client, rule) {
+  const r = rule.alle_aktiven
+    ? await client.query('SELECT id FROM public.filialen WHERE aktiv = true ORDER BY id')
+    : await client.query('SELECT id FROM public.filialen WHERE id = ANY($1::int[]) ORDER BY id', [rule.filiale_ids]);
+  return r.rows.map((row) => row.id);
+}
+
+async function createTaskForRun(client, { rule, stichtag, filialeId }) {
+  // Platzhalter zuerst: existiert (recurrence, stichtag, filiale) schon, passiert nichts
+  const claim = await client.query(
+    `
+    INSERT INTO core.task_recurrence_runs (recurrence_id, stichtag, filiale_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT DO NOTHING
+    RETURNING recurrence_id
+    `,
+    [rule.id, stichtag, filialeId]
+  );
+  if (claim.rows.length === 0) return null;
+
+  const tIns = await client.query(
+    `
+    INSERT INTO core.tasks (
+      owner_type, owner_id, title, body, status, created_by_user_id,
+      due_at, source_type, source_id
+    )
+    VALUES (
+      'filiale', $1, $2, $3, 'open', $4,
+      CASE WHEN $5::int IS NULL THEN NULL
+           ELSE ($6::date + make_interval(hours => $5::int)) AT TIME ZONE $7 END,
+      'template', $8
+    )
+    RETURNING id
+    `,
+    [
+      filialeId,
+      rule.title,
+      rule.body,
+      rule.created_by_user_id,
+      rule.due_offset_hours,
+      stichtag,
+      getTaskTimezone(),
+      String(rule.template_id),
+    ]
+  );
+  const taskId = tIns.rows[0].id;
+
+  await client.query(
+    `INSERT INTO core.task_events (task_id, event_type, actor_user_id, meta)
+     VALUES ($1,'created',NULL,$2)`,
+    [taskId, { source: 'scheduler', template_id: rule.template_id, recurrence_id: rule.id, stichtag }]
+  );
+
+  await client.query(
+    'UPDATE core.task_recurrence_runs SET task_id = $4 WHERE recurrence_id = $1 AND stichtag = $2 AND filiale_id = $3',
+    [rule.id, stichtag, filialeId, String(taskId)]
+  );
+
+  return taskId;
+}
+
+/**
+ * Legt alle fälligen Tasks bis einschließlich heute an (idempotent).
+ * Ergebnis: { today, created } (created = Anzahl neu angelegter Tasks)
+ */
+async function materialiseRecurringTasks({ today = todayInTaskTimezone() } = {}) {
+  const client = await pool.connect();
+  let created = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS ok', [RECURRENCE_LOCK_KEY]);
+    if (!lock.rows[0].ok) {
+      await client.query('ROLLBACK');
+      return { today, created };
+    }
+
+    const rules = await client.query(
+      `
+      SELECT
+        r.id, r.template_id, r.rhythmus, r.wochentag, r.monatstag, r.filiale_ids, r.alle_aktiven,
+        to_char(r.start_datum, 'YYYY-MM-DD') AS start_datum,
+        to_char(r.last_run_date, 'YYYY-MM-DD') AS last_run_date,
+        t.title, t.body, t.due_offset_hours, t.created_by_user_id
+      FROM core.task_recurrences r
+      JOIN core.task_templates t ON t.id = r.template_id
+      WHERE r.aktiv = true
+        AND t.aktiv = true
+        AND r.start_datum <= $1::date
+      ORDER BY r.id
+      `,
+      [today]
+    );
+
+    const catchupFrom = formatIsoDate(addDays(parseIsoDate(today), -getCatchupDays()));
+
+    for (const rule of rules.rows) {
+      // ab dem Tag nach dem letzten Lauf, aber nie vor start_datum und nicht weiter zurück als die Nachholfrist
+      const candidates = [rule.start_datum, catchupFrom];
+      if (rule.last_run_date) candidates.push(formatIsoDate(addDays(parseIsoDate(rule.last_run_date), 1)));
+      const from = candidates.sort().pop();
+
+      const dates = from <= today ? dueDatesBetween(rule, from, today) : [];
+      if (dates.length > 0) {
+        const filialen = await loadTargetFilialen(client, rule);
+        for (const stichtag of dates) {
+          for (const filialeId of filialen) {
+            if (await createTaskForRun(client, { rule, stichtag, filialeId })) created++;
+          }
+        }
+      }
+
+      await client.query('UPDATE core.task_recurrences SET last_run_date = $2 WHERE id = $1', [rule.id, today]);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return { today, created };
+}
+
+/**
+ * Startet den periodischen Lauf (erster Lauf kurz nach dem Start). Timer halten den Prozess nicht am Leben.
+ */
+function startTaskRecurrenceJob() {
+  const run = async () => {
+    try {
+      const { today, created } = await materialiseRecurringTasks();
+      if (created > 0) {
+        console.log(`🔁 Wiederkehrende Tasks: ${created} Task(s) bis ${today} angelegt`);
+      }
+    } catch (err) {
+      console.error('Wiederkehrende Tasks: Lauf fehlgeschlagen:', err);
+    }
+  };
+
+  setTimeout(run, FIRST_RUN_DELAY_MS).unref();
+  setInterval(run, getIntervalMs()).unref();
+}
+
+module.exports = {
+  todayInTaskTimezone,
+  dueDatesBetween,
+  normalizeRecurrenceInput,
+  materialiseRecurringTasks,
+  startTaskRecurrenceJob,
+};
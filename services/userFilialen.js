@@ -0,0 +1,67 @@
+// services/userFilialen.js – Zuordnung User <-> Filialen (mehrere Filialen je User)
+// - users.filiale bleibt die Stammfiliale (Standard bei Anlage / Budget / Bestellungen)
+// - user_filialen enthält zusätzliche Filialen (z. B. Bezirksleitung Ahaus + Vreden)
+// - Das Access-Token trägt alle erlaubten Filialen als Claim "filialen" (Stammfiliale zuerst)
+// - Routen prüfen Filialbezug über canAccessFiliale() statt über einen einzelnen String
+
+function normalizeFilialeName(value) {
+  if (typeof value !== 'string') return null;
+  const t = value.trim();
+  return t ? t : null;
+}
+
+function uniqueFilialen(list) {
+  const out = [];
+  for (const raw of list) {
+    const f = normalizeFilialeName(raw);
+    if (f && !out.includes(f)) out.push(f);
+  }
+  return out;
+}
+
+/**
+ * Lädt alle Filialen eines Users (Stammfiliale + Zuordnungen) für den Token-Claim.
+ */
+async function loadUserFilialen(db, userId, primaryFiliale) {
+  const r = await db.query(
+    'SELECT filiale FROM user_filialen WHERE user_id = $1 ORDER BY filiale ASC',
+    [userId]
+  );
+  return uniqueFilialen([primaryFiliale, ...r.rows.map((row) => row.filiale)]);
+}
+
+// Erlaubte Filialen aus req.user (ältere Tokens ohne Claim: nur die Stammfiliale)
+function getUserFilialen(user) {
+  if (!user) return [];
+  if (Array.isArray(user.filialen) && user.filialen.length > 0) {
+    return uniqueFilialen(user.filialen);
+  }
+  return uniqueFilialen([user.filiale]);
+}
+
+function canAccessFiliale(user, filiale) {
+  const f = normalizeFilialeName(filiale);
+  if (!f) return false;
+  return getUserFilialen(user).includes(f);
+}
+
+/**
+ * Ersetzt die zusätzlichen Filialen eines Users (innerhalb einer Transaktion aufrufen).
+ */
+async function replaceUserFilialen(client, userId, filialen) {
+  await client.query('DELETE FROM user_filialen WHERE user_id = $1', [userId]);
+
+  for (const filiale of uniqueFilialen(filialen)) {
+    await client.query(
+      'INSERT INTO user_filialen (user_id, filiale) VALUES ($1, $2)',
+      [userId, filiale]
+    );
+  }
+}
+
+module.exports = {
+  loadUserFilialen,
+  getUserFilialen,
+  canAccessFiliale,
+  replaceUserFilialen,
+};